@@ -0,0 +1,601 @@
+/**
+ * PLS World News - Article Reader
+ * In-app article view with a table of contents, reading progress, time left
+ * and related stories. Runs as the article page (article.html?id=...) or as
+ * an overlay opened from a card on any other page.
+ */
+
+class PLSArticleReader {
+    constructor(container, app, options = {}) {
+        this.app = app;
+        this.options = {
+            overlay: false,
+            relatedCount: 3,
+            // Longest stretch (in seconds) counted as reading: a tab left open is not
+            maxDwell: 30 * 60,
+            ...options
+        };
+        
+        this.article = null;
+        this.headings = [];
+        this.requestId = 0;
+        this.isOpen = false;
+        // Article being read and since when, for the time spent on it
+        this.dwell = null;
+        this.container = container || (this.options.overlay ? this.createOverlay() : null);
+        this.content = this.options.overlay ? this.container.querySelector('.article-reader') : this.container;
+        
+        this.handleClick = this.handleClick.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handlePopState = this.handlePopState.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handlePageHide = this.handlePageHide.bind(this);
+        this.handleScroll = this.app.throttle(() => this.updateProgress(), 16);
+        this.saveProgress = this.app.debounce((id, progress) => this.app.readingHistory.setProgress(id, progress), 500);
+        
+        this.init();
+    }
+    
+    /**
+     * Link to the reader for an article
+     */
+    static href(article) {
+        return `article.html?id=${encodeURIComponent(article.id)}`;
+    }
+    
+    /**
+     * Article id in a URL: article.html?id=..., /article/<id> or /article/<id>.html
+     */
+    static idFromLocation(location = window.location) {
+        const id = new URLSearchParams(location.search).get('id');
+        if (id && /article(\.html)?$/.test(location.pathname.replace(/\/$/, ''))) {
+            return id;
+        }
+        
+        const match = location.pathname.match(/\/article\/([^/]+?)(?:\.html)?\/?$/);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+    
+    init() {
+        if (!this.container) return;
+        
+        this.container.addEventListener('click', this.handleClick);
+        window.addEventListener('popstate', this.handlePopState);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        window.addEventListener('pagehide', this.handlePageHide);
+        
+        if (this.options.overlay) {
+            this.container.addEventListener('keydown', this.handleKeydown);
+            this.container.addEventListener('scroll', this.handleScroll);
+        } else {
+            this.load(PLSArticleReader.idFromLocation());
+        }
+    }
+    
+    /**
+     * Overlay markup, added to the page once
+     */
+    createOverlay() {
+        const overlay = PLSTemplate.toElement(PLSTemplate.html`
+            <div class="article-overlay" role="dialog" aria-modal="true" aria-labelledby="article-reader-title" hidden>
+                <div class="article-overlay-panel">
+                    <button type="button" class="article-overlay-close" aria-label="Close article">
+                        <i class="fas fa-times"></i>
+                    </button>
+                    <div class="article-reader"></div>
+                </div>
+            </div>
+        `);
+        
+        document.body.appendChild(overlay);
+        return overlay;
+    }
+    
+    /**
+     * Show an article, adding it to the browser history
+     */
+    open(id) {
+        const depth = this.isOpen ? (history.state?.articleDepth || 0) + 1 : 1;
+        history.pushState({ articleId: String(id), articleDepth: depth }, '', `${this.app.router?.base || ''}${PLSArticleReader.href({ id })}`);
+        
+        this.show();
+        return this.load(id);
+    }
+    
+    /**
+     * Make the overlay visible (no-op on the article page)
+     */
+    show() {
+        if (!this.options.overlay) {
+            window.scrollTo(0, 0);
+            return;
+        }
+        
+        this.container.scrollTop = 0;
+        if (this.isOpen) return;
+        
+        this.isOpen = true;
+        this.previousFocus = document.activeElement;
+        this.previousTitle = document.title;
+        this.container.hidden = false;
+        this.container.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        this.container.querySelector('.article-overlay-close').focus();
+    }
+    
+    /**
+     * Close the overlay and return to the page it was opened from
+     */
+    close({ updateHistory = true } = {}) {
+        if (!this.isOpen) return;
+        
+        this.isOpen = false;
+        this.requestId++;
+        this.stopDwell();
+        this.container.classList.remove('active');
+        this.container.hidden = true;
+        document.body.style.overflow = '';
+        document.title = this.previousTitle;
+        
+        const depth = history.state?.articleDepth || 0;
+        if (updateHistory && depth > 0) {
+            history.go(-depth);
+        }
+        
+        this.previousFocus?.focus?.();
+    }
+    
+    /**
+     * Fetch and render an article. Anything already known about it (a saved
+     * copy, or the search index entry) is shown straight away while the
+     * body loads, and is what is left to show when it cannot be loaded.
+     */
+    async load(id) {
+        if (!id) {
+            this.renderError('No article was specified.');
+            return;
+        }
+        
+        const requestId = ++this.requestId;
+        this.stopDwell();
+        await this.app.readingList.ready();
+        if (requestId !== this.requestId) return;
+        
+        const saved = this.app.readingList.get(id)?.article;
+        const seed = saved || this.app.searchIndex.get(id);
+        const preview = seed && PLSArticle.tryNormalize(seed, {
+            onError: (error) => this.app.logError('Invalid Article', error)
+        });
+        
+        if (preview) {
+            this.render(preview, { loading: true });
+        } else {
+            this.renderLoading();
+        }
+        
+        let article;
+        try {
+            article = PLSArticle.normalize({ ...seed, ...await this.app.dataSource.getArticle(id) });
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            
+            this.app.logError('Article Load', error);
+            if (!preview) {
+                this.renderError('This article could not be loaded. Please try again later.');
+                return;
+            }
+            article = preview;
+        }
+        
+        if (requestId !== this.requestId) return;
+        
+        this.render(article);
+        this.app.indexArticles([article]);
+        this.app.readingHistory.record(article);
+        this.startDwell(article.id);
+        
+        // Keep the saved copy as fresh as the story
+        if (saved && article !== preview) {
+            this.app.readingList.save(article).catch(error => this.app.logError('Reading List', error));
+        }
+        this.loadRelated(article, requestId);
+    }
+    
+    /**
+     * Render the full article view
+     */
+    render(article, { loading = false } = {}) {
+        const { html } = PLSTemplate;
+        const body = this.prepareBody(article);
+        const shareButtons = [
+            { platform: 'facebook', icon: 'fab fa-facebook-f', label: 'Facebook' },
+            { platform: 'twitter', icon: 'fab fa-twitter', label: 'Twitter' },
+            { platform: 'linkedin', icon: 'fab fa-linkedin-in', label: 'LinkedIn' },
+            { platform: 'whatsapp', icon: 'fab fa-whatsapp', label: 'WhatsApp' },
+            { platform: 'native', icon: 'fas fa-share-alt', label: 'More options' }
+        ];
+        const isExternal = /^https?:/i.test(article.url);
+        const history = this.app.readingHistory.get(article.id);
+        const resumeAt = !loading && this.app.readingHistory.isInProgress(history) ? history.progress : null;
+        
+        this.article = article;
+        this.loading = loading;
+        this.updateMeta(article);
+        
+        PLSTemplate.render(this.content, html`
+            <div class="reading-progress-track" role="progressbar" aria-label="Reading progress" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+                <div class="reading-progress"></div>
+            </div>
+            
+            <header class="article-header">
+                <a href="${this.app.categoryHref(article.categoryKey)}" class="category-tag ${article.categoryKey}">${article.category}</a>
+                <h1 class="article-title" id="article-reader-title">${article.title}</h1>
+                ${article.excerpt && html`<p class="article-standfirst">${article.excerpt}</p>`}
+                <div class="article-byline">
+                    <div class="author">
+                        <img src="${article.authorAvatar}" alt="">
+                        <span>By <a href="search.html?q=${encodeURIComponent(`author:"${article.author}"`)}">${article.author}</a></span>
+                        ${this.app.renderFollowButton('author', article.author, { compact: true })}
+                    </div>
+                    <time datetime="${article.date}"><i class="fas fa-clock"></i> ${this.app.formatDate(article.date)}</time>
+                    <span><i class="fas fa-book-open"></i> ${article.readTime}</span>
+                    <span class="article-time-left"><i class="fas fa-hourglass-half"></i> <span>${article.readingTime} min left</span></span>
+                    ${this.app.renderSaveButton(article)}
+                </div>
+                ${resumeAt !== null && html`
+                    <button type="button" class="article-resume" data-resume="${resumeAt}">
+                        <i class="fas fa-bookmark"></i> Continue where you left off (${Math.round(resumeAt * 100)}%)
+                    </button>
+                `}
+            </header>
+            
+            <figure class="article-hero">
+                <img src="${article.image}" alt="${article.title}">
+            </figure>
+            
+            <div class="article-layout">
+                <nav class="article-toc" aria-label="Table of contents" ${body.headings.length < 2 && html`hidden`}>
+                    <h2 class="article-toc-title">In this article</h2>
+                    <ol>
+                        ${body.headings.map(heading => html`
+                            <li class="toc-level-${heading.level}">
+                                <a href="#${heading.id}" data-toc-target="${heading.id}">${heading.text}</a>
+                            </li>
+                        `)}
+                    </ol>
+                </nav>
+                
+                <article class="article-content" aria-busy="${loading}">
+                    ${body.markup}
+                    ${loading && html`<p class="article-loading"><i class="fas fa-spinner fa-spin"></i> Loading full story...</p>`}
+                </article>
+            </div>
+            
+            <footer class="article-footer">
+                ${article.tags.length > 0 && html`
+                    <ul class="article-tags" aria-label="Tags">
+                        ${article.tags.map(tag => html`
+                            <li>
+                                <a href="search.html?q=${encodeURIComponent(tag)}">#${tag}</a>
+                                ${this.app.renderFollowButton('topic', tag, { label: `#${tag}`, compact: true })}
+                            </li>
+                        `)}
+                    </ul>
+                `}
+                <div class="article-share">
+                    <span>Share this story</span>
+                    ${shareButtons.map(({ platform, icon, label }) => html`
+                        <button type="button" class="share-btn ${platform}" data-platform="${platform}" aria-label="Share on ${label}">
+                            <i class="${icon}"></i>
+                        </button>
+                    `)}
+                </div>
+                ${isExternal && html`
+                    <a class="article-source" href="${article.url}" target="_blank" rel="noopener noreferrer">
+                        Read at source <i class="fas fa-external-link-alt"></i>
+                    </a>
+                `}
+            </footer>
+            
+            <section class="related-stories" aria-labelledby="related-stories-title">
+                <div class="section-header">
+                    <h2 id="related-stories-title"><i class="fas fa-layer-group"></i> Related Stories</h2>
+                </div>
+                <div class="news-grid related-grid">
+                    ${Array.from({ length: this.options.relatedCount }, () => html`<div class="related-slot" aria-hidden="true"></div>`)}
+                </div>
+            </section>
+        `);
+        
+        this.headings = body.headings.map(heading => this.content.querySelector(`#${heading.id}`)).filter(Boolean);
+        this.updateProgress({ initial: true });
+    }
+    
+    /**
+     * Title and description/social meta tags for the article
+     */
+    updateMeta(article) {
+        const meta = {
+            title: `${article.title} - PLS World News`,
+            description: article.excerpt,
+            image: article.image,
+            type: 'article'
+        };
+        
+        if (this.app.router) {
+            this.app.router.updateMeta(meta);
+        } else {
+            document.title = meta.title;
+        }
+    }
+    
+    /**
+     * Sanitize the article body and give its headings ids for the
+     * table of contents: { markup, headings: [{ id, text, level }] }
+     */
+    prepareBody(article) {
+        const { html } = PLSTemplate;
+        const template = document.createElement('template');
+        template.innerHTML = PLSTemplate.sanitize(article.body || html`<p>${article.excerpt}</p>`).toString();
+        
+        const used = new Set();
+        const headings = Array.from(template.content.querySelectorAll('h2, h3')).map(heading => {
+            const text = heading.textContent.replace(/\s+/g, ' ').trim();
+            const base = `section-${PLSArticle.slugify(text) || used.size + 1}`;
+            let id = base;
+            for (let n = 2; used.has(id); n++) {
+                id = `${base}-${n}`;
+            }
+            used.add(id);
+            
+            heading.id = id;
+            heading.tabIndex = -1;
+            return { id, text, level: Number(heading.localName[1]) };
+        }).filter(heading => heading.text);
+        
+        return { markup: PLSTemplate.trusted(template.innerHTML), headings };
+    }
+    
+    /**
+     * Fill the related-story slots with other articles from the category
+     */
+    async loadRelated(article, requestId) {
+        const section = this.content.querySelector('.related-stories');
+        const grid = section?.querySelector('.related-grid');
+        if (!grid) return;
+        
+        try {
+            const articles = this.app.normalizeArticles(await this.app.dataSource.getArticles(article.categoryKey));
+            if (requestId !== this.requestId) return;
+            
+            const related = articles
+                .filter(item => item.id !== article.id)
+                .slice(0, this.options.relatedCount);
+            
+            if (related.length === 0) {
+                section.hidden = true;
+                return;
+            }
+            
+            this.app.indexArticles(related);
+            PLSTemplate.renderList(grid, related, {
+                render: item => this.app.renderArticleCard(item)
+            });
+            this.app.initializeLazyLoading(grid);
+        } catch (error) {
+            console.error('Failed to load related stories:', error);
+            section.hidden = true;
+        }
+    }
+    
+    /**
+     * Update the progress bar, time left and current table of contents entry
+     */
+    updateProgress({ initial = false } = {}) {
+        if (!this.article || (this.options.overlay && !this.isOpen)) return;
+        
+        const progress = this.app.updateReadingProgress({
+            bar: this.content.querySelector('.reading-progress'),
+            article: this.content.querySelector('article.article-content'),
+            scroller: this.options.overlay ? this.container : window
+        });
+        
+        const timeLeft = this.content.querySelector('.article-time-left span');
+        if (timeLeft) {
+            const minutes = Math.ceil(this.article.readingTime * (1 - progress));
+            const text = progress >= 1 ? 'Finished' : `${Math.max(1, minutes)} min left`;
+            if (timeLeft.textContent !== text) {
+                timeLeft.textContent = text;
+            }
+        }
+        
+        // Progress is only recorded once the reader scrolls
+        if (!this.loading && !initial) {
+            this.saveProgress(this.article.id, progress);
+        }
+        
+        // A saved story read to the end is marked as read
+        if (progress >= 1 && this.app.readingList.get(this.article.id)?.read === false) {
+            this.app.readingList.markRead(this.article.id);
+        }
+        
+        // The current section is the last heading scrolled past the top fifth
+        const viewportTop = this.options.overlay ? this.container.getBoundingClientRect().top : 0;
+        const threshold = viewportTop + window.innerHeight / 5;
+        const current = this.headings.filter(heading => heading.getBoundingClientRect().top <= threshold).pop();
+        
+        this.content.querySelectorAll('.article-toc a').forEach(link => {
+            const isCurrent = Boolean(current) && link.dataset.tocTarget === current.id;
+            link.classList.toggle('active', isCurrent);
+            if (isCurrent) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+    
+    /**
+     * Scroll back to where the article was left: the inverse of
+     * PLSWorldNews.updateReadingProgress
+     */
+    resume(progress) {
+        const article = this.content.querySelector('article.article-content');
+        if (!article || !(progress > 0)) return;
+        
+        const scroller = this.options.overlay ? this.container : window;
+        const viewportHeight = this.options.overlay ? this.container.clientHeight : window.innerHeight;
+        const viewportTop = this.options.overlay ? this.container.getBoundingClientRect().top : 0;
+        const current = this.options.overlay ? this.container.scrollTop : window.scrollY;
+        const articleTop = article.getBoundingClientRect().top - viewportTop + current;
+        
+        scroller.scrollTo({ top: Math.max(0, articleTop + progress * article.offsetHeight - viewportHeight), behavior: 'smooth' });
+    }
+    
+    renderLoading() {
+        PLSTemplate.render(this.content, PLSTemplate.html`
+            <div class="article-loading" role="status">
+                <i class="fas fa-spinner fa-spin"></i> Loading article...
+            </div>
+        `);
+    }
+    
+    renderError(message) {
+        this.article = null;
+        PLSTemplate.render(this.content, PLSTemplate.html`
+            <div class="article-error">
+                <i class="fas fa-exclamation-triangle"></i>
+                <h1 id="article-reader-title">Article unavailable</h1>
+                <p>${message}</p>
+                <a href="index.html" class="article-error-link">Back to the homepage</a>
+            </div>
+        `);
+    }
+    
+    handleClick(e) {
+        if (e.target.closest('.article-overlay-close') || (this.options.overlay && e.target === this.container)) {
+            this.close();
+            return;
+        }
+        
+        const resume = e.target.closest('.article-resume');
+        if (resume) {
+            this.resume(parseFloat(resume.dataset.resume));
+            resume.remove();
+            return;
+        }
+        
+        const tocLink = e.target.closest('[data-toc-target]');
+        if (tocLink) {
+            e.preventDefault();
+            // Ids are generated by prepareBody, so they are safe selectors
+            const heading = this.content.querySelector(`#${tocLink.dataset.tocTarget}`);
+            heading?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            heading?.focus({ preventScroll: true });
+        }
+    }
+    
+    /**
+     * Start timing how long an article is read
+     */
+    startDwell(id) {
+        this.stopDwell();
+        if (document.visibilityState !== 'hidden') {
+            this.dwell = { id, since: Date.now() };
+        }
+    }
+    
+    /**
+     * Add the time since startDwell() to the article's history entry
+     */
+    stopDwell() {
+        if (!this.dwell) return;
+        
+        const seconds = Math.min((Date.now() - this.dwell.since) / 1000, this.options.maxDwell);
+        this.app.readingHistory.addDwell(this.dwell.id, seconds);
+        this.dwell = null;
+    }
+    
+    /**
+     * Time in a background tab is not reading time
+     */
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            this.stopDwell();
+        } else if (this.article && (!this.options.overlay || this.isOpen)) {
+            this.startDwell(this.article.id);
+        }
+    }
+    
+    handlePageHide() {
+        this.stopDwell();
+    }
+    
+    /**
+     * Escape closes the overlay and Tab stays inside it
+     */
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            this.close();
+            return;
+        }
+        
+        if (e.key !== 'Tab') return;
+        
+        const focusable = Array.from(this.container.querySelectorAll('a[href], button:not([disabled]), [tabindex="0"]'))
+            .filter(element => !element.closest('[hidden]'));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    /**
+     * Back/forward between articles, or out of the overlay
+     */
+    handlePopState() {
+        const id = PLSArticleReader.idFromLocation();
+        
+        if (!id && this.options.overlay) {
+            this.close({ updateHistory: false });
+            return;
+        }
+        
+        if (String(id) !== String(this.article?.id) || (this.options.overlay && !this.isOpen)) {
+            this.show();
+            this.load(id);
+        }
+    }
+    
+    destroy() {
+        if (!this.container) return;
+        
+        this.container.removeEventListener('click', this.handleClick);
+        this.container.removeEventListener('keydown', this.handleKeydown);
+        this.container.removeEventListener('scroll', this.handleScroll);
+        window.removeEventListener('popstate', this.handlePopState);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        window.removeEventListener('pagehide', this.handlePageHide);
+        this.stopDwell();
+        
+        if (this.options.overlay) {
+            this.close({ updateHistory: false });
+            this.container.remove();
+        }
+    }
+}
+
+// Make article reader globally available
+window.PLSArticleReader = PLSArticleReader;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSArticleReader;
+}
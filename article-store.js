@@ -0,0 +1,195 @@
+/**
+ * PLS World News - Article Store
+ * One copy of each story, whichever feed, tab or search it came from.
+ * Articles are matched by id or canonical URL, keep the id they were first
+ * seen with and merge later updates (new headline, newer timestamp), with
+ * an event so every rendered copy can be patched.
+ */
+
+class PLSArticleStore {
+    constructor(options = {}) {
+        this.options = {
+            maxArticles: 500,
+            eventName: 'plsArticleUpdate',
+            trackingParams: /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref|source)$/i,
+            ...options
+        };
+        
+        // Canonical id -> article
+        this.articles = new Map();
+        // Any known id or canonical URL -> canonical id
+        this.aliases = new Map();
+    }
+    
+    /**
+     * Number of stored articles
+     */
+    get size() {
+        return this.articles.size;
+    }
+    
+    /**
+     * Comparable form of an article URL: https, no www., fragment, tracking
+     * parameters or trailing slash. Null for URLs that do not identify a story.
+     */
+    canonicalUrl(url) {
+        const value = String(url ?? '').trim();
+        if (!value || value.startsWith('#')) return null;
+        
+        let target;
+        try {
+            target = new URL(value, document.baseURI);
+        } catch (error) {
+            return null;
+        }
+        if (!/^https?:$/.test(target.protocol)) return null;
+        
+        Array.from(target.searchParams.keys())
+            .filter(key => this.options.trackingParams.test(key))
+            .forEach(key => target.searchParams.delete(key));
+        target.searchParams.sort();
+        
+        const host = target.hostname.toLowerCase().replace(/^www\./, '');
+        const path = target.pathname.replace(/\/+$/, '') || '/';
+        return `https://${host}${target.port ? `:${target.port}` : ''}${path}${target.search}`;
+    }
+    
+    /**
+     * Lookup keys for an article: its id and its canonical URL
+     */
+    keysFor(article) {
+        const keys = [`id:${article.id}`];
+        const url = this.canonicalUrl(article.url);
+        if (url) keys.push(`url:${url}`);
+        return keys;
+    }
+    
+    /**
+     * Canonical id for an id or URL, or null if the story is not known
+     */
+    resolve(idOrUrl) {
+        if (idOrUrl === undefined || idOrUrl === null) return null;
+        
+        const url = this.canonicalUrl(idOrUrl);
+        return this.aliases.get(`id:${idOrUrl}`) || (url && this.aliases.get(`url:${url}`)) || null;
+    }
+    
+    get(idOrUrl) {
+        const id = this.resolve(idOrUrl);
+        return id === null ? null : this.articles.get(id) || null;
+    }
+    
+    has(idOrUrl) {
+        return this.get(idOrUrl) !== null;
+    }
+    
+    /**
+     * Add or update a normalized article. Returns the stored copy, which
+     * keeps the canonical id of the story even if this copy used another.
+     * A copy that differs only in its date is not an update: sources that
+     * date stories when they are fetched would otherwise update every
+     * story on every fetch.
+     */
+    put(article) {
+        if (!article) return null;
+        
+        const keys = this.keysFor(article);
+        const id = keys.map(key => this.aliases.get(key)).find(Boolean);
+        const previous = id ? this.articles.get(id) : null;
+        
+        if (!previous) {
+            this.articles.set(article.id, article);
+            keys.forEach(key => this.aliases.set(key, article.id));
+            this.evict();
+            return article;
+        }
+        
+        const merged = this.merge(previous, article);
+        keys.concat(this.keysFor(merged)).forEach(key => this.aliases.set(key, merged.id));
+        
+        const fields = Object.keys({ ...previous, ...merged }).filter(field => field !== 'date');
+        if (fields.every(field => JSON.stringify(merged[field]) === JSON.stringify(previous[field]))) {
+            return previous;
+        }
+        
+        this.articles.set(merged.id, merged);
+        document.dispatchEvent(new CustomEvent(this.options.eventName, {
+            detail: { article: merged, previous }
+        }));
+        return merged;
+    }
+    
+    /**
+     * Store a list of articles, returning the stored copies with repeats of
+     * the same story left out
+     */
+    putAll(articles = []) {
+        const seen = new Set();
+        
+        return articles.reduce((stored, article) => {
+            const item = this.put(article);
+            if (item && !seen.has(item.id)) {
+                seen.add(item.id);
+                stored.push(item);
+            }
+            return stored;
+        }, []);
+    }
+    
+    /**
+     * Combine two copies of a story. The newer copy's values win; the older
+     * one only fills gaps. Model defaults (placeholder image, "Staff
+     * Reporter") never replace real values, and a copy without a date of
+     * its own keeps the date already known.
+     */
+    merge(existing, incoming) {
+        if (PLSArticle.isUndated(incoming)) {
+            incoming = { ...incoming, date: existing.date, dateKnown: existing.dateKnown };
+        }
+        
+        // A real date replaces a placeholder even if it is earlier
+        const newer = PLSArticle.isUndated(existing) || new Date(incoming.date) >= new Date(existing.date);
+        const [base, update] = newer ? [existing, incoming] : [incoming, existing];
+        const merged = { ...base };
+        
+        Object.entries(update).forEach(([field, value]) => {
+            const empty = value === undefined || value === null || value === '' ||
+                (Array.isArray(value) && value.length === 0);
+            const fallback = PLSArticle.defaults[field] === value && merged[field];
+            
+            if (!empty && !fallback) {
+                merged[field] = value;
+            }
+        });
+        
+        // Derived fields (slug, reading time...) follow the merged values
+        const { slug, categoryKey, readingTime, ...record } = merged;
+        return PLSArticle.normalize({ ...record, id: existing.id });
+    }
+    
+    /**
+     * Drop the oldest articles beyond maxArticles
+     */
+    evict() {
+        while (this.articles.size > this.options.maxArticles) {
+            const [id] = this.articles.keys();
+            this.articles.delete(id);
+            this.aliases.forEach((target, key) => {
+                if (target === id) this.aliases.delete(key);
+            });
+        }
+    }
+    
+    clear() {
+        this.articles.clear();
+        this.aliases.clear();
+    }
+}
+
+// Make article store globally available
+window.PLSArticleStore = PLSArticleStore;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSArticleStore;
+}
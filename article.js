@@ -0,0 +1,261 @@
+/**
+ * PLS World News - Article Model
+ * Validates article records from any data source and normalizes them into
+ * the single shape the renderers, search index and stores rely on
+ */
+
+class PLSArticleError extends Error {
+    constructor(message, record = null, issues = []) {
+        super(message);
+        this.name = 'PLSArticleError';
+        this.record = record;
+        this.issues = issues;
+    }
+}
+
+const PLSArticle = {
+    
+    /**
+     * Field types accepted from data sources. Only id (or url) and title are required.
+     */
+    schema: {
+        id: ['string', 'number'],
+        title: ['string'],
+        excerpt: ['string'],
+        body: ['string'],
+        image: ['string'],
+        category: ['string'],
+        author: ['string'],
+        authorAvatar: ['string'],
+        date: ['string', 'number', 'object'],
+        dateKnown: ['boolean'],
+        url: ['string'],
+        readTime: ['string', 'number'],
+        tags: ['object']
+    },
+    
+    /**
+     * Values used when a field is missing or empty
+     */
+    defaults: {
+        excerpt: '',
+        image: 'assets/images/placeholder.jpg',
+        category: 'World',
+        author: 'Staff Reporter'
+    },
+    
+    /**
+     * Category names that share a key (and a category-tag colour)
+     */
+    categoryAliases: {
+        tech: 'technology',
+        sport: 'sports',
+        economy: 'business',
+        finance: 'business',
+        international: 'world',
+        'world-news': 'world'
+    },
+    
+    /**
+     * Author avatars cycled through by name
+     */
+    avatarCount: 6,
+    
+    /**
+     * Reading speed used for reading time
+     */
+    wordsPerMinute: 200,
+    
+    /**
+     * Problems that make a record unusable. An empty list means it is valid.
+     */
+    validate(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return ['is not an object'];
+        }
+        
+        const issues = [];
+        
+        Object.entries(this.schema).forEach(([field, types]) => {
+            const value = record[field];
+            if (value !== undefined && value !== null && !types.includes(typeof value)) {
+                issues.push(`${field} should be ${types.join(' or ')}, got ${typeof value}`);
+            }
+        });
+        
+        if (typeof record.title !== 'string' || !record.title.trim()) {
+            issues.push('title is required');
+        }
+        if ((record.id === undefined || record.id === null || record.id === '') && !record.url) {
+            issues.push('id or url is required');
+        }
+        
+        return issues;
+    },
+    
+    /**
+     * Validate and normalize a record. Throws PLSArticleError if it is invalid.
+     */
+    normalize(record) {
+        const issues = this.validate(record);
+        if (issues.length > 0) {
+            const label = record?.id ?? record?.title ?? 'record';
+            throw new PLSArticleError(`Invalid article ${JSON.stringify(String(label)).slice(0, 80)}: ${issues.join('; ')}`, record, issues);
+        }
+        
+        const text = (value) => String(value ?? '').replace(/\s+/g, ' ').trim();
+        const title = text(record.title);
+        const category = text(record.category) || this.defaults.category;
+        const author = text(record.author) || this.defaults.author;
+        const readingTime = this.readingTime(record);
+        
+        return {
+            ...record,
+            id: String(record.id ?? record.url),
+            title,
+            slug: this.slugify(title) || String(record.id ?? record.url),
+            excerpt: text(record.excerpt) || this.defaults.excerpt,
+            image: text(record.image) || this.defaults.image,
+            category,
+            categoryKey: this.categoryKey(category),
+            author,
+            authorAvatar: text(record.authorAvatar) || this.avatarFor(author),
+            date: this.normalizeDate(record.date),
+            // False when date is a placeholder; kept through copies and storage
+            dateKnown: record.dateKnown !== false && this.parseDate(record.date) !== null,
+            url: text(record.url),
+            tags: this.normalizeTags(record.tags),
+            readingTime,
+            readTime: `${readingTime} min read`
+        };
+    },
+    
+    /**
+     * Whether a normalized article had no usable date, so that its date is
+     * only the time it was normalized
+     */
+    isUndated(article) {
+        return article?.dateKnown === false;
+    },
+    
+    /**
+     * Normalize a list, dropping invalid records and passing their errors
+     * to onError (e.g. the app's error logger) instead of throwing
+     */
+    normalizeAll(records = [], { onError } = {}) {
+        return (Array.isArray(records) ? records : []).reduce((articles, record) => {
+            const article = this.tryNormalize(record, { onError });
+            if (article) articles.push(article);
+            return articles;
+        }, []);
+    },
+    
+    /**
+     * Normalize one record, returning null (and reporting) if it is invalid
+     */
+    tryNormalize(record, { onError } = {}) {
+        try {
+            return this.normalize(record);
+        } catch (error) {
+            if (!(error instanceof PLSArticleError)) throw error;
+            
+            if (onError) {
+                onError(error);
+            } else {
+                console.error(error.message);
+            }
+            return null;
+        }
+    },
+    
+    /**
+     * Unique, non-empty tag names
+     */
+    normalizeTags(tags) {
+        const names = (Array.isArray(tags) ? tags : [])
+            .filter(tag => typeof tag === 'string' || typeof tag === 'number')
+            .map(tag => String(tag).replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+        
+        const seen = new Set();
+        return names.filter(tag => !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()));
+    },
+    
+    /**
+     * Stable key for a category name: lowercase slug with aliases folded
+     */
+    categoryKey(category) {
+        const key = this.slugify(category || this.defaults.category);
+        return this.categoryAliases[key] || key;
+    },
+    
+    /**
+     * URL slug with accents folded (São Paulo -> sao-paulo)
+     */
+    slugify(text) {
+        return PLSUtils.string.slugify(String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, ''));
+    },
+    
+    /**
+     * Minutes to read: from the body's word count when there is one,
+     * otherwise from a provided readTime, otherwise from the excerpt
+     */
+    readingTime(record) {
+        const countWords = (value) => PLSUtils.string.stripHtml(value || '').split(/\s+/).filter(Boolean).length;
+        
+        if (record.body) {
+            return Math.max(1, Math.round(countWords(record.body) / this.wordsPerMinute));
+        }
+        
+        const provided = parseInt(record.readTime, 10);
+        if (provided > 0) {
+            return provided;
+        }
+        
+        return Math.max(1, Math.round(countWords(record.excerpt) / this.wordsPerMinute));
+    },
+    
+    /**
+     * ISO date string from a Date, timestamp (ms or s) or date string.
+     * Missing (undefined, null, '') and unparseable dates become the
+     * current time, which is only a placeholder and not when the story was
+     * published.
+     */
+    normalizeDate(value) {
+        return (this.parseDate(value) || new Date()).toISOString();
+    },
+    
+    /**
+     * Date from a Date, timestamp (ms or s) or date string, or null if it
+     * is missing or unparseable
+     */
+    parseDate(value) {
+        if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+            return null;
+        }
+        
+        const timestamp = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+        const date = typeof timestamp === 'number'
+            ? new Date(timestamp < 1e12 ? timestamp * 1000 : timestamp)
+            : new Date(timestamp instanceof Date ? timestamp.getTime() : timestamp);
+        
+        return isNaN(date) ? null : date;
+    },
+    
+    /**
+     * Avatar image for an author, the same one every time for the same name
+     */
+    avatarFor(author) {
+        const hash = Array.from(String(author)).reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 7);
+        return `assets/images/author-${(hash % this.avatarCount) + 1}.jpg`;
+    }
+};
+
+// Make article model globally available
+window.PLSArticle = PLSArticle;
+window.PLSArticleError = PLSArticleError;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PLSArticle, PLSArticleError };
+}
@@ -0,0 +1,259 @@
+/**
+ * PLS World News - Breaking News Stream
+ * Receives breaking items as they are published, over Server-Sent Events
+ * or a WebSocket. Dropped connections are reopened with backoff, resuming
+ * after the last event received, and polling takes over while the stream
+ * cannot be reached (or when no stream is configured).
+ *
+ *   const stream = new PLSBreakingNewsStream({
+ *       url: '/breaking/stream',
+ *       poll: () => dataSource.getBreakingNews(),
+ *       onItems: (items, options) => breakingNews.merge(items, options)
+ *   });
+ *   stream.start();
+ *
+ * SSE events (of type `eventType`) and WebSocket messages
+ * ({ id, type, data }) carry an item or an array of items. The last event
+ * id is sent back as ?lastEventId= when reconnecting.
+ */
+
+class PLSBreakingNewsStream {
+    constructor(options = {}) {
+        this.options = {
+            url: '',
+            // 'sse' or 'websocket'
+            transport: 'sse',
+            eventType: 'breaking',
+            retryDelay: 1000,
+            maxRetryDelay: 60000,
+            // Failed connections in a row before polling takes over
+            fallbackAfter: 3,
+            pollInterval: 5 * 60 * 1000,
+            poll: null,
+            onItems: () => {},
+            onStatus: () => {},
+            ...options
+        };
+        
+        // 'idle', 'connecting', 'open', 'reconnecting', 'polling' or 'closed'
+        this.status = 'idle';
+        this.connection = null;
+        this.lastEventId = null;
+        this.attempts = 0;
+        this.retryTimer = null;
+        this.pollTimer = null;
+        
+        this.handleOpen = this.handleOpen.bind(this);
+        this.handleEvent = this.handleEvent.bind(this);
+        this.handleSocketMessage = this.handleSocketMessage.bind(this);
+        this.handleError = this.handleError.bind(this);
+        this.handleOnline = this.handleOnline.bind(this);
+    }
+    
+    /**
+     * Whether the configured transport can be used in this browser
+     */
+    isSupported() {
+        if (!this.options.url) return false;
+        return this.options.transport === 'websocket' ? 'WebSocket' in window : 'EventSource' in window;
+    }
+    
+    start() {
+        if (!this.isSupported()) {
+            this.startPolling();
+            return;
+        }
+        
+        window.addEventListener('online', this.handleOnline);
+        this.connect();
+    }
+    
+    /**
+     * Stream URL, with the last event id to resume from
+     */
+    buildUrl() {
+        const url = new URL(this.options.url, window.location.href);
+        
+        if (this.options.transport === 'websocket') {
+            url.protocol = url.protocol.replace(/^http/, 'ws');
+        }
+        if (this.lastEventId !== null) {
+            url.searchParams.set('lastEventId', this.lastEventId);
+        }
+        return url.href;
+    }
+    
+    connect() {
+        this.disconnect();
+        this.setStatus(this.pollTimer ? 'polling' : 'connecting');
+        
+        try {
+            if (this.options.transport === 'websocket') {
+                this.connection = new WebSocket(this.buildUrl());
+                this.connection.addEventListener('message', this.handleSocketMessage);
+                this.connection.addEventListener('close', this.handleError);
+            } else {
+                this.connection = new EventSource(this.buildUrl());
+                this.connection.addEventListener(this.options.eventType, this.handleEvent);
+                this.connection.addEventListener('error', this.handleError);
+            }
+            this.connection.addEventListener('open', this.handleOpen);
+        } catch (error) {
+            // A malformed URL: no point retrying
+            console.error('Breaking news stream unavailable:', error);
+            this.connection = null;
+            this.startPolling();
+        }
+    }
+    
+    disconnect() {
+        const connection = this.connection;
+        if (!connection) return;
+        
+        this.connection = null;
+        connection.removeEventListener('open', this.handleOpen);
+        connection.removeEventListener(this.options.eventType, this.handleEvent);
+        connection.removeEventListener('message', this.handleSocketMessage);
+        connection.removeEventListener('error', this.handleError);
+        connection.removeEventListener('close', this.handleError);
+        connection.close();
+    }
+    
+    handleOpen() {
+        this.attempts = 0;
+        this.stopPolling();
+        this.setStatus('open');
+    }
+    
+    handleEvent(e) {
+        this.receive(e.data, e.lastEventId);
+    }
+    
+    handleSocketMessage(e) {
+        let message;
+        try {
+            message = JSON.parse(e.data);
+        } catch (error) {
+            console.warn('Ignoring malformed breaking news message:', error);
+            return;
+        }
+        
+        if (message?.type === this.options.eventType) {
+            this.receive(message.data, message.id);
+        }
+    }
+    
+    /**
+     * Pass on the items of an event and remember its id
+     */
+    receive(data, id) {
+        let items;
+        try {
+            items = typeof data === 'string' ? JSON.parse(data) : data;
+        } catch (error) {
+            console.warn('Ignoring malformed breaking news event:', error);
+            return;
+        }
+        
+        if (id !== undefined && id !== null && id !== '') {
+            this.lastEventId = String(id);
+        }
+        if (items) {
+            this.options.onItems([].concat(items));
+        }
+    }
+    
+    /**
+     * The connection failed or dropped. EventSource would reconnect by
+     * itself, without backoff, so it is closed and reopened here.
+     */
+    handleError() {
+        this.disconnect();
+        this.attempts++;
+        
+        if (this.attempts >= this.options.fallbackAfter) {
+            this.startPolling();
+        }
+        this.scheduleReconnect();
+    }
+    
+    /**
+     * Exponential backoff with "equal jitter", as PLSNetworkClient does
+     */
+    retryDelay() {
+        const delay = Math.min(this.options.maxRetryDelay, this.options.retryDelay * 2 ** (this.attempts - 1));
+        return delay / 2 + Math.random() * delay / 2;
+    }
+    
+    scheduleReconnect() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.connect();
+        }, this.retryDelay());
+        
+        if (!this.pollTimer) {
+            this.setStatus('reconnecting');
+        }
+    }
+    
+    /**
+     * Back online: try the stream now rather than after the backoff
+     */
+    handleOnline() {
+        if (!this.retryTimer) return;
+        
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.connect();
+    }
+    
+    startPolling() {
+        if (this.pollTimer || !this.options.poll) return;
+        
+        this.pollTimer = setInterval(() => this.poll(), this.options.pollInterval);
+        this.setStatus('polling');
+        this.poll();
+    }
+    
+    stopPolling() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+    
+    async poll() {
+        try {
+            const items = await this.options.poll();
+            if (this.pollTimer) {
+                // A poll lists everything current, unlike a stream event
+                this.options.onItems(items || [], { complete: true });
+            }
+        } catch (error) {
+            console.error('Failed to load breaking news:', error);
+        }
+    }
+    
+    setStatus(status) {
+        if (status === this.status) return;
+        
+        this.status = status;
+        this.options.onStatus(status);
+    }
+    
+    close() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.stopPolling();
+        this.disconnect();
+        window.removeEventListener('online', this.handleOnline);
+        this.setStatus('closed');
+    }
+}
+
+// Make breaking news stream globally available
+window.PLSBreakingNewsStream = PLSBreakingNewsStream;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSBreakingNewsStream;
+}
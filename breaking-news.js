@@ -0,0 +1,188 @@
+/**
+ * PLS World News - Breaking News
+ * Breaking items shown in the ticker, merged as they arrive from the
+ * stream or polling. Urgent items are pinned, and items are dropped once
+ * they expire.
+ *
+ *   breakingNews.merge([{ id: 7, title: '...', priority: 'urgent' }]);
+ *   breakingNews.pinned(); // urgent items, newest first
+ */
+
+class PLSBreakingNews {
+    constructor(options = {}) {
+        this.options = {
+            eventName: 'plsBreakingNewsChange',
+            // Minutes an item stays when it does not say when it expires
+            ttl: 6 * 60,
+            maxItems: 20,
+            maxPinned: 2,
+            // Dropped items remembered so that polls do not bring them back
+            maxDropped: 200,
+            ...options
+        };
+        
+        // id -> item
+        this.items = new Map();
+        // id -> when it was first seen, for items expired or pushed out
+        this.dropped = new Map();
+        this.expiryTimer = null;
+    }
+    
+    /**
+     * Priority levels, most important first. Urgent items are pinned.
+     */
+    static get priorities() {
+        return ['urgent', 'high', 'normal'];
+    }
+    
+    /**
+     * An item from the stream or a data source in the shape the ticker
+     * uses: { id, title, url, priority, publishedAt, expiresAt }, or null
+     * if it has no title. Items without a date count from `now`.
+     */
+    normalize(item, now = Date.now()) {
+        const title = String(item?.title ?? '').trim();
+        if (!title) return null;
+        
+        const published = new Date(item.publishedAt || item.date || now);
+        const publishedAt = isNaN(published) ? new Date(now) : published;
+        const expires = new Date(item.expiresAt);
+        
+        return {
+            id: String(item.id ?? title).trim(),
+            title,
+            url: item.url && item.url !== '#' ? item.url : '',
+            priority: PLSBreakingNews.priorities.includes(item.priority) ? item.priority : 'normal',
+            publishedAt: publishedAt.toISOString(),
+            expiresAt: isNaN(expires)
+                ? new Date(publishedAt.getTime() + this.options.ttl * 60000).toISOString()
+                : expires.toISOString()
+        };
+    }
+    
+    /**
+     * Add new items and update known ones. Returns the ids of the items
+     * that were added. `complete` says the items are everything the source
+     * currently lists (a poll), so dropped items missing from them can be
+     * forgotten.
+     */
+    merge(items = [], { complete = false } = {}) {
+        const now = Date.now();
+        const added = [];
+        const updated = [];
+        const ids = new Set();
+        
+        items.forEach(raw => {
+            const id = String(raw?.id ?? raw?.title ?? '').trim();
+            ids.add(id);
+            // Polls keep listing items after they expire here
+            if (this.dropped.has(id)) return;
+            
+            // Polled items are sent again and again: one without a date
+            // dates from when it was first seen, so that it still expires
+            const previous = this.items.get(id);
+            const item = this.normalize(raw, previous ? new Date(previous.publishedAt).getTime() : now);
+            if (!item || new Date(item.expiresAt).getTime() <= now) return;
+            
+            if (!previous) {
+                added.push(item.id);
+            } else if (JSON.stringify(previous) !== JSON.stringify(item)) {
+                updated.push(item.id);
+            } else {
+                return;
+            }
+            this.items.set(item.id, item);
+        });
+        
+        if (complete) {
+            Array.from(this.dropped.keys()).filter(id => !ids.has(id)).forEach(id => this.dropped.delete(id));
+        }
+        
+        if (added.length > 0 || updated.length > 0) {
+            this.notify(added.length > 0 ? 'add' : 'update', [...added, ...updated]);
+        }
+        this.prune();
+        return added;
+    }
+    
+    /**
+     * Drop expired items, and the oldest beyond maxItems
+     */
+    prune() {
+        const now = Date.now();
+        const kept = new Set(this.getAll()
+            .filter(item => new Date(item.expiresAt).getTime() > now)
+            .slice(0, this.options.maxItems)
+            .map(item => item.id));
+        const removed = Array.from(this.items.keys()).filter(id => !kept.has(id));
+        
+        removed.forEach(id => {
+            this.dropped.set(id, this.items.get(id).publishedAt);
+            this.items.delete(id);
+        });
+        // Forget the earliest dropped first
+        Array.from(this.dropped.keys())
+            .slice(0, Math.max(0, this.dropped.size - this.options.maxDropped))
+            .forEach(id => this.dropped.delete(id));
+        if (removed.length > 0) {
+            this.notify('expire', removed);
+        }
+        this.scheduleExpiry();
+    }
+    
+    /**
+     * Prune again when the next item expires
+     */
+    scheduleExpiry() {
+        clearTimeout(this.expiryTimer);
+        this.expiryTimer = null;
+        if (this.items.size === 0) return;
+        
+        const next = Math.min(...Array.from(this.items.values(), item => new Date(item.expiresAt).getTime()));
+        // setTimeout overflows past about 24 days
+        const delay = Math.min(Math.max(0, next - Date.now()), 2147483647);
+        this.expiryTimer = setTimeout(() => this.prune(), delay);
+    }
+    
+    /**
+     * Items by priority, then newest first
+     */
+    getAll() {
+        const rank = item => PLSBreakingNews.priorities.indexOf(item.priority);
+        return Array.from(this.items.values())
+            .sort((a, b) => rank(a) - rank(b) || new Date(b.publishedAt) - new Date(a.publishedAt));
+    }
+    
+    /**
+     * Urgent items held in place at the start of the ticker
+     */
+    pinned() {
+        return this.getAll().filter(item => item.priority === 'urgent').slice(0, this.options.maxPinned);
+    }
+    
+    /**
+     * Everything else, which scrolls
+     */
+    scrolling() {
+        const pinned = new Set(this.pinned().map(item => item.id));
+        return this.getAll().filter(item => !pinned.has(item.id));
+    }
+    
+    notify(action, ids = []) {
+        document.dispatchEvent(new CustomEvent(this.options.eventName, {
+            detail: { action, ids }
+        }));
+    }
+    
+    destroy() {
+        clearTimeout(this.expiryTimer);
+    }
+}
+
+// Make breaking news globally available
+window.PLSBreakingNews = PLSBreakingNews;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSBreakingNews;
+}
@@ -0,0 +1,256 @@
+/**
+ * PLS World News - Cache
+ * Bounded LRU cache with per-entry TTL, stale-while-revalidate,
+ * optional Web Storage persistence and hit/miss statistics
+ */
+
+class PLSCache {
+    constructor(options = {}) {
+        this.options = {
+            maxEntries: 50,
+            ttl: 5 * 60 * 1000,
+            staleTTL: 30 * 60 * 1000,
+            storage: null,
+            storageKey: 'pls_cache',
+            ...options
+        };
+        
+        this.entries = new Map();
+        this.pending = new Map();
+        this.generation = 0;
+        this.resetStats();
+        this.restore();
+    }
+    
+    /**
+     * Number of cached entries (fresh or stale)
+     */
+    get size() {
+        return this.entries.size;
+    }
+    
+    /**
+     * Look up an entry without counting it in the stats. Returns
+     * { value, time, stale } or undefined if missing or past its stale window.
+     */
+    peek(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+        
+        const age = Date.now() - entry.time;
+        if (age > this.options.ttl + this.options.staleTTL) {
+            this.entries.delete(key);
+            this.stats.expired++;
+            this.persist();
+            return undefined;
+        }
+        
+        return { value: entry.value, time: entry.time, stale: age > this.options.ttl };
+    }
+    
+    /**
+     * Check for a fresh entry
+     */
+    has(key) {
+        const entry = this.peek(key);
+        return Boolean(entry && !entry.stale);
+    }
+    
+    /**
+     * Get a fresh value, marking it most recently used
+     */
+    get(key) {
+        const entry = this.peek(key);
+        
+        if (!entry || entry.stale) {
+            this.stats.misses++;
+            return undefined;
+        }
+        
+        this.stats.hits++;
+        this.touch(key);
+        return entry.value;
+    }
+    
+    /**
+     * Store a value, evicting the least recently used entries over the limit
+     */
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, time: Date.now() });
+        
+        while (this.entries.size > this.options.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+        
+        this.persist();
+        return this;
+    }
+    
+    /**
+     * Remove one entry
+     */
+    delete(key) {
+        const deleted = this.entries.delete(key);
+        if (deleted) {
+            this.persist();
+        }
+        return deleted;
+    }
+    
+    /**
+     * Remove every entry (statistics are kept)
+     */
+    clear() {
+        // Results of loads already in flight are now outdated too
+        this.generation++;
+        this.pending.clear();
+        if (this.entries.size === 0) return;
+        
+        this.stats.invalidations++;
+        this.entries.clear();
+        this.persist();
+    }
+    
+    /**
+     * Get a value, loading it on a miss. Stale entries are returned
+     * immediately and refreshed in the background; onRevalidate receives
+     * the fresh value. Concurrent loads of the same key are shared.
+     */
+    async fetch(key, loader, { onRevalidate } = {}) {
+        const entry = this.peek(key);
+        
+        if (entry && !entry.stale) {
+            this.stats.hits++;
+            this.touch(key);
+            return entry.value;
+        }
+        
+        if (entry) {
+            this.stats.staleHits++;
+            this.touch(key);
+            this.load(key, loader)
+                .then(value => onRevalidate?.(value))
+                .catch(error => console.error('Failed to revalidate cache entry:', error));
+            return entry.value;
+        }
+        
+        this.stats.misses++;
+        return this.load(key, loader);
+    }
+    
+    /**
+     * Run a loader once per key and cache its result
+     */
+    load(key, loader) {
+        if (this.pending.has(key)) {
+            return this.pending.get(key);
+        }
+        
+        const generation = this.generation;
+        const promise = Promise.resolve()
+            .then(loader)
+            .then(value => {
+                if (generation === this.generation) {
+                    this.set(key, value);
+                }
+                return value;
+            })
+            .finally(() => {
+                if (this.pending.get(key) === promise) {
+                    this.pending.delete(key);
+                }
+            });
+        
+        this.pending.set(key, promise);
+        return promise;
+    }
+    
+    /**
+     * Mark an entry most recently used
+     */
+    touch(key) {
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+    }
+    
+    /**
+     * Hit/miss statistics for tuning
+     */
+    getStats() {
+        const { hits, staleHits, misses } = this.stats;
+        const lookups = hits + staleHits + misses;
+        
+        return {
+            ...this.stats,
+            size: this.entries.size,
+            maxEntries: this.options.maxEntries,
+            hitRate: lookups ? (hits + staleHits) / lookups : 0
+        };
+    }
+    
+    /**
+     * Zero the statistics
+     */
+    resetStats() {
+        this.stats = {
+            hits: 0,
+            staleHits: 0,
+            misses: 0,
+            evictions: 0,
+            expired: 0,
+            invalidations: 0
+        };
+    }
+    
+    /**
+     * Load persisted entries
+     */
+    restore() {
+        const { storage, storageKey } = this.options;
+        if (!storage) return;
+        
+        try {
+            const saved = JSON.parse(storage.getItem(storageKey));
+            if (Array.isArray(saved)) {
+                this.entries = new Map(saved.slice(-this.options.maxEntries));
+            }
+        } catch (error) {
+            console.error('Failed to restore cache:', error);
+        }
+    }
+    
+    /**
+     * Write entries to storage. When over quota, drop the oldest half and retry.
+     */
+    persist() {
+        const { storage, storageKey } = this.options;
+        if (!storage) return;
+        
+        let entries = Array.from(this.entries);
+        while (entries.length > 0) {
+            try {
+                storage.setItem(storageKey, JSON.stringify(entries));
+                return;
+            } catch (error) {
+                entries = entries.slice(Math.ceil(entries.length / 2));
+            }
+        }
+        
+        try {
+            storage.removeItem(storageKey);
+        } catch (error) {
+            console.error('Failed to persist cache:', error);
+        }
+    }
+}
+
+// Make cache globally available
+window.PLSCache = PLSCache;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSCache;
+}
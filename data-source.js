@@ -0,0 +1,475 @@
+/**
+ * PLS World News - Data Sources
+ * Pluggable content adapters used by PLSWorldNews for articles, search,
+ * breaking news, weather and newsletter subscriptions
+ */
+
+class PLSDataSource {
+    /**
+     * Create a data source from a config object.
+     * Uses syndication feeds when `feeds` is configured, the REST adapter
+     * when an API base URL is configured, otherwise local fixtures.
+     */
+    static create(config = {}) {
+        if (config.feeds) {
+            return new PLSFeedDataSource({
+                feeds: config.feeds,
+                fallback: config.apiBaseUrl
+                    ? new PLSRestDataSource({ baseUrl: config.apiBaseUrl, ...config.rest })
+                    : new PLSFixtureDataSource(config.fixtures),
+                ...config.feedOptions
+            });
+        }
+        
+        if (config.apiBaseUrl) {
+            return new PLSRestDataSource({ baseUrl: config.apiBaseUrl, ...config.rest });
+        }
+        
+        return new PLSFixtureDataSource(config.fixtures);
+    }
+    
+    /**
+     * Get a page of articles for a category. options.signal (an
+     * AbortSignal) cancels the request.
+     */
+    async getArticles(category, page = 1, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement getArticles`);
+    }
+    
+    /**
+     * Get a single article, including its body
+     */
+    async getArticle(id) {
+        throw new Error(`${this.constructor.name} does not implement getArticle`);
+    }
+    
+    /**
+     * Search articles
+     */
+    async search(query) {
+        throw new Error(`${this.constructor.name} does not implement search`);
+    }
+    
+    /**
+     * Get breaking news items
+     */
+    async getBreakingNews() {
+        throw new Error(`${this.constructor.name} does not implement getBreakingNews`);
+    }
+    
+    /**
+     * Get current weather
+     */
+    async getWeather() {
+        throw new Error(`${this.constructor.name} does not implement getWeather`);
+    }
+    
+    /**
+     * Subscribe an email address to the newsletter
+     */
+    async subscribe(email) {
+        throw new Error(`${this.constructor.name} does not implement subscribe`);
+    }
+}
+
+/**
+ * REST adapter - talks to a JSON API rooted at a base URL
+ */
+class PLSRestDataSource extends PLSDataSource {
+    constructor(options = {}) {
+        super();
+        
+        if (!options.baseUrl) {
+            throw new Error('PLSRestDataSource requires a baseUrl');
+        }
+        
+        this.options = {
+            ...options,
+            endpoints: {
+                articles: '/articles',
+                search: '/search',
+                breaking: '/breaking',
+                weather: '/weather',
+                subscriptions: '/subscriptions',
+                ...options.endpoints
+            }
+        };
+        this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    }
+    
+    /**
+     * Build a request URL for an endpoint with optional query params
+     */
+    buildUrl(endpoint, params = {}) {
+        const path = this.options.endpoints[endpoint];
+        const query = new URLSearchParams();
+        
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                query.set(key, value);
+            }
+        });
+        
+        const queryString = query.toString();
+        return `${this.baseUrl}${path}${queryString ? `?${queryString}` : ''}`;
+    }
+    
+    async getArticles(category, page = 1, { signal } = {}) {
+        return PLSUtils.network.get(this.buildUrl('articles', { category, page }), { signal });
+    }
+    
+    async getArticle(id) {
+        return PLSUtils.network.get(`${this.buildUrl('articles')}/${encodeURIComponent(id)}`);
+    }
+    
+    async search(query) {
+        return PLSUtils.network.get(this.buildUrl('search', { q: query }));
+    }
+    
+    async getBreakingNews() {
+        return PLSUtils.network.get(this.buildUrl('breaking'));
+    }
+    
+    async getWeather() {
+        return PLSUtils.network.get(this.buildUrl('weather'));
+    }
+    
+    async subscribe(email) {
+        return PLSUtils.network.post(this.buildUrl('subscriptions'), { email });
+    }
+}
+
+/**
+ * Fixture adapter - generated content for local development and tests
+ */
+class PLSFixtureDataSource extends PLSDataSource {
+    constructor(options = {}) {
+        super();
+        
+        this.options = {
+            delay: 500,
+            lastPage: 3,
+            subscribeFailureRate: 0.1,
+            ...options
+        };
+        
+        // Articles handed out so far, so getArticle can return the same story
+        this.served = new Map();
+    }
+    
+    /**
+     * Simulate network delay, cut short by an aborted signal
+     */
+    wait(ms = this.options.delay, signal = null) {
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                clearTimeout(timeout);
+                reject(new DOMException('The request was aborted', 'AbortError'));
+            };
+            const timeout = setTimeout(() => {
+                signal?.removeEventListener('abort', abort);
+                resolve();
+            }, ms);
+            
+            if (signal?.aborted) abort();
+            signal?.addEventListener('abort', abort);
+        });
+    }
+    
+    /**
+     * Remember articles by id and pass them through
+     */
+    remember(articles) {
+        articles.forEach(article => this.served.set(String(article.id), article));
+        return articles;
+    }
+    
+    async getArticles(category, page = 1, { signal } = {}) {
+        if (page > 1) {
+            return this.getMoreArticles(category, page, { signal });
+        }
+        
+        await this.wait(this.options.delay, signal);
+        
+        return this.remember([
+            {
+                id: `${category}-1-1`,
+                title: `Latest ${category} News Update`,
+                excerpt: 'This is a sample article excerpt for the selected category...',
+                image: 'assets/images/news/news-1.jpg',
+                category: category,
+                date: new Date().toISOString(),
+                author: 'John Doe',
+                readTime: '5 min read'
+            },
+            {
+                id: `${category}-1-2`,
+                title: `Breaking ${category} Development`,
+                excerpt: 'Another sample article with relevant information...',
+                image: 'assets/images/news/news-2.jpg',
+                category: category,
+                date: new Date(Date.now() - 86400000).toISOString(),
+                author: 'Jane Smith',
+                readTime: '3 min read'
+            }
+        ]);
+    }
+    
+    /**
+     * Pages after the first, as returned by Load More
+     */
+    async getMoreArticles(category, page, { signal } = {}) {
+        await this.wait(800, signal);
+        
+        // Simulate no more articles
+        if (page > this.options.lastPage) return [];
+        
+        return this.remember([
+            {
+                id: `${category}-${page}-1`,
+                title: `Additional ${category} Article ${page}`,
+                excerpt: 'This is a dynamically loaded article excerpt...',
+                image: `assets/images/news/news-${(page % 6) + 1}.jpg`,
+                category: category,
+                date: new Date().toISOString(),
+                author: 'Dynamic Author',
+                readTime: '4 min read'
+            },
+            {
+                id: `${category}-${page}-2`,
+                title: `Another ${category} Story ${page}`,
+                excerpt: 'Another dynamically loaded article with interesting content...',
+                image: `assets/images/news/news-${((page + 1) % 6) + 1}.jpg`,
+                category: category,
+                date: new Date(Date.now() - 3600000).toISOString(),
+                author: 'Another Author',
+                readTime: '6 min read'
+            }
+        ]);
+    }
+    
+    async getArticle(id) {
+        await this.wait(300);
+        
+        const article = this.served.get(String(id)) || {
+            id,
+            title: 'PLS World News Story',
+            excerpt: 'This is a sample article excerpt...',
+            image: 'assets/images/news/news-1.jpg',
+            category: 'World',
+            date: new Date().toISOString(),
+            author: 'Staff Reporter'
+        };
+        const paragraph = `<p>${article.excerpt} Officials and analysts say the coming weeks will be decisive, ` +
+            'and reaction from around the world has been swift. Our correspondents have been following the story ' +
+            'from the start and will continue to report as it develops, bringing you context, analysis and the ' +
+            'voices of the people most affected.</p>';
+        const sections = ['What happened', 'Why it matters', 'Reaction', 'What comes next'];
+        
+        return {
+            ...article,
+            body: sections.map(heading => `<h2>${heading}</h2>${paragraph.repeat(3)}`).join(''),
+            tags: [article.category, 'Analysis', 'Global']
+        };
+    }
+    
+    async search(query) {
+        await this.wait();
+        
+        const results = [
+            {
+                id: `search-${query.toLowerCase()}-1`,
+                title: `Breaking: ${query} impacts global markets`,
+                excerpt: `Latest developments regarding ${query} have significant implications...`,
+                category: 'Business',
+                date: new Date().toISOString(),
+                image: 'assets/images/news/news-1.jpg',
+                url: '#'
+            },
+            {
+                id: `search-${query.toLowerCase()}-2`,
+                title: `${query} - What you need to know`,
+                excerpt: `Comprehensive analysis of ${query} and its effects on...`,
+                category: 'World',
+                date: new Date(Date.now() - 86400000).toISOString(),
+                image: 'assets/images/news/news-2.jpg',
+                url: '#'
+            },
+            {
+                id: `search-${query.toLowerCase()}-3`,
+                title: `Expert opinion on ${query}`,
+                excerpt: `Leading experts weigh in on the ${query} situation...`,
+                category: 'Politics',
+                date: new Date(Date.now() - 172800000).toISOString(),
+                image: 'assets/images/news/news-3.jpg',
+                url: '#'
+            }
+        ];
+        
+        return this.remember(results.filter(result =>
+            result.title.toLowerCase().includes(query.toLowerCase()) ||
+            result.excerpt.toLowerCase().includes(query.toLowerCase())
+        ));
+    }
+    
+    async getBreakingNews() {
+        await this.wait(300);
+        
+        return [
+            { id: 1, title: 'Global markets surge following economic announcement' },
+            { id: 2, title: 'Technology breakthrough promises revolutionary changes' },
+            { id: 3, title: 'International summit reaches historic agreement' },
+            { id: 4, title: 'Climate initiative gains worldwide support' }
+        ];
+    }
+    
+    async getWeather() {
+        await this.wait();
+        
+        return {
+            location: 'New York, NY',
+            temperature: 22,
+            condition: 'sunny',
+            humidity: 65,
+            windSpeed: 12,
+            icon: 'fas fa-sun'
+        };
+    }
+    
+    async subscribe(email) {
+        await this.wait(1000);
+        
+        // Simulate random success/failure for demo
+        if (Math.random() >= this.options.subscribeFailureRate) {
+            return { success: true, message: 'Subscribed successfully' };
+        } else {
+            throw new Error('Subscription failed');
+        }
+    }
+}
+
+/**
+ * Feed adapter - reads articles from RSS / Atom / JSON Feed documents.
+ * `feeds` maps a category key (or 'all' / 'breaking') to a feed URL;
+ * anything feeds cannot provide is delegated to the fallback source.
+ */
+class PLSFeedDataSource extends PLSDataSource {
+    constructor(options = {}) {
+        super();
+        
+        if (!options.feeds) {
+            throw new Error('PLSFeedDataSource requires a feeds map');
+        }
+        
+        this.options = {
+            pageSize: 6,
+            cacheTTL: 5 * 60 * 1000,
+            // Tabs that are not categories, shown from the whole feed
+            feedTabs: ['trending', 'breaking'],
+            ...options
+        };
+        this.feeds = typeof options.feeds === 'string' ? { all: options.feeds } : options.feeds;
+        this.fallback = options.fallback || new PLSFixtureDataSource();
+        this.cache = new Map();
+    }
+    
+    /**
+     * Fetch and parse a feed, reusing the parsed copy until it expires
+     */
+    async loadFeed(url, category, { signal } = {}) {
+        const cached = this.cache.get(url);
+        if (cached && Date.now() - cached.fetchedAt < this.options.cacheTTL) {
+            return cached.articles;
+        }
+        
+        const text = await PLSUtils.network.getText(url, { signal });
+        const articles = PLSFeedParser.parse(text, {
+            category: category && category !== 'all' ? PLSUtils.string.capitalize(category) : undefined,
+            defaultImage: this.options.defaultImage
+        });
+        
+        this.cache.set(url, { articles, fetchedAt: Date.now() });
+        return articles;
+    }
+    
+    /**
+     * All articles available for a category, newest first
+     */
+    async getAllArticles(category = 'all', options = {}) {
+        if (this.feeds[category]) {
+            const articles = await this.loadFeed(this.feeds[category], category, options);
+            // Items without a date go last
+            const time = (article) => new Date(article.date).getTime() || 0;
+            return [...articles].sort((a, b) => time(b) - time(a));
+        }
+        
+        const articles = await this.getAllArticles('all', options);
+        if (this.options.feedTabs.includes(category)) return articles;
+        
+        // A category with no stories stays empty rather than showing others
+        const key = PLSArticle.categoryKey(category);
+        return articles.filter(article => PLSArticle.categoryKey(article.category) === key);
+    }
+    
+    async getArticles(category = 'all', page = 1, options = {}) {
+        if (!this.feeds[category] && !this.feeds.all) {
+            return this.fallback.getArticles(category, page, options);
+        }
+        
+        const articles = await this.getAllArticles(category, options);
+        const start = (page - 1) * this.options.pageSize;
+        
+        return articles.slice(start, start + this.options.pageSize);
+    }
+    
+    async getArticle(id) {
+        const feeds = Object.entries(this.feeds).filter(([key]) => key !== 'breaking');
+        const lists = await Promise.all(feeds.map(([key, url]) => this.loadFeed(url, key)));
+        const article = lists.flat().find(item => String(item.id) === String(id));
+        
+        return article || this.fallback.getArticle(id);
+    }
+    
+    async search(query) {
+        const term = query.toLowerCase();
+        const feeds = Object.entries(this.feeds).filter(([key]) => key !== 'breaking');
+        const lists = await Promise.all(feeds.map(([key, url]) => this.loadFeed(url, key)));
+        const seen = new Set();
+        
+        return lists.flat().filter(article => {
+            if (seen.has(article.id)) return false;
+            seen.add(article.id);
+            
+            return article.title.toLowerCase().includes(term) ||
+                article.excerpt.toLowerCase().includes(term);
+        });
+    }
+    
+    async getBreakingNews() {
+        if (!this.feeds.breaking) {
+            return this.fallback.getBreakingNews();
+        }
+        
+        const articles = await this.loadFeed(this.feeds.breaking, 'breaking');
+        return articles.map(({ id, title, url }) => ({ id, title, url }));
+    }
+    
+    async getWeather() {
+        return this.fallback.getWeather();
+    }
+    
+    async subscribe(email) {
+        return this.fallback.subscribe(email);
+    }
+}
+
+// Make data sources globally available
+window.PLSDataSource = PLSDataSource;
+window.PLSRestDataSource = PLSRestDataSource;
+window.PLSFixtureDataSource = PLSFixtureDataSource;
+window.PLSFeedDataSource = PLSFeedDataSource;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PLSDataSource, PLSRestDataSource, PLSFixtureDataSource, PLSFeedDataSource };
+}
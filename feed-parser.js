@@ -0,0 +1,196 @@
+/**
+ * PLS World News - Feed Parser
+ * Maps RSS 2.0, Atom 1.0 and JSON Feed documents to the article shape
+ * used by renderArticles / renderArticleCard
+ */
+
+const PLSFeedParser = {
+    
+    /**
+     * Parse a feed document (XML or JSON text) into articles
+     */
+    parse(text, options = {}) {
+        const source = String(text || '').trim();
+        
+        if (!source) {
+            throw new Error('Feed is empty');
+        }
+        
+        if (source.startsWith('{')) {
+            return this.parseJsonFeed(JSON.parse(source), options);
+        }
+        
+        const doc = new DOMParser().parseFromString(source, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Feed is not well-formed XML');
+        }
+        
+        const root = doc.documentElement.localName;
+        if (root === 'rss' || root === 'RDF') {
+            return this.parseRss(doc, options);
+        }
+        if (root === 'feed') {
+            return this.parseAtom(doc, options);
+        }
+        
+        throw new Error(`Unsupported feed format: <${root}>`);
+    },
+    
+    /**
+     * Parse an RSS 2.0 document
+     */
+    parseRss(doc, options = {}) {
+        const items = Array.from(doc.getElementsByTagName('item'));
+        
+        return items.map(item => {
+            const enclosure = this.children(item, 'enclosure')
+                .find(el => (el.getAttribute('type') || 'image/').startsWith('image/'));
+            
+            return this.toArticle({
+                id: this.text(item, 'guid'),
+                title: this.text(item, 'title'),
+                url: this.text(item, 'link'),
+                summary: this.text(item, 'description') || this.text(item, 'encoded'),
+                content: this.text(item, 'encoded'),
+                image: enclosure?.getAttribute('url') || this.mediaImage(item),
+                category: this.text(item, 'category'),
+                tags: this.children(item, 'category').map(el => el.textContent.trim()),
+                author: this.text(item, 'creator') || this.rssAuthor(this.text(item, 'author')),
+                date: this.text(item, 'pubDate') || this.text(item, 'date')
+            }, options);
+        });
+    },
+    
+    /**
+     * Parse an Atom 1.0 document
+     */
+    parseAtom(doc, options = {}) {
+        const entries = Array.from(doc.getElementsByTagName('entry'));
+        
+        return entries.map(entry => {
+            const links = this.children(entry, 'link');
+            const alternate = links.find(el => !el.getAttribute('rel') || el.getAttribute('rel') === 'alternate');
+            const enclosure = links.find(el =>
+                el.getAttribute('rel') === 'enclosure' &&
+                (el.getAttribute('type') || 'image/').startsWith('image/')
+            );
+            const author = this.children(entry, 'author')[0];
+            const categories = this.children(entry, 'category')
+                .map(el => el.getAttribute('label') || el.getAttribute('term'));
+            
+            return this.toArticle({
+                id: this.text(entry, 'id'),
+                title: this.text(entry, 'title'),
+                url: alternate?.getAttribute('href'),
+                summary: this.text(entry, 'summary') || this.text(entry, 'content'),
+                content: this.text(entry, 'content'),
+                image: enclosure?.getAttribute('href') || this.mediaImage(entry),
+                category: categories[0],
+                tags: categories,
+                author: author ? this.text(author, 'name') : '',
+                date: this.text(entry, 'published') || this.text(entry, 'updated')
+            }, options);
+        });
+    },
+    
+    /**
+     * Parse a JSON Feed 1.x document
+     */
+    parseJsonFeed(feed, options = {}) {
+        if (!Array.isArray(feed.items)) {
+            throw new Error('JSON Feed has no items');
+        }
+        
+        return feed.items.map(item => {
+            const author = item.authors?.[0] || item.author || feed.authors?.[0] || feed.author;
+            
+            return this.toArticle({
+                id: item.id,
+                title: item.title,
+                url: item.url || item.external_url,
+                summary: item.summary || item.content_text || item.content_html,
+                content: item.content_html || item.content_text,
+                image: item.image || item.banner_image,
+                category: item.tags?.[0],
+                tags: item.tags,
+                author: author?.name,
+                date: item.date_published || item.date_modified
+            }, options);
+        });
+    },
+    
+    /**
+     * Normalize raw feed fields into the article shape
+     */
+    toArticle(raw, options = {}) {
+        const summary = this.stripHtml(raw.summary || '');
+        const words = summary.split(/\s+/).filter(Boolean).length;
+        const date = new Date(raw.date);
+        
+        return {
+            id: raw.id || raw.url || raw.title,
+            title: this.stripHtml(raw.title || 'Untitled'),
+            excerpt: PLSUtils.string.truncate(summary, options.excerptLength || 200),
+            image: raw.image || options.defaultImage || 'assets/images/placeholder.jpg',
+            category: raw.category || options.category || 'World',
+            // Left empty when missing: PLSArticle dates it and marks it undated
+            date: isNaN(date) ? '' : date.toISOString(),
+            author: raw.author || options.author || 'Staff Reporter',
+            readTime: `${Math.max(1, Math.round(words / 200))} min read`,
+            url: raw.url || '',
+            body: raw.content || '',
+            tags: (raw.tags || []).filter(Boolean)
+        };
+    },
+    
+    /**
+     * Direct child elements matching a local name (ignores namespace prefix)
+     */
+    children(el, localName) {
+        return Array.from(el.children).filter(child => child.localName === localName);
+    },
+    
+    /**
+     * Text content of the first matching child element
+     */
+    text(el, localName) {
+        const child = this.children(el, localName)[0];
+        return child ? child.textContent.trim() : '';
+    },
+    
+    /**
+     * RSS <author> is "email (Name)" - keep the name when present
+     */
+    rssAuthor(value) {
+        const match = value.match(/\(([^)]+)\)\s*$/);
+        return match ? match[1].trim() : value;
+    },
+    
+    /**
+     * Image from Media RSS content/thumbnail elements
+     */
+    mediaImage(el) {
+        const media = this.children(el, 'content')
+            .find(child => child.getAttribute('url') && (child.getAttribute('medium') === 'image' ||
+                (child.getAttribute('type') || '').startsWith('image/')));
+        const thumbnail = el.getElementsByTagNameNS('*', 'thumbnail')[0];
+        
+        return media?.getAttribute('url') || thumbnail?.getAttribute('url') || '';
+    },
+    
+    /**
+     * Strip markup and collapse whitespace
+     */
+    stripHtml(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+};
+
+// Make feed parser globally available
+window.PLSFeedParser = PLSFeedParser;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSFeedParser;
+}
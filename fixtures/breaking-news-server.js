@@ -0,0 +1,277 @@
+/**
+ * PLS World News - Breaking News Stub Server
+ * Serves the site and a fake breaking news feed for trying out
+ * PLSBreakingNewsStream locally. Needs only Node.
+ *
+ *   node fixtures/breaking-news-server.js [port] [--interval=seconds]
+ *
+ * then open http://localhost:8080/ with
+ * PLS_CONFIG = { breakingNews: { url: '/breaking/stream' } }
+ * (or { url: '/breaking/socket', transport: 'websocket' }).
+ *
+ *   GET  /breaking/stream      Server-Sent Events
+ *   GET  /breaking/socket      WebSocket
+ *   GET  /breaking             the current items as JSON
+ *   POST /breaking/publish     publish a JSON item ({ title, priority, url, expiresAt })
+ *   POST /breaking/disconnect  drop every stream, to watch clients reconnect and resume
+ *
+ * A new item is published every interval; about one in five is urgent.
+ * Clients that reconnect with ?lastEventId= (or a Last-Event-ID header) get
+ * the events they missed, others the latest few.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = parseInt(process.argv.find(arg => /^\d+$/.test(arg)) || process.env.PORT || 8080, 10);
+const INTERVAL = parseInt((process.argv.find(arg => arg.startsWith('--interval=')) || '').split('=')[1], 10) || 15;
+
+// Events kept for clients that resume, and sent to new ones
+const MAX_EVENTS = 100;
+const INITIAL_EVENTS = 5;
+
+const TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml'
+};
+
+const HEADLINES = [
+    'Central bank announces surprise rate decision',
+    'Earthquake reported off the coast, no tsunami warning issued',
+    'Tech giant unveils new AI research lab',
+    'Historic peace talks resume after months of deadlock',
+    'Record heatwave prompts emergency measures across the region',
+    'Election results expected within the hour',
+    'Major airline grounds flights after systems outage',
+    'Scientists confirm discovery of new exoplanet',
+    'Markets rally as inflation cools',
+    'Championship final goes to extra time'
+];
+
+const events = [];
+const sseClients = new Set();
+const socketClients = new Set();
+let nextId = 1;
+
+/**
+ * Record an item as a new event and send it to every client
+ */
+function publish(item) {
+    const now = Date.now();
+    const urgent = item.priority === 'urgent';
+    const event = {
+        id: String(nextId++),
+        item: {
+            id: `stub-${nextId - 1}`,
+            title: item.title,
+            url: item.url || '',
+            priority: item.priority || 'normal',
+            publishedAt: new Date(now).toISOString(),
+            // Urgent items are pinned, so they expire sooner
+            expiresAt: item.expiresAt || new Date(now + (urgent ? 10 : 30) * 60000).toISOString()
+        }
+    };
+    
+    events.push(event);
+    events.splice(0, Math.max(0, events.length - MAX_EVENTS));
+    
+    sseClients.forEach(response => sendEvent(response, event));
+    socketClients.forEach(socket => sendFrame(socket, JSON.stringify({ id: event.id, type: 'breaking', data: event.item })));
+    console.log(`#${event.id} [${event.item.priority}] ${event.item.title}`);
+    return event;
+}
+
+function publishRandom() {
+    const roll = Math.random();
+    publish({
+        title: HEADLINES[(nextId - 1) % HEADLINES.length],
+        priority: roll < 0.2 ? 'urgent' : roll < 0.4 ? 'high' : 'normal'
+    });
+}
+
+/**
+ * Events after lastEventId, or the latest few for a new client
+ */
+function eventsSince(lastEventId) {
+    if (!lastEventId) return events.slice(-INITIAL_EVENTS);
+    
+    const index = events.findIndex(event => event.id === lastEventId);
+    // Too old to resume from: start again with the latest
+    return index === -1 ? events.slice(-INITIAL_EVENTS) : events.slice(index + 1);
+}
+
+function sendEvent(response, event) {
+    response.write(`id: ${event.id}\nevent: breaking\ndata: ${JSON.stringify(event.item)}\n\n`);
+}
+
+function handleStream(request, response, url) {
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+    });
+    response.write('retry: 3000\n\n');
+    
+    eventsSince(url.searchParams.get('lastEventId') || request.headers['last-event-id'])
+        .forEach(event => sendEvent(response, event));
+    
+    sseClients.add(response);
+    request.on('close', () => sseClients.delete(response));
+}
+
+/**
+ * Minimal WebSocket (RFC 6455): the handshake, unmasked text frames out,
+ * and close and ping frames in
+ */
+function handleUpgrade(request, socket) {
+    const url = new URL(request.url, `http://${request.headers.host}`);
+    const key = request.headers['sec-websocket-key'];
+    if (url.pathname !== '/breaking/socket' || !key) {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+    }
+    
+    const accept = crypto.createHash('sha1').update(`${key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    
+    socketClients.add(socket);
+    socket.on('data', (data) => {
+        const opcode = data[0] & 0x0f;
+        if (opcode === 0x8) {
+            socket.end(Buffer.from([0x88, 0x00]));
+        } else if (opcode === 0x9) {
+            socket.write(Buffer.from([0x8a, 0x00]));
+        }
+    });
+    socket.on('close', () => socketClients.delete(socket));
+    socket.on('error', () => socketClients.delete(socket));
+    
+    eventsSince(url.searchParams.get('lastEventId')).forEach(event => {
+        sendFrame(socket, JSON.stringify({ id: event.id, type: 'breaking', data: event.item }));
+    });
+}
+
+function sendFrame(socket, text) {
+    const payload = Buffer.from(text);
+    let header;
+    
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    socket.write(Buffer.concat([header, payload]));
+}
+
+function disconnectAll() {
+    const count = sseClients.size + socketClients.size;
+    sseClients.forEach(response => response.end());
+    socketClients.forEach(socket => socket.end(Buffer.from([0x88, 0x00])));
+    sseClients.clear();
+    socketClients.clear();
+    return count;
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+function sendJSON(response, status, data) {
+    response.writeHead(status, {
+        'Content-Type': TYPES['.json'],
+        'Access-Control-Allow-Origin': '*'
+    });
+    response.end(JSON.stringify(data));
+}
+
+/**
+ * Files of the site, with index.html for directories
+ */
+function serveFile(response, pathname) {
+    let file = path.join(ROOT, decodeURIComponent(pathname));
+    if (!file.startsWith(ROOT)) {
+        response.writeHead(403);
+        response.end();
+        return;
+    }
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+        file = path.join(file, 'index.html');
+    }
+    
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream' });
+        response.end(data);
+    });
+}
+
+const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host}`);
+    
+    try {
+        if (request.method === 'GET' && url.pathname === '/breaking/stream') {
+            handleStream(request, response, url);
+        } else if (request.method === 'GET' && url.pathname === '/breaking') {
+            sendJSON(response, 200, events.slice(-INITIAL_EVENTS).map(event => event.item));
+        } else if (request.method === 'POST' && url.pathname === '/breaking/publish') {
+            const item = JSON.parse(await readBody(request) || '{}');
+            if (!item.title) {
+                sendJSON(response, 400, { error: 'title is required' });
+                return;
+            }
+            sendJSON(response, 201, publish(item));
+        } else if (request.method === 'POST' && url.pathname === '/breaking/disconnect') {
+            sendJSON(response, 200, { disconnected: disconnectAll() });
+        } else if (request.method === 'GET') {
+            serveFile(response, url.pathname);
+        } else {
+            sendJSON(response, 405, { error: 'Method not allowed' });
+        }
+    } catch (error) {
+        sendJSON(response, 400, { error: error.message });
+    }
+});
+
+server.on('upgrade', handleUpgrade);
+
+server.listen(PORT, () => {
+    console.log(`Breaking news stub on http://localhost:${PORT}/ - a new item every ${INTERVAL}s`);
+    for (let i = 0; i < INITIAL_EVENTS; i++) publishRandom();
+    setInterval(publishRandom, INTERVAL * 1000);
+});
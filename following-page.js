@@ -0,0 +1,312 @@
+/**
+ * PLS World News - Following Page
+ * Stories from every followed topic, author and category in one list,
+ * newest first, with unread counts per follow, a filter for one follow
+ * (kept in the URL as ?follow=) and JSON export/import.
+ */
+
+class PLSFollowingPage {
+    constructor(container, app, options = {}) {
+        this.container = container;
+        this.app = app;
+        this.options = {
+            filename: 'pls-follows',
+            maxArticles: 50,
+            ...options
+        };
+        
+        this.filter = this.readFilter();
+        this.articles = [];
+        // Stories that were unread when the page was opened, marked New
+        this.newIds = new Set();
+        this.loading = false;
+        this.error = null;
+        this.requestId = 0;
+        
+        this.handlePopState = this.handlePopState.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+        this.handleFollowsChange = this.handleFollowsChange.bind(this);
+        
+        this.init();
+    }
+    
+    init() {
+        if (!this.container) return;
+        
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('change', this.handleChange);
+        window.addEventListener('popstate', this.handlePopState);
+        document.addEventListener(this.app.follows.options.eventName, this.handleFollowsChange);
+        
+        this.load();
+    }
+    
+    readFilter() {
+        return new URLSearchParams(window.location.search).get('follow') || '';
+    }
+    
+    setFilter(key) {
+        this.filter = key;
+        history.pushState(null, '', `${window.location.pathname}${key ? `?follow=${encodeURIComponent(key)}` : ''}`);
+        this.render();
+        this.container.querySelector('.following-filter[aria-pressed="true"]')?.focus();
+        this.markShownRead();
+    }
+    
+    handlePopState() {
+        this.filter = this.readFilter();
+        this.render();
+        this.markShownRead();
+    }
+    
+    /**
+     * Load stories for everything followed, then count and show what is new
+     */
+    async load() {
+        const requestId = ++this.requestId;
+        const follows = this.app.follows;
+        this.loading = follows.getAll().length > 0;
+        this.error = null;
+        this.render();
+        if (!this.loading) return;
+        
+        try {
+            const articles = await this.app.loadFollowedArticles();
+            if (requestId !== this.requestId) return;
+            
+            follows.checkForMatches(articles);
+            this.articles = articles;
+            follows.getAll().forEach(follow => follow.unread.forEach(id => this.newIds.add(id)));
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            
+            this.app.logError('Following', error);
+            this.error = this.app.describeError(error, 'Stories for what you follow could not be loaded.');
+        }
+        
+        this.loading = false;
+        this.render();
+        this.markShownRead();
+    }
+    
+    /**
+     * Follows whose stories are on screen
+     */
+    getShownFollows() {
+        const follows = this.app.follows.getAll();
+        return this.filter ? follows.filter(follow => follow.key === this.filter) : follows;
+    }
+    
+    /**
+     * Stories shown have been seen: clear their follows' unread counts. The
+     * counts on screen stay until the page is next rendered.
+     */
+    markShownRead() {
+        if (this.loading || this.error) return;
+        this.app.follows.markRead(this.getShownFollows().map(follow => follow.key));
+    }
+    
+    /**
+     * Stories of the shown follows, newest first: [{ article, follows }]
+     */
+    getItems() {
+        const shown = this.getShownFollows();
+        
+        return this.articles
+            .map(article => ({ article, follows: this.app.follows.matching(article, shown) }))
+            .filter(item => item.follows.length > 0)
+            .sort((a, b) => new Date(b.article.date) - new Date(a.article.date))
+            .slice(0, this.options.maxArticles);
+    }
+    
+    render() {
+        const { html } = PLSTemplate;
+        const follows = this.app.follows.getAll();
+        const unread = follows.reduce((total, follow) => total + follow.unread.length, 0);
+        
+        // A follow named in the URL that has since been unfollowed
+        if (this.filter && !follows.some(follow => follow.key === this.filter)) {
+            this.filter = '';
+        }
+        
+        document.title = unread > 0 ? `Following (${unread}) - PLS World News` : 'Following - PLS World News';
+        this.container.toggleAttribute('aria-busy', this.loading);
+        
+        PLSTemplate.render(this.container, html`
+            <div class="search-page-header following-header">
+                <h2><i class="fas fa-user-check"></i> Following</h2>
+                <div class="search-page-summary">
+                    <p aria-live="polite">
+                        ${follows.length === 0 ? 'You do not follow anything yet' : `Following ${follows.length}, ${unread} new stor${unread === 1 ? 'y' : 'ies'}`}
+                    </p>
+                    <div class="reading-list-transfer">
+                        <a href="reading-list.html" class="reading-list-action">
+                            <i class="fas fa-bookmark"></i> Reading list
+                        </a>
+                        <button type="button" class="reading-list-action" data-following-action="export"${follows.length === 0 ? ' disabled' : ''}>
+                            <i class="fas fa-download"></i> Export
+                        </button>
+                        <label class="reading-list-action">
+                            <i class="fas fa-upload"></i> Import
+                            <input type="file" name="import" accept="application/json,.json" class="sr-only">
+                        </label>
+                    </div>
+                </div>
+            </div>
+            
+            ${follows.length === 0 ? html`
+                <div class="search-no-results">
+                    <i class="fas fa-user-plus"></i>
+                    <h4>Nothing followed yet</h4>
+                    <p>Use the Follow buttons on trending topics, category sections, authors and article tags. Their new stories are collected here.</p>
+                </div>
+            ` : html`
+                <ul class="following-list" aria-label="What you follow">
+                    <li>
+                        <button type="button" class="following-filter" data-follow-filter="" aria-pressed="${!this.filter}">All</button>
+                    </li>
+                    ${follows.map(follow => html`
+                        <li class="following-item">
+                            <button type="button" class="following-filter" data-follow-filter="${follow.key}" aria-pressed="${follow.key === this.filter}">
+                                <i class="fas ${PLSFollows.types[follow.type].icon}" aria-hidden="true"></i>
+                                <span class="sr-only">${PLSFollows.types[follow.type].label}:</span>
+                                ${follow.label}
+                                ${follow.unread.length > 0 && html`
+                                    <span class="search-alert-badge" aria-label="${follow.unread.length} new">${follow.unread.length > 99 ? '99+' : follow.unread.length}</span>
+                                `}
+                            </button>
+                            <button type="button" class="following-unfollow" data-following-action="unfollow" data-type="${follow.type}" data-value="${follow.value}"
+                                aria-label="Unfollow ${follow.label}">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </li>
+                    `)}
+                </ul>
+                <div class="news-grid following-feed"></div>
+            `}
+        `);
+        
+        const feed = this.container.querySelector('.following-feed');
+        if (feed) this.renderFeed(feed);
+    }
+    
+    renderFeed(feed) {
+        const { html } = PLSTemplate;
+        const items = this.getItems();
+        
+        if (this.loading) {
+            PLSTemplate.render(feed, html`
+                <div class="search-loading"><i class="fas fa-spinner fa-spin"></i> Loading stories...</div>
+            `);
+            return;
+        }
+        
+        if (this.error || items.length === 0) {
+            PLSTemplate.render(feed, html`
+                <div class="search-no-results">
+                    <i class="fas ${this.error ? 'fa-exclamation-triangle' : 'fa-inbox'}"></i>
+                    <h4>${this.error ? 'Something went wrong' : 'No stories yet'}</h4>
+                    <p>${this.error || 'New stories for what you follow will show up here.'}</p>
+                </div>
+            `);
+            return;
+        }
+        
+        const labels = new Map(items.map(({ article, follows }) => [
+            article.id,
+            `${this.newIds.has(article.id) ? 'New · ' : ''}${follows.map(follow => follow.label).join(', ')}`
+        ]));
+        
+        PLSTemplate.renderList(feed, items.map(item => item.article), {
+            render: article => this.app.renderArticleCard(article, { reason: labels.get(article.id) })
+        });
+        this.app.initializeLazyLoading(feed);
+    }
+    
+    /**
+     * Download the follows as a JSON file
+     */
+    exportFollows() {
+        const blob = new Blob([this.app.follows.export()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.options.filename}-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+    
+    async importFollows(file) {
+        try {
+            const { added, skipped } = this.app.follows.import(await file.text(), {
+                currentMatches: this.app.searchIndex.documents()
+            });
+            const parts = [`${added} added`, skipped > 0 && `${skipped} skipped`].filter(Boolean);
+            this.app.showNotification(`Follows imported: ${parts.join(', ')}`, added > 0 ? 'success' : 'info');
+        } catch (error) {
+            const message = error instanceof PLSFollowsError ? error.message : 'Your follows could not be imported';
+            if (!(error instanceof PLSFollowsError)) this.app.logError('Following', error);
+            this.app.showNotification(message, 'error');
+        }
+    }
+    
+    /**
+     * Followed (here or elsewhere) or imported: load stories for the new
+     * follows. Otherwise only the counts and list change.
+     */
+    handleFollowsChange(e) {
+        const action = e.detail?.action;
+        
+        if (['follow', 'import'].includes(action)) {
+            this.load();
+        } else if (action !== 'read' && !this.loading) {
+            this.render();
+        }
+    }
+    
+    handleClick(e) {
+        const filter = e.target.closest('[data-follow-filter]');
+        if (filter) {
+            this.setFilter(filter.dataset.followFilter);
+            return;
+        }
+        
+        const button = e.target.closest('[data-following-action]');
+        if (!button || button.disabled) return;
+        
+        if (button.dataset.followingAction === 'export') {
+            this.exportFollows();
+        } else if (button.dataset.followingAction === 'unfollow') {
+            this.app.follows.unfollow(button.dataset.type, button.dataset.value);
+            // The item is gone: keep focus in the list
+            this.container.querySelector('.following-filter')?.focus();
+        }
+    }
+    
+    handleChange(e) {
+        const { target } = e;
+        
+        if (target.matches('input[name="import"]') && target.files[0]) {
+            this.importFollows(target.files[0]);
+            target.value = '';
+        }
+    }
+    
+    destroy() {
+        this.requestId++;
+        this.container.removeEventListener('click', this.handleClick);
+        this.container.removeEventListener('change', this.handleChange);
+        window.removeEventListener('popstate', this.handlePopState);
+        document.removeEventListener(this.app.follows.options.eventName, this.handleFollowsChange);
+    }
+}
+
+// Make following page globally available
+window.PLSFollowingPage = PLSFollowingPage;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSFollowingPage;
+}
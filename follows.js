@@ -0,0 +1,275 @@
+/**
+ * PLS World News - Follows
+ * Topics, authors and categories the reader follows, persisted in
+ * localStorage with the stories not yet seen for each. Follows can be
+ * exported and imported as JSON.
+ *
+ *   follows.follow('author', 'Jane Smith');
+ *   follows.checkForMatches(articles); // [{ follow, articles }]
+ */
+
+class PLSFollowsError extends Error {
+    constructor(message, cause = null) {
+        super(message);
+        this.name = 'PLSFollowsError';
+        this.cause = cause;
+    }
+}
+
+class PLSFollows {
+    constructor(options = {}) {
+        this.options = {
+            storageKey: 'pls_follows',
+            eventName: 'plsFollowsChange',
+            maxFollows: 50,
+            maxSeen: 200,
+            exportVersion: 1,
+            ...options
+        };
+    }
+    
+    /**
+     * Kinds of follow and how each is shown
+     */
+    static get types() {
+        return {
+            topic: { label: 'Topic', icon: 'fa-hashtag' },
+            author: { label: 'Author', icon: 'fa-user' },
+            category: { label: 'Category', icon: 'fa-folder' }
+        };
+    }
+    
+    /**
+     * Comparable value: a category key, or lowercase text without a leading #
+     */
+    static normalize(type, value) {
+        const text = String(value ?? '').trim().replace(/\s+/g, ' ');
+        if (type === 'category') return PLSArticle.categoryKey(text);
+        return text.replace(/^#/, '').toLowerCase();
+    }
+    
+    /**
+     * Lookup key for a follow: topic:climate summit, author:jane smith, category:politics
+     */
+    static key(type, value) {
+        return `${type}:${PLSFollows.normalize(type, value)}`;
+    }
+    
+    /**
+     * Follows, most recent first:
+     * [{ key, type, value, label, followedAt, seen, unread }]
+     * where unread holds the ids of stories found since it was last viewed
+     */
+    getAll() {
+        return PLSUtils.storage.get(this.options.storageKey, []);
+    }
+    
+    get(type, value) {
+        const key = PLSFollows.key(type, value);
+        return this.getAll().find(follow => follow.key === key) || null;
+    }
+    
+    has(type, value) {
+        return this.get(type, value) !== null;
+    }
+    
+    /**
+     * Whether an article belongs to a follow: its category, its author, or
+     * for a topic a tag or the words of the topic
+     */
+    matches(follow, article) {
+        switch (follow.type) {
+            case 'category':
+                return article.categoryKey === follow.value;
+            case 'author':
+                return PLSFollows.normalize('author', article.author) === follow.value;
+            case 'topic': {
+                if ((article.tags || []).some(tag => PLSFollows.normalize('topic', tag) === follow.value)) return true;
+                try {
+                    return PLSSearchQuery.matches(article, PLSSearchQuery.parse(follow.value));
+                } catch (error) {
+                    return false;
+                }
+            }
+            default:
+                return false;
+        }
+    }
+    
+    /**
+     * Follows an article belongs to
+     */
+    matching(article, follows = this.getAll()) {
+        return follows.filter(follow => this.matches(follow, article));
+    }
+    
+    /**
+     * Follow something. Stories it already matches are marked as seen so
+     * that only later arrivals count as unread. Returns false if it is
+     * already followed or the limit is reached.
+     */
+    follow(type, value, { label = value, currentMatches = [] } = {}) {
+        if (!PLSFollows.types[type] || !PLSFollows.normalize(type, value)) return false;
+        
+        const follows = this.getAll();
+        const key = PLSFollows.key(type, value);
+        if (follows.some(follow => follow.key === key) || follows.length >= this.options.maxFollows) return false;
+        
+        const follow = {
+            key,
+            type,
+            value: PLSFollows.normalize(type, value),
+            label: String(label).trim(),
+            followedAt: new Date().toISOString(),
+            seen: [],
+            unread: []
+        };
+        follow.seen = this.seenIds(follow, currentMatches);
+        
+        follows.unshift(follow);
+        PLSUtils.storage.set(this.options.storageKey, follows);
+        this.notify('follow', [key]);
+        return true;
+    }
+    
+    unfollow(type, value) {
+        const key = PLSFollows.key(type, value);
+        const follows = this.getAll();
+        const kept = follows.filter(follow => follow.key !== key);
+        if (kept.length === follows.length) return false;
+        
+        PLSUtils.storage.set(this.options.storageKey, kept);
+        this.notify('unfollow', [key]);
+        return true;
+    }
+    
+    /**
+     * Clear the unread stories of some follows (all of them by default)
+     */
+    markRead(keys = null) {
+        const only = keys && new Set([].concat(keys));
+        const follows = this.getAll();
+        const changed = follows.filter(follow => (!only || only.has(follow.key)) && follow.unread.length > 0);
+        if (changed.length === 0) return;
+        
+        changed.forEach(follow => {
+            follow.unread = [];
+        });
+        PLSUtils.storage.set(this.options.storageKey, follows);
+        this.notify('read', changed.map(follow => follow.key));
+    }
+    
+    /**
+     * Ids of the articles a new follow already matches
+     */
+    seenIds(follow, articles) {
+        return articles
+            .filter(article => this.matches(follow, article))
+            .map(article => String(article.id))
+            .slice(0, this.options.maxSeen);
+    }
+    
+    /**
+     * Compare fresh articles against every follow. Returns
+     * [{ follow, articles }] for follows with stories not seen before.
+     */
+    checkForMatches(articles = []) {
+        const follows = this.getAll();
+        const alerts = [];
+        
+        follows.forEach(follow => {
+            const seen = new Set(follow.seen);
+            const matches = articles.filter(article => !seen.has(String(article.id)) && this.matches(follow, article));
+            if (matches.length === 0) return;
+            
+            const ids = matches.map(article => String(article.id));
+            follow.seen = [...ids, ...follow.seen].slice(0, this.options.maxSeen);
+            follow.unread = [...ids, ...follow.unread].slice(0, this.options.maxSeen);
+            alerts.push({ follow, articles: matches });
+        });
+        
+        if (alerts.length > 0) {
+            PLSUtils.storage.set(this.options.storageKey, follows);
+            this.notify('unread', alerts.map(alert => alert.follow.key));
+        }
+        
+        return alerts;
+    }
+    
+    /**
+     * Follows as JSON, for moving them to another browser
+     */
+    export() {
+        return JSON.stringify({
+            type: 'pls-follows',
+            version: this.options.exportVersion,
+            exportedAt: new Date().toISOString(),
+            follows: this.getAll().map(({ type, value, label, followedAt }) => ({ type, value, label, followedAt }))
+        }, null, 2);
+    }
+    
+    /**
+     * Add the follows from an export. As with follow(), currentMatches are
+     * not counted as unread. Throws PLSFollowsError if the file is not an
+     * export.
+     */
+    import(json, { currentMatches = [] } = {}) {
+        let data;
+        try {
+            data = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (error) {
+            throw new PLSFollowsError('The file is not valid JSON', error);
+        }
+        if (data?.type !== 'pls-follows' || !Array.isArray(data.follows)) {
+            throw new PLSFollowsError('The file is not a list of PLS World News follows');
+        }
+        
+        const follows = this.getAll();
+        const result = { added: 0, skipped: 0 };
+        
+        data.follows.forEach(item => {
+            const value = typeof item?.value === 'string' ? PLSFollows.normalize(item.type, item.value) : '';
+            const key = value && PLSFollows.types[item.type] ? `${item.type}:${value}` : null;
+            if (!key || follows.some(follow => follow.key === key) || follows.length >= this.options.maxFollows) {
+                result.skipped++;
+                return;
+            }
+            
+            const followedAt = new Date(item.followedAt);
+            const follow = {
+                key,
+                type: item.type,
+                value,
+                label: String(item.label || item.value).trim(),
+                followedAt: isNaN(followedAt) ? new Date().toISOString() : followedAt.toISOString(),
+                seen: [],
+                unread: []
+            };
+            follow.seen = this.seenIds(follow, currentMatches);
+            follows.push(follow);
+            result.added++;
+        });
+        
+        if (result.added > 0) {
+            PLSUtils.storage.set(this.options.storageKey, follows);
+            this.notify('import', follows.map(follow => follow.key));
+        }
+        
+        return result;
+    }
+    
+    notify(action, ids = []) {
+        document.dispatchEvent(new CustomEvent(this.options.eventName, {
+            detail: { action, ids }
+        }));
+    }
+}
+
+// Make follows globally available
+window.PLSFollows = PLSFollows;
+window.PLSFollowsError = PLSFollowsError;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PLSFollows, PLSFollowsError };
+}
@@ -0,0 +1,203 @@
+/**
+ * PLS World News - For You
+ * The "For You" tab of Latest News: the latest stories and those seen
+ * before, ranked by PLSRecommender with the reason for each, and a panel
+ * where the reader tunes or resets their interests.
+ */
+
+class PLSForYou {
+    constructor(container, app, options = {}) {
+        this.container = container;
+        this.app = app;
+        this.options = {
+            category: 'for-you',
+            limit: 20,
+            ...options
+        };
+        
+        // Article id -> "Because you read ..." for the cards shown
+        this.reasons = new Map();
+        // Categories of the stories last ranked, offered in the panel
+        this.candidates = [];
+        this.panel = null;
+        
+        this.handleClick = this.handleClick.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+        this.handleInterestsChange = this.handleInterestsChange.bind(this);
+        this.handleSignalsChange = this.handleSignalsChange.bind(this);
+        
+        this.init();
+    }
+    
+    init() {
+        if (!this.container) return;
+        
+        this.renderShell();
+        this.renderInterests();
+        
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('change', this.handleChange);
+        document.addEventListener(this.app.recommender.options.eventName, this.handleInterestsChange);
+        document.addEventListener(this.app.readingHistory.options.eventName, this.handleSignalsChange);
+        document.addEventListener(this.app.readingList.options.eventName, this.handleSignalsChange);
+        document.addEventListener(this.app.follows.options.eventName, this.handleSignalsChange);
+    }
+    
+    renderShell() {
+        const { html } = PLSTemplate;
+        
+        PLSTemplate.render(this.container, html`
+            <div class="for-you-bar">
+                <p class="for-you-summary"></p>
+                <button type="button" class="interests-toggle" aria-expanded="false" aria-controls="interestsPanel">
+                    <i class="fas fa-sliders-h"></i> Your interests
+                </button>
+            </div>
+            <div class="interests-panel" id="interestsPanel" hidden></div>
+        `);
+        
+        this.panel = this.container.querySelector('.interests-panel');
+    }
+    
+    /**
+     * Ranked articles for the tab, remembering the reason for each. Stories
+     * seen before are ranked too, so the tab still works offline.
+     */
+    async load({ signal } = {}) {
+        let latest = [];
+        try {
+            latest = this.app.normalizeArticles(await this.app.dataSource.getArticles('all', 1, { signal }));
+        } catch (error) {
+            if (signal?.aborted || this.app.searchIndex.size === 0) throw error;
+            this.app.logError('For You', error);
+        }
+        
+        const candidates = this.app.normalizeArticles([...latest, ...this.app.searchIndex.documents()]);
+        const ranked = this.app.recommender.rank(candidates, { limit: this.options.limit });
+        
+        this.candidates = candidates;
+        ranked.forEach(({ article, reason }) => {
+            if (reason) {
+                this.reasons.set(article.id, reason);
+            } else {
+                this.reasons.delete(article.id);
+            }
+        });
+        this.renderInterests();
+        
+        return ranked.map(item => item.article);
+    }
+    
+    /**
+     * Summary line and the tuning panel
+     */
+    renderInterests() {
+        const { html } = PLSTemplate;
+        const recommender = this.app.recommender;
+        const interests = recommender.interests(this.candidates);
+        
+        this.container.querySelector('.for-you-summary').textContent = recommender.hasSignals()
+            ? 'Picked for you from what you read on this device.'
+            : 'Read a few stories and this tab will learn what you like. Until then, here is the latest.';
+        
+        PLSTemplate.render(this.panel, html`
+            <h3>Your interests</h3>
+            <p class="interests-note">
+                <i class="fas fa-lock"></i>
+                Worked out on this device from the stories you read, how long you spend on them and what you save.
+                Nothing is sent to us.
+            </p>
+            ${interests.length === 0
+                ? html`<p class="interests-empty">No interests yet.</p>`
+                : html`
+                    <ul class="interests-list">
+                        ${interests.map(interest => html`
+                            <li class="interest-item">
+                                <label for="interest-${interest.key}">${interest.label}</label>
+                                <span class="interest-meter" aria-hidden="true">
+                                    <span style="width: ${Math.round(interest.share * 100)}%"></span>
+                                </span>
+                                <select id="interest-${interest.key}" name="interest-level" data-category="${interest.key}" data-label="${interest.label}">
+                                    ${PLSRecommender.levels.map(level => html`
+                                        <option value="${level.value}"${level.value === interest.level ? ' selected' : ''}>${level.label}</option>
+                                    `)}
+                                </select>
+                            </li>
+                        `)}
+                    </ul>
+                `}
+            <button type="button" class="reading-list-action danger" data-interests-action="reset">
+                <i class="fas fa-undo"></i> Reset interests
+            </button>
+        `);
+    }
+    
+    /**
+     * Reason label for a card in the tab, if it has one
+     */
+    reasonFor(article) {
+        return this.reasons.get(article.id) || null;
+    }
+    
+    handleClick(e) {
+        const toggle = e.target.closest('.interests-toggle');
+        if (toggle) {
+            const expanded = toggle.getAttribute('aria-expanded') !== 'true';
+            toggle.setAttribute('aria-expanded', String(expanded));
+            this.panel.hidden = !expanded;
+            return;
+        }
+        
+        if (e.target.closest('[data-interests-action="reset"]')) {
+            if (!window.confirm('Forget your interests? Your reading history, reading list and follows are kept.')) return;
+            this.app.recommender.reset();
+            this.app.showNotification('Your interests have been reset', 'info', 3000);
+        }
+    }
+    
+    handleChange(e) {
+        const select = e.target.closest('select[name="interest-level"]');
+        if (select) {
+            this.app.recommender.setLevel(select.dataset.category, select.value, { label: select.dataset.label });
+        }
+    }
+    
+    /**
+     * Tuned or reset: rank the tab again
+     */
+    handleInterestsChange() {
+        // Keep focus on the select that was changed
+        const focused = document.activeElement?.id;
+        
+        this.renderInterests();
+        if (focused && document.activeElement?.id !== focused) {
+            document.getElementById(focused)?.focus();
+        }
+        this.app.newsTabs?.reload(this.options.category);
+    }
+    
+    /**
+     * Something was read, saved or followed: rank again the next time the
+     * tab is shown
+     */
+    handleSignalsChange() {
+        this.app.newsTabs?.forget(this.options.category);
+    }
+    
+    destroy() {
+        this.container.removeEventListener('click', this.handleClick);
+        this.container.removeEventListener('change', this.handleChange);
+        document.removeEventListener(this.app.recommender.options.eventName, this.handleInterestsChange);
+        document.removeEventListener(this.app.readingHistory.options.eventName, this.handleSignalsChange);
+        document.removeEventListener(this.app.readingList.options.eventName, this.handleSignalsChange);
+        document.removeEventListener(this.app.follows.options.eventName, this.handleSignalsChange);
+    }
+}
+
+// Make For You globally available
+window.PLSForYou = PLSForYou;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSForYou;
+}
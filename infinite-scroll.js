@@ -0,0 +1,280 @@
+/**
+ * PLS World News - Infinite Scroll
+ * Paged news grid that loads the next page when a sentinel scrolls into
+ * view (or on a Load More click), stops at a page cap and keeps the loaded
+ * page count and scroll position in the URL and history state so a reload
+ * or back navigation restores the same list.
+ */
+
+class PLSInfiniteScroll {
+    constructor(grid, app, options = {}) {
+        this.grid = grid;
+        this.app = app;
+        this.options = {
+            category: 'all',
+            infinite: true,
+            maxPages: 10,
+            rootMargin: '600px 0px',
+            param: 'page',
+            button: null,
+            ...options
+        };
+        
+        this.button = this.options.button;
+        this.section = this.button?.closest('.load-more-section') || null;
+        this.category = this.options.category;
+        this.articles = [];
+        this.page = 1;
+        this.loading = false;
+        this.done = false;
+        this.requestId = 0;
+        
+        this.saveScrollPosition = this.app.debounce(() => this.updateHistory({ scrollY: window.scrollY }), 150);
+        
+        this.init();
+    }
+    
+    init() {
+        if (!this.grid) return;
+        
+        this.status = PLSTemplate.toElement(PLSTemplate.html`<div class="sr-only" role="status" aria-live="polite"></div>`);
+        this.end = PLSTemplate.toElement(PLSTemplate.html`
+            <p class="load-more-end" hidden>
+                <i class="fas fa-check-circle"></i> You're all caught up.
+                <a href="search.html">Search the archive</a> for older stories.
+            </p>
+        `);
+        (this.section || this.grid).after(this.status, this.end);
+        
+        if (this.options.infinite && 'IntersectionObserver' in window) {
+            this.sentinel = PLSTemplate.toElement(PLSTemplate.html`<div class="infinite-scroll-sentinel" aria-hidden="true"></div>`);
+            this.grid.after(this.sentinel);
+            
+            this.observer = new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadNext();
+                }
+            }, { rootMargin: this.options.rootMargin });
+            this.observer.observe(this.sentinel);
+            
+            // The button is only the fallback when automatic loading fails
+            this.setButtonVisible(false);
+        }
+        
+        window.addEventListener('scroll', this.saveScrollPosition, { passive: true });
+        
+        this.restore();
+    }
+    
+    /**
+     * Page count requested by the URL (?page=3), within the cap
+     */
+    readPage() {
+        const page = parseInt(new URLSearchParams(window.location.search).get(this.options.param), 10);
+        return page > 1 ? Math.min(page, this.options.maxPages) : 1;
+    }
+    
+    /**
+     * Load pages up to target (by default the one named in the URL), then
+     * return to the saved scroll position
+     */
+    async restore(target = this.readPage()) {
+        const category = this.category;
+        const scrollY = history.state?.scrollY;
+        
+        if (target > 1 && 'scrollRestoration' in history) {
+            // The browser would scroll before the extra pages are back
+            history.scrollRestoration = 'manual';
+        }
+        
+        while (this.page < target && !this.done) {
+            if (!await this.loadNext({ announce: false })) break;
+        }
+        
+        // Not if the list was switched to another category meanwhile
+        if (target > 1 && typeof scrollY === 'number' && this.category === category) {
+            window.scrollTo(0, scrollY);
+        }
+    }
+    
+    /**
+     * Load and append the next page. Resolves to true if articles were added.
+     */
+    async loadNext({ announce = true } = {}) {
+        if (this.loading || this.done) return false;
+        
+        if (this.page >= this.options.maxPages) {
+            this.finish();
+            return false;
+        }
+        
+        const requestId = ++this.requestId;
+        const page = this.page + 1;
+        this.controller = new AbortController();
+        this.loading = true;
+        this.setButtonLoading(true);
+        
+        try {
+            const articles = this.app.normalizeArticles(
+                await this.app.dataSource.getArticles(this.category, page, { signal: this.controller.signal })
+            );
+            if (requestId !== this.requestId) return false;
+            
+            if (articles.length === 0) {
+                this.finish();
+                return false;
+            }
+            
+            // Duplicates of cards already shown are updated in place
+            PLSTemplate.renderList(this.grid, this.app.excludeShown(articles, this.grid), {
+                render: article => this.app.renderArticleCard(article),
+                append: true
+            });
+            this.app.indexArticles(articles);
+            this.app.initializeLazyLoading(this.grid);
+            
+            this.articles.push(...articles);
+            this.page = page;
+            this.updateHistory({ [this.options.param]: page });
+            
+            if (announce) {
+                this.status.textContent = `Loaded ${articles.length} more articles`;
+                if (!this.observer) {
+                    this.app.showNotification(`Loaded ${articles.length} more articles`, 'success', 2000);
+                }
+            }
+            if (this.page >= this.options.maxPages) {
+                this.finish();
+            }
+            return true;
+        } catch (error) {
+            if (requestId !== this.requestId) return false;
+            
+            console.error('Load more failed:', error);
+            this.app.showNotification(
+                this.app.describeError(error, 'Failed to load more articles'),
+                this.app.errorNotificationType(error)
+            );
+            
+            // Stop loading automatically and let the reader retry by hand
+            this.observer?.disconnect();
+            this.observer = null;
+            this.setButtonVisible(true);
+            return false;
+        } finally {
+            if (requestId === this.requestId) {
+                this.loading = false;
+                this.setButtonLoading(false);
+            }
+        }
+    }
+    
+    /**
+     * Start over with page 1 of another category (its first page is
+     * rendered by the caller)
+     */
+    reset(category = this.category) {
+        this.requestId++;
+        this.controller?.abort();
+        this.category = category;
+        this.articles = [];
+        this.page = 1;
+        this.loading = false;
+        this.done = false;
+        this.end.hidden = true;
+        this.setButtonLoading(false);
+        this.setButtonVisible(!this.observer);
+        this.updateHistory({ [this.options.param]: 1 });
+    }
+    
+    /**
+     * The list as it stands, to put back later with setState()
+     */
+    getState() {
+        return {
+            category: this.category,
+            page: this.page,
+            done: this.done,
+            articles: [...this.articles]
+        };
+    }
+    
+    /**
+     * Take over a list the caller has rendered: a saved state or a freshly
+     * loaded first page
+     */
+    setState({ category = this.category, page = 1, done = false, articles = [] } = {}) {
+        this.reset(category);
+        this.articles = [...articles];
+        this.page = page;
+        this.updateHistory({ [this.options.param]: page });
+        
+        if (done) {
+            this.done = true;
+            this.end.hidden = false;
+            this.setButtonVisible(false);
+        }
+    }
+    
+    /**
+     * No more pages: hide the button and stop observing
+     */
+    finish() {
+        this.done = true;
+        this.setButtonVisible(false);
+        this.end.hidden = false;
+        this.status.textContent = 'No more articles to load';
+    }
+    
+    /**
+     * Merge values into the current history entry. The page number also
+     * goes into the URL (page 1 is left out).
+     */
+    updateHistory(values) {
+        const url = new URL(window.location.href);
+        const param = this.options.param;
+        
+        if (param in values) {
+            if (values[param] > 1) {
+                url.searchParams.set(param, values[param]);
+            } else {
+                url.searchParams.delete(param);
+            }
+        }
+        
+        history.replaceState({ ...history.state, ...values }, '', url.href);
+    }
+    
+    setButtonVisible(visible) {
+        if (this.button) {
+            this.button.style.display = visible ? '' : 'none';
+        }
+    }
+    
+    setButtonLoading(loading) {
+        if (!this.button) return;
+        
+        this.button.disabled = loading;
+        PLSTemplate.render(this.button, loading
+            ? PLSTemplate.html`<i class="fas fa-spinner fa-spin"></i> Loading...`
+            : PLSTemplate.html`<i class="fas fa-plus"></i> Load More News`);
+    }
+    
+    destroy() {
+        this.requestId++;
+        this.controller?.abort();
+        this.observer?.disconnect();
+        this.sentinel?.remove();
+        this.status?.remove();
+        this.end?.remove();
+        window.removeEventListener('scroll', this.saveScrollPosition);
+    }
+}
+
+// Make infinite scroll globally available
+window.PLSInfiniteScroll = PLSInfiniteScroll;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSInfiniteScroll;
+}
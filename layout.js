@@ -0,0 +1,321 @@
+/**
+ * PLS World News - Page Layout
+ * The breaking news bar, header and footer shared by the pages other than
+ * the home page (search, article, reading list, history and following).
+ * Those pages hold placeholders, and PLSWorldNews renders this markup into
+ * them before setting anything else up, so the chrome is kept in one place.
+ *
+ *   <div data-layout="header"></div> ... <div data-layout="footer"></div>
+ */
+
+const PLSLayout = {
+    
+    /**
+     * Breaking news bar, top bar, masthead and navigation
+     */
+    header() {
+        return PLSTemplate.html`
+            <!-- Breaking News Ticker -->
+            <div class="breaking-news-ticker" id="breakingNewsTicker">
+                <div class="ticker-content">
+                    <span class="ticker-label">
+                        <i class="fas fa-bolt"></i> BREAKING
+                    </span>
+                    <div class="ticker-pinned" hidden></div>
+                    <div class="ticker-text">
+                        <span>Major economic summit concludes with historic trade agreements...</span>
+                        <span>Technology breakthrough promises revolutionary changes in healthcare...</span>
+                        <span>International climate accord signed by 50+ nations...</span>
+                    </div>
+                </div>
+            </div>
+            <!-- Header -->
+            <header class="header">
+                <!-- Top Bar -->
+                <div class="top-bar">
+                    <div class="container">
+                        <div class="top-bar-content">
+                            <div class="date-weather">
+                                <span class="current-date" id="currentDate"></span>
+                                <span class="weather-info" id="weatherInfo">
+                                    <i class="fas fa-cloud-sun"></i> 24°C
+                                </span>
+                            </div>
+                            <div class="social-links">
+                                <a href="https://facebook.com/plsworldnews" aria-label="Facebook">
+                                    <i class="fab fa-facebook-f"></i>
+                                </a>
+                                <a href="https://twitter.com/plsworldnews" aria-label="Twitter">
+                                    <i class="fab fa-twitter"></i>
+                                </a>
+                                <a href="https://instagram.com/plsworldnews" aria-label="Instagram">
+                                    <i class="fab fa-instagram"></i>
+                                </a>
+                                <a href="https://youtube.com/plsworldnews" aria-label="YouTube">
+                                    <i class="fab fa-youtube"></i>
+                                </a>
+                                <a href="www.linkedin.com/in/peter-eluwade-5b8a73363" aria-label="LinkedIn">
+                                    <i class="fab fa-linkedin-in"></i>
+                                </a>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+                <!-- Main Header -->
+                <div class="main-header">
+                    <div class="container">
+                        <div class="header-content">
+                            <div class="logo">
+                                <a href="index.html">
+                                    <img src="assets/images/logo.png" alt="PLS World News">
+                                    <div class="logo-text">
+                                        <h1>PLS World News</h1>
+                                        <span>Truth • Integrity • Excellence</span>
+                                    </div>
+                                </a>
+                            </div>
+                            <div class="header-actions">
+                                <div class="search-container">
+                                    <form class="search-form" action="search.html" method="GET">
+                                        <input type="text" name="q" placeholder="Search news..." aria-label="Search news" required>
+                                        <button type="submit" aria-label="Search">
+                                            <i class="fas fa-search"></i>
+                                        </button>
+                                    </form>
+                                </div>
+                                <div class="header-buttons">
+                                    <a href="reading-list.html" class="reading-list-link">
+                                        <i class="fas fa-bookmark" aria-hidden="true"></i>
+                                        <span class="sr-only">Reading list</span>
+                                        <span class="reading-list-count" hidden></span>
+                                    </a>
+                                    <button class="newsletter-btn" onclick="openNewsletterModal()">
+                                        <i class="fas fa-envelope"></i>
+                                        <span>Subscribe</span>
+                                    </button>
+                                    <button class="dark-mode-toggle" onclick="toggleDarkMode()" aria-label="Toggle Dark Mode">
+                                        <i class="fas fa-moon"></i>
+                                    </button>
+                                </div>
+                            </div>
+                            <button class="mobile-menu-toggle" onclick="toggleMobileMenu()" aria-label="Toggle Menu">
+                                <span></span>
+                                <span></span>
+                                <span></span>
+                            </button>
+                        </div>
+                    </div>
+                </div>
+                <!-- Navigation -->
+                <nav class="main-nav" id="mainNav">
+                    <div class="container">
+                        <ul class="nav-menu">
+                            <li><a href="index.html"><i class="fas fa-home"></i> Home</a></li>
+                            <li class="dropdown">
+                                <a href="world.html"><i class="fas fa-globe"></i> World <i class="fas fa-chevron-down"></i></a>
+                                <ul class="dropdown-menu">
+                                    <li><a href="world/africa.html">Africa</a></li>
+                                    <li><a href="world/asia.html">Asia</a></li>
+                                    <li><a href="world/europe.html">Europe</a></li>
+                                    <li><a href="world/americas.html">Americas</a></li>
+                                    <li><a href="world/middle-east.html">Middle East</a></li>
+                                </ul>
+                            </li>
+                            <li class="dropdown">
+                                <a href="politics.html"><i class="fas fa-landmark"></i> Politics <i class="fas fa-chevron-down"></i></a>
+                                <ul class="dropdown-menu">
+                                    <li><a href="politics/elections.html">Elections</a></li>
+                                    <li><a href="politics/government.html">Government</a></li>
+                                    <li><a href="politics/policy.html">Policy</a></li>
+                                </ul>
+                            </li>
+                            <li class="dropdown">
+                                <a href="technology.html"><i class="fas fa-microchip"></i> Technology <i class="fas fa-chevron-down"></i></a>
+                                <ul class="dropdown-menu">
+                                    <li><a href="technology/ai.html">Artificial Intelligence</a></li>
+                                    <li><a href="technology/cybersecurity.html">Cybersecurity</a></li>
+                                    <li><a href="technology/innovation.html">Innovation</a></li>
+                                </ul>
+                            </li>
+                            <li><a href="business.html"><i class="fas fa-chart-line"></i> Business</a></li>
+                            <li><a href="sports.html"><i class="fas fa-futbol"></i> Sports</a></li>
+                            <li><a href="health.html"><i class="fas fa-heartbeat"></i> Health</a></li>
+                            <li><a href="entertainment.html"><i class="fas fa-film"></i> Entertainment</a></li>
+                            <li><a href="contact.html"><i class="fas fa-envelope"></i> Contact</a></li>
+                        </ul>
+                    </div>
+                </nav>
+            </header>
+        `;
+    },
+    
+    /**
+     * Footer, back to top button, newsletter modal and notifications
+     */
+    footer() {
+        return PLSTemplate.html`
+            <!-- Footer -->
+            <footer class="footer">
+                <div class="footer-top">
+                    <div class="container">
+                        <div class="footer-grid">
+                            <!-- About Section -->
+                            <div class="footer-column">
+                                <div class="footer-logo">
+                                    <img src="assets/images/logo-white.png" alt="PLS World News">
+                                    <h3>PLS World News</h3>
+                                </div>
+                                <p>Your trusted source for breaking news, in-depth analysis, and comprehensive coverage of global events. We deliver truth with integrity and excellence.</p>
+                                <div class="footer-social">
+                                    <a href="https://facebook.com/plsworldnews" aria-label="Facebook">
+                                        <i class="fab fa-facebook-f"></i>
+                                    </a>
+                                    <a href="https://twitter.com/plsworldnews" aria-label="Twitter">
+                                        <i class="fab fa-twitter"></i>
+                                    </a>
+                                    <a href="https://instagram.com/plsworldnews" aria-label="Instagram">
+                                        <i class="fab fa-instagram"></i>
+                                    </a>
+                                    <a href="https://youtube.com/plsworldnews" aria-label="YouTube">
+                                        <i class="fab fa-youtube"></i>
+                                    </a>
+                                    <a href="https://linkedin.com/company/plsworldnews" aria-label="LinkedIn">
+                                        <i class="fab fa-linkedin-in"></i>
+                                    </a>
+                                </div>
+                            </div>
+                            <!-- Quick Links -->
+                            <div class="footer-column">
+                                <h4>Quick Links</h4>
+                                <ul class="footer-links">
+                                    <li><a href="index.html">Home</a></li>
+                                    <li><a href="about.html">About Us</a></li>
+                                    <li><a href="contact.html">Contact</a></li>
+                                    <li><a href="careers.html">Careers</a></li>
+                                    <li><a href="advertise.html">Advertise</a></li>
+                                    <li><a href="press-releases.html">Press Releases</a></li>
+                                </ul>
+                            </div>
+                            <!-- Categories -->
+                            <div class="footer-column">
+                                <h4>Categories</h4>
+                                <ul class="footer-links">
+                                    <li><a href="world.html">World News</a></li>
+                                    <li><a href="politics.html">Politics</a></li>
+                                    <li><a href="technology.html">Technology</a></li>
+                                    <li><a href="business.html">Business</a></li>
+                                    <li><a href="sports.html">Sports</a></li>
+                                    <li><a href="health.html">Health</a></li>
+                                </ul>
+                            </div>
+                            <!-- Contact Info -->
+                            <div class="footer-column">
+                                <h4>Contact Info</h4>
+                                <div class="contact-info">
+                                    <p><i class="fas fa-map-marker-alt"></i> 123 News Street, Media City, NY 10001</p>
+                                    <p><i class="fas fa-phone"></i> +1 (555) NEWS-PLS</p>
+                                    <p><i class="fas fa-envelope"></i> contact@plsworldnews.com</p>
+                                    <p><i class="fas fa-fax"></i> +1 (555) 123-4567</p>
+                                </div>
+                                <!-- Newsletter Signup -->
+                                <div class="footer-newsletter">
+                                    <h5>Subscribe to Newsletter</h5>
+                                    <form class="newsletter-form" onsubmit="subscribeFooterNewsletter(event)">
+                                        <div class="newsletter-input">
+                                            <input type="email" placeholder="Your email" required>
+                                            <button type="submit">
+                                                <i class="fas fa-paper-plane"></i>
+                                            </button>
+                                        </div>
+                                    </form>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+                <div class="footer-bottom">
+                    <div class="container">
+                        <div class="footer-bottom-content">
+                            <div class="copyright">
+                                <p>© 2024 PLS World News. All rights reserved.</p>
+                            </div>
+                            <div class="footer-bottom-links">
+                                <a href="privacy-policy.html">Privacy Policy</a>
+                                <a href="terms-of-service.html">Terms of Service</a>
+                                <a href="cookie-policy.html">Cookie Policy</a>
+                                <a href="sitemap.html">Sitemap</a>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </footer>
+            <!-- Back to Top Button -->
+            <button class="back-to-top" id="backToTop" onclick="scrollToTop()" aria-label="Back to Top">
+                <i class="fas fa-chevron-up"></i>
+            </button>
+            <!-- Newsletter Modal -->
+            <div class="modal" id="newsletterModal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3><i class="fas fa-envelope"></i> Subscribe to PLS World News</h3>
+                        <button class="modal-close" onclick="closeNewsletterModal()">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <div class="modal-body">
+                        <p>Stay informed with our daily newsletter featuring breaking news, analysis, and exclusive content.</p>
+                        <form class="modal-newsletter-form" onsubmit="subscribeModalNewsletter(event)">
+                            <div class="form-group">
+                                <label for="modalEmail">Email Address</label>
+                                <input type="email" id="modalEmail" placeholder="Enter your email" required>
+                            </div>
+                            <div class="form-group">
+                                <label class="checkbox-label">
+                                    <input type="checkbox" id="agreeTerms" required>
+                                    <span class="checkmark"></span>
+                                    I agree to the <a href="privacy-policy.html" target="_blank">Privacy Policy</a> and <a href="terms-of-service.html" target="_blank">Terms of Service</a>
+                                </label>
+                            </div>
+                            <button type="submit" class="subscribe-btn">
+                                <i class="fas fa-paper-plane"></i> Subscribe Now
+                            </button>
+                        </form>
+                        <div class="newsletter-benefits">
+                            <h4>What you'll get:</h4>
+                            <ul>
+                                <li><i class="fas fa-check"></i> Daily news digest</li>
+                                <li><i class="fas fa-check"></i> Breaking news alerts</li>
+                                <li><i class="fas fa-check"></i> Exclusive interviews</li>
+                                <li><i class="fas fa-check"></i> Weekly analysis reports</li>
+                            </ul>
+                        </div>
+                    </div>
+                </div>
+            </div>
+            <!-- Notification Container -->
+            <div class="notification-container" id="notificationContainer"></div>
+        `;
+    },
+    
+    /**
+     * Replace each [data-layout] placeholder with the part it names
+     */
+    render(root = document) {
+        root.querySelectorAll('[data-layout]').forEach(placeholder => {
+            const part = this[placeholder.dataset.layout];
+            if (typeof part !== 'function') return;
+            
+            const template = document.createElement('template');
+            template.innerHTML = PLSTemplate.interpolate(part.call(this)).trim();
+            placeholder.replaceWith(template.content);
+        });
+    }
+};
+
+// Make layout globally available
+window.PLSLayout = PLSLayout;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSLayout;
+}
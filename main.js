@@ -4,17 +4,38 @@
  */
 
 class PLSWorldNews {
-    constructor() {
+    constructor(options = {}) {
+        this.dataSource = options.dataSource || PLSDataSource.create(window.PLS_CONFIG);
         this.isLoading = true;
         this.currentTheme = localStorage.getItem('theme') || 'auto';
         this.notifications = [];
-        this.searchCache = new Map();
+        this.searchCache = new PLSCache({
+            maxEntries: 50,
+            ttl: 5 * 60 * 1000,
+            storage: window.sessionStorage,
+            storageKey: 'pls_search_cache',
+            ...options.searchCache
+        });
+        this.searchIndex = PLSSearchIndex.fromJSON(PLSUtils.storage.get('pls_search_index'));
+        this.searchHistory = new PLSSearchHistory();
+        this.articleStore = new PLSArticleStore();
+        this.readingList = new PLSReadingList();
+        this.readingHistory = new PLSReadingHistory();
+        this.follows = new PLSFollows();
+        this.recommender = new PLSRecommender({ history: this.readingHistory, readingList: this.readingList, follows: this.follows });
+        this.router = new PLSRouter({
+            base: window.PLS_CONFIG?.basePath || window.location.pathname.replace(/[^/]*$/, '')
+        });
         this.observers = new Map();
+        // Service worker waiting to take over, once the reader has been asked
+        this.waitingWorker = null;
+        this.updateRequested = false;
         
         // Bind methods
         this.init = this.init.bind(this);
         this.handleDOMContentLoaded = this.handleDOMContentLoaded.bind(this);
         this.handleWindowLoad = this.handleWindowLoad.bind(this);
+        this.handleBreakingNewsChange = this.handleBreakingNewsChange.bind(this);
         
         // Initialize when DOM is ready
         if (document.readyState === 'loading') {
@@ -36,6 +57,8 @@ class PLSWorldNews {
      */
     handleDOMContentLoaded() {
         console.log('🚀 PLS World News - DOM Content Loaded');
+        // The shared header and footer, which everything below may use
+        PLSLayout.render();
         this.initializeCore();
         this.initializeComponents();
         this.initializeEventListeners();
@@ -68,11 +91,24 @@ class PLSWorldNews {
     initializeComponents() {
         this.initializeNavigation();
         this.initializeSearch();
+        this.initializeSearchPage();
+        this.initializeArticleReader();
+        this.initializeSearchHistory();
+        this.initializeReadingList();
+        this.initializeReadingListPage();
+        this.initializeFollows();
+        this.initializeFollowingPage();
+        this.initializeContinueReading();
+        this.initializeHistoryPage();
         this.initializeNewsletter();
         this.initializeModals();
+        this.initializeInfiniteScroll();
+        this.initializeVirtualGrid();
+        this.initializeForYou();
         this.initializeTabs();
         this.initializeCarousels();
         this.initializeBackToTop();
+        this.initializeRouter();
     }
     
     /**
@@ -108,9 +144,20 @@ class PLSWorldNews {
         // Form submissions
         document.addEventListener('submit', this.handleFormSubmit.bind(this));
         
+        // Stories updated by a later feed, tab or search
+        document.addEventListener('plsArticleUpdate', this.handleArticleUpdate.bind(this));
+        
+        // Stories saved or removed here or on another page view
+        document.addEventListener('plsReadingListChange', () => this.updateSaveButtons());
+        document.addEventListener('plsReadingHistoryChange', () => this.renderContinueReading());
+        document.addEventListener('plsFollowsChange', () => {
+            this.updateFollowButtons();
+            this.renderFollowingWidget();
+        });
+        
         // Online/Offline status
         window.addEventListener('online', () => this.showNotification('Connection restored', 'success'));
-        window.addEventListener('offline', () => this.showNotification('You are offline', 'warning'));
+        window.addEventListener('offline', () => this.showNotification('You are offline. Stories you have opened are still available.', 'warning'));
     }
     
     /**
@@ -274,20 +321,180 @@ class PLSWorldNews {
     }
     
     /**
-     * Update active navigation based on current page
+     * Update active navigation based on current page. Section links stay
+     * active on their sub-pages (Technology on technology/ai.html).
      */
     updateActiveNavigation() {
-        const currentPath = window.location.pathname;
+        // index.html?category=<key> is that category's section
+        const match = this.router.match(window.location.href);
+        const slug = match?.route.name === 'home' && match.query.get('category');
+        const current = slug
+            ? this.router.path('category', { slug, sub: match.query.get('sub') })
+            : this.router.key(window.location.href);
         const navLinks = document.querySelectorAll('.nav-menu a');
         
         navLinks.forEach(link => {
-            link.classList.remove('active');
-            if (link.getAttribute('href') === currentPath) {
-                link.classList.add('active');
+            const key = this.router.key(link.href);
+            const isCurrent = key !== null && key === current;
+            const isSection = key !== null && key !== '/' && Boolean(current?.startsWith(`${key}/`));
+            
+            link.classList.toggle('active', isCurrent || isSection);
+            if (isCurrent) {
+                link.setAttribute('aria-current', 'page');
+            } else {
+                link.removeAttribute('aria-current');
             }
         });
     }
     
+    /**
+     * Register client-side routes and start the router. Routes that cannot
+     * be shown on the current page fall back to a normal page load.
+     */
+    initializeRouter() {
+        const categories = ['world', 'politics', 'technology', 'business', 'sports', 'health', 'entertainment'];
+        const category = `:slug(${categories.join('|')})`;
+        const categoryMeta = (slug, sub) => {
+            const label = this.categoryLabel(slug, sub);
+            return {
+                title: `${label} - PLS World News`,
+                description: `The latest ${label} news and analysis from PLS World News.`
+            };
+        };
+        
+        this.router
+            // index.html?category=<key> is the category link that works without rewrites
+            .add('home', ['/', '/index.html'], (match, { trigger }) => {
+                const slug = match.query.get('category');
+                if (trigger === 'initial' && !slug) return true;
+                if (!this.showCategory(slug, match.query.get('sub'))) return false;
+                
+                if (trigger === 'navigate' && slug) {
+                    document.querySelector('.latest-news')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                } else if (trigger === 'navigate') {
+                    window.scrollTo(0, 0);
+                }
+                return true;
+            }, {
+                meta: ({ query }) => query.get('category') ? categoryMeta(query.get('category'), query.get('sub')) : {}
+            })
+            .add('article', ['/article/:id', '/article.html'], (match, { trigger }) => {
+                const id = (match.params.id || match.query.get('id') || '').replace(/\.html$/, '');
+                if (!id) return false;
+                
+                // The reader handles back/forward itself, and loads the article page on its own
+                if (trigger === 'navigate') {
+                    this.openArticle(id);
+                } else if (trigger === 'initial' && !this.articleReader) {
+                    this.getArticleOverlay().handlePopState();
+                }
+                return true;
+            }, {
+                ownsHistory: true
+            })
+            .add('category', ['/category/:slug/:sub?', `/${category}.html`, `/${category}/:sub.html`], (match, { trigger }) => {
+                const { slug, sub } = match.params;
+                
+                // Pages without the latest news load the home page's view,
+                // which needs no rewrites, in place of the entry pushed for it
+                if (!this.showCategory(slug, sub)) {
+                    window.location.replace(`${this.router.base}${this.categoryHref(slug, sub)}`);
+                    return true;
+                }
+                
+                if (trigger === 'navigate') {
+                    document.querySelector('.latest-news')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                }
+                return true;
+            }, {
+                meta: ({ params }) => categoryMeta(params.slug, params.sub)
+            })
+            .add('search', ['/search', '/search.html'], (match, { trigger }) => {
+                if (!this.searchPage) return false;
+                
+                // Back/forward is handled by the search page itself
+                if (trigger === 'navigate') {
+                    this.searchPage.handlePopState();
+                }
+                return true;
+            })
+            .add('author', ['/author/:slug'], (match, { trigger }) => {
+                const q = `author:"${this.authorName(match.params.slug)}"`;
+                
+                if (this.searchPage && trigger === 'navigate') {
+                    this.searchPage.setState({ q, category: '', author: '', date: '' });
+                } else {
+                    const url = `${this.router.base}search.html?q=${encodeURIComponent(q)}`;
+                    window.location[trigger === 'navigate' ? 'assign' : 'replace'](url);
+                }
+                return true;
+            }, {
+                ownsHistory: true
+            });
+        
+        document.addEventListener('plsRouteChange', () => this.updateActiveNavigation());
+        
+        this.router.start();
+        this.updateActiveNavigation();
+    }
+    
+    /**
+     * Show a category (or sub-category) in the latest news section, or
+     * go back to the default tab when called without one. Returns false
+     * when the page has no latest news section.
+     */
+    showCategory(slug = null, sub = null) {
+        const section = document.querySelector('.latest-news');
+        const contentArea = section?.querySelector('.news-grid');
+        const heading = section?.querySelector('.section-header h2');
+        if (!contentArea || !heading) return false;
+        
+        const category = sub || slug;
+        if (category === (this.shownCategory || null)) return true;
+        
+        this.latestNewsHeading = this.latestNewsHeading || heading.innerHTML;
+        const tabs = Array.from(section.querySelectorAll('.tab-btn'));
+        const tab = category
+            ? tabs.find(item => item.dataset.category === category)
+            : this.newsTabs?.readTab() || tabs[0];
+        
+        const label = category && this.categoryLabel(slug, sub);
+        PLSTemplate.render(heading, category
+            ? PLSTemplate.html`<i class="fas fa-newspaper"></i> ${label} ${this.renderFollowButton('category', category, { label })}`
+            : PLSTemplate.trusted(this.latestNewsHeading));
+        
+        this.shownCategory = category;
+        
+        const key = tab?.dataset.category || category || 'all';
+        if (this.newsTabs) {
+            this.newsTabs.select(key, { tab });
+        } else {
+            this.loadTabContent(key, contentArea);
+        }
+        return true;
+    }
+    
+    /**
+     * Display name of a category, taken from its navigation link
+     */
+    categoryLabel(slug, sub = null) {
+        const key = this.router.path('category', { slug, sub });
+        const link = Array.from(document.querySelectorAll('.nav-menu a'))
+            .find(item => this.router.key(item.href) === key);
+        
+        return link?.textContent.trim() || PLSUtils.string.toTitleCase(String(sub || slug).replace(/-/g, ' '));
+    }
+    
+    /**
+     * Author name for a URL slug, from indexed articles when possible
+     */
+    authorName(slug) {
+        const article = this.searchIndex.documents()
+            .find(item => item.author && PLSArticle.slugify(item.author) === slug);
+        
+        return article?.author || PLSUtils.string.toTitleCase(slug.replace(/-/g, ' '));
+    }
+    
     /**
      * Initialize search functionality
      */
@@ -298,6 +505,9 @@ class PLSWorldNews {
         
         if (!searchForm || !searchInput) return;
         
+        // Index the articles already on the page
+        this.indexArticles(this.collectPageArticles());
+        
         // Create search results container
         searchResults.className = 'search-results';
         searchResults.innerHTML = `
@@ -320,29 +530,16 @@ class PLSWorldNews {
         
         document.body.appendChild(searchResults);
         
-        // Search input handler
-        let searchTimeout;
-        searchInput.addEventListener('input', (e) => {
-            const query = e.target.value.trim();
-            
-            clearTimeout(searchTimeout);
-            
-            if (query.length >= 2) {
-                searchTimeout = setTimeout(() => {
-                    this.performSearch(query);
-                }, 300);
-            } else {
-                this.hideSearchResults();
-            }
-        });
+        // Search-as-you-type suggestions
+        this.searchSuggest = new PLSSearchSuggest(searchInput, this);
         
-        // Search form submission
+        // Search form submission - open the full results page
         searchForm.addEventListener('submit', (e) => {
             e.preventDefault();
             const query = searchInput.value.trim();
-            if (query) {
-                this.performSearch(query, true);
-            }
+            if (!query) return;
+            
+            this.openSearchPage(query);
         });
         
         // Close search results
@@ -358,154 +555,872 @@ class PLSWorldNews {
             }
         });
         
-        // Close when clicking outside
-        searchResults.addEventListener('click', (e) => {
-            if (e.target === searchResults) {
-                this.hideSearchResults();
-            }
+        // Close when clicking outside
+        searchResults.addEventListener('click', (e) => {
+            if (e.target === searchResults) {
+                this.hideSearchResults();
+            }
+        });
+        
+        // Save or unsave a search (results overlay and results page)
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.search-save');
+            if (!button) return;
+            
+            this.toggleSavedSearch(button.dataset.query);
+        });
+        
+        // Remove a filter chip
+        searchResults.addEventListener('click', (e) => {
+            const chip = e.target.closest('.search-chip');
+            if (!chip || !this.currentSearchQuery) return;
+            
+            const clause = this.currentSearchQuery.clauses[chip.dataset.clause];
+            const query = PLSSearchQuery.without(this.currentSearchQuery, clause);
+            
+            searchInput.value = query;
+            if (query) {
+                this.performSearch(query);
+            } else {
+                this.hideSearchResults();
+            }
+        });
+    }
+    
+    /**
+     * Initialize the saved searches and search history widget
+     */
+    initializeSearchHistory() {
+        const widget = document.querySelector('.search-history-widget');
+        if (!widget) return;
+        
+        widget.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-history-action]');
+            if (!button) return;
+            
+            const query = button.dataset.query;
+            
+            switch (button.dataset.historyAction) {
+                case 'unsave':
+                    this.searchHistory.unsave(query);
+                    break;
+                case 'remove':
+                    this.searchHistory.removeRecent(query);
+                    break;
+                case 'clear-recent':
+                    this.searchHistory.clearRecent();
+                    this.showNotification('Search history cleared', 'info');
+                    break;
+                case 'clear-saved':
+                    if (!window.confirm('Remove all saved searches?')) return;
+                    this.searchHistory.clearSaved();
+                    this.showNotification('Saved searches removed', 'info');
+                    break;
+            }
+            
+            this.renderSearchHistory();
+        });
+        
+        this.renderSearchHistory();
+    }
+    
+    /**
+     * Render saved searches (with new-match badges) and recent queries
+     */
+    renderSearchHistory() {
+        const widget = document.querySelector('.search-history-widget');
+        if (!widget) return;
+        
+        const { html } = PLSTemplate;
+        const saved = this.searchHistory.getSaved();
+        const recent = this.searchHistory.getRecent(5);
+        const searchUrl = (query) => `search.html?q=${encodeURIComponent(query)}`;
+        
+        widget.hidden = saved.length === 0 && recent.length === 0;
+        PLSTemplate.render(widget.querySelector('.search-history'), html`
+            ${saved.length > 0 && html`
+                <h4 class="search-history-heading">Saved</h4>
+                <ul class="search-history-list">
+                    ${saved.map(search => html`
+                        <li class="search-history-item">
+                            <a href="${searchUrl(search.query)}">
+                                <i class="fas fa-star"></i> ${search.query}
+                            </a>
+                            ${search.newCount > 0 && html`
+                                <span class="search-alert-badge" aria-label="${search.newCount} new">${search.newCount > 99 ? '99+' : search.newCount}</span>
+                            `}
+                            <button data-history-action="unsave" data-query="${search.query}" aria-label="Remove saved search ${search.query}">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </li>
+                    `)}
+                </ul>
+            `}
+            ${recent.length > 0 && html`
+                <h4 class="search-history-heading">Recent</h4>
+                <ul class="search-history-list">
+                    ${recent.map(query => html`
+                        <li class="search-history-item">
+                            <a href="${searchUrl(query)}">
+                                <i class="fas fa-history"></i> ${query}
+                            </a>
+                            <button data-history-action="remove" data-query="${query}" aria-label="Remove ${query} from history">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </li>
+                    `)}
+                </ul>
+            `}
+            <div class="search-history-actions">
+                ${recent.length > 0 && html`<button class="search-history-clear" data-history-action="clear-recent">Clear history</button>`}
+                ${saved.length > 0 && html`<button class="search-history-clear" data-history-action="clear-saved">Remove saved searches</button>`}
+            </div>
+        `);
+    }
+    
+    /**
+     * Save button shown with search results
+     */
+    renderSaveSearchButton(query) {
+        const { html } = PLSTemplate;
+        const saved = this.searchHistory.isSaved(query);
+        
+        return html`
+            <button class="search-save${saved ? ' saved' : ''}" data-query="${query}" aria-pressed="${saved}">
+                <i class="${saved ? 'fas' : 'far'} fa-star"></i>
+                <span>${saved ? 'Saved' : 'Save search'}</span>
+            </button>
+        `;
+    }
+    
+    /**
+     * Pin or unpin a search
+     */
+    toggleSavedSearch(query) {
+        if (!query) return;
+        
+        if (this.searchHistory.isSaved(query)) {
+            this.searchHistory.unsave(query);
+            this.showNotification('Search removed from saved searches', 'info');
+        } else {
+            let currentMatches = [];
+            try {
+                currentMatches = PLSSearchQuery.run(PLSSearchQuery.parse(query), this.searchIndex, { limit: Infinity });
+            } catch (error) {
+                // Unparseable queries can still be saved; they never match
+            }
+            
+            if (!this.searchHistory.save(query, currentMatches)) {
+                this.showNotification('You have reached the limit of saved searches', 'warning');
+                return;
+            }
+            this.showNotification('Search saved. We\'ll let you know about new matches.', 'success');
+        }
+        
+        document.querySelectorAll('.search-save').forEach(button => {
+            if (PLSSearchHistory.key(button.dataset.query) === PLSSearchHistory.key(query)) {
+                button.replaceWith(PLSTemplate.toElement(this.renderSaveSearchButton(button.dataset.query)));
+            }
+        });
+        this.renderSearchHistory();
+    }
+    
+    /**
+     * The latest news, stored and indexed
+     */
+    async loadLatestArticles() {
+        const articles = this.normalizeArticles(await this.dataSource.getArticles('all'));
+        this.indexArticles(articles);
+        return articles;
+    }
+    
+    /**
+     * Check saved searches and follows for new stories, fetching the
+     * latest news once for both
+     */
+    checkForNewArticles() {
+        if (this.searchHistory.getSaved().length === 0 && this.follows.getAll().length === 0) return;
+        
+        const latest = this.loadLatestArticles();
+        // Each check reports a failure itself
+        latest.catch(() => {});
+        this.checkSavedSearches(latest);
+        this.checkFollows(latest);
+    }
+    
+    /**
+     * Look for new articles matching saved searches and alert the reader.
+     * `latest` is the latest news when it has already been requested.
+     */
+    async checkSavedSearches(latest = null) {
+        if (this.searchHistory.getSaved().length === 0) return;
+        
+        try {
+            const articles = await (latest || this.loadLatestArticles());
+            
+            this.searchHistory.checkForMatches(articles).forEach(({ search, articles: matches }) => {
+                const count = matches.length;
+                this.showNotification(
+                    PLSTemplate.html`${count} new article${count !== 1 ? 's' : ''} for <a href="search.html?q=${encodeURIComponent(search.query)}">"${search.query}"</a>`,
+                    'info',
+                    10000
+                );
+            });
+            
+            this.renderSearchHistory();
+        } catch (error) {
+            console.error('Failed to check saved searches:', error);
+        }
+    }
+    
+    /**
+     * Show the full results page for a query
+     */
+    openSearchPage(query) {
+        this.hideSearchResults();
+        
+        if (this.searchPage) {
+            this.searchPage.setState({ q: query });
+        } else {
+            const action = document.querySelector('.search-form')?.getAttribute('action') || 'search.html';
+            window.location.assign(`${action}?q=${encodeURIComponent(query)}`);
+        }
+    }
+    
+    /**
+     * Perform search
+     */
+    async performSearch(query, showFullResults = false) {
+        const searchResults = document.querySelector('.search-results');
+        const searchLoading = searchResults.querySelector('.search-loading');
+        const searchResultsList = searchResults.querySelector('.search-results-list');
+        
+        // Show search results container
+        searchResults.classList.add('active');
+        searchLoading.style.display = 'block';
+        searchResultsList.innerHTML = '';
+        
+        try {
+            const parsedQuery = PLSSearchQuery.parse(query);
+            this.searchHistory.record(query);
+            this.searchHistory.markSeen(query);
+            this.renderSearchHistory();
+            
+            // Cached results show immediately; stale ones refresh in the background
+            const cacheKey = query.toLowerCase();
+            const results = await this.searchCache.fetch(cacheKey, () => this.searchArticles(parsedQuery), {
+                onRevalidate: (freshResults) => {
+                    if (searchResults.classList.contains('active') && this.currentSearchQuery?.input === query) {
+                        this.displaySearchResults(freshResults, query, parsedQuery);
+                    }
+                }
+            });
+            
+            // Display results
+            this.displaySearchResults(results, query, parsedQuery);
+            
+        } catch (error) {
+            if (error instanceof PLSSearchQueryError) {
+                this.displaySearchQueryError(error, query);
+                return;
+            }
+            
+            console.error('Search error:', error);
+            searchResultsList.innerHTML = `
+                <div class="search-error">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <p>Search failed. Please try again.</p>
+                </div>
+            `;
+        } finally {
+            searchLoading.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Rank locally indexed articles for a parsed query, falling back to the data source
+     */
+    async searchArticles(parsedQuery, options = {}) {
+        let results = PLSSearchQuery.run(parsedQuery, this.searchIndex, options);
+        
+        if (results.length === 0 && parsedQuery.text) {
+            const remoteResults = this.normalizeArticles(await this.dataSource.search(parsedQuery.text));
+            results = PLSSearchQuery.filter(remoteResults, parsedQuery);
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Initialize the full search results page (search.html)
+     */
+    initializeSearchPage() {
+        const container = document.querySelector('.search-page');
+        if (!container) return;
+        
+        this.searchPage = new PLSSearchPage(container, this);
+    }
+    
+    /**
+     * Initialize the article page (article.html)
+     */
+    initializeArticleReader() {
+        const container = document.querySelector('.article-reader-page');
+        if (!container) return;
+        
+        this.articleReader = new PLSArticleReader(container, this);
+    }
+    
+    /**
+     * Open an article in the reader - in place on the article page,
+     * otherwise in an overlay over the current page
+     */
+    openArticle(id) {
+        this.hideSearchResults();
+        
+        if (this.articleReader) {
+            return this.articleReader.open(id);
+        }
+        return this.getArticleOverlay().open(id);
+    }
+    
+    /**
+     * The article overlay, created on first use
+     */
+    getArticleOverlay() {
+        if (!this.articleOverlay) {
+            this.articleOverlay = new PLSArticleReader(null, this, { overlay: true });
+        }
+        return this.articleOverlay;
+    }
+    
+    /**
+     * Initialize the reading list: load it, and give the cards in the page
+     * markup their save buttons
+     */
+    initializeReadingList() {
+        document.querySelectorAll('.hero-featured, .hero-card, .news-card').forEach(card => {
+            const link = card.querySelector('h2 a, h3 a');
+            const image = card.querySelector('.hero-image, .card-image, .news-image');
+            if (!link || !image || image.querySelector('.bookmark-btn')) return;
+            
+            const id = PLSArticleReader.idFromLocation(new URL(link.href)) || link.getAttribute('href');
+            image.insertAdjacentHTML('beforeend', this.renderSaveButton({ id, title: link.textContent.trim() }).toString());
+        });
+        
+        this.readingList.ready().then(() => this.updateSaveButtons());
+    }
+    
+    /**
+     * Initialize the reading list page (reading-list.html)
+     */
+    initializeReadingListPage() {
+        const container = document.querySelector('.reading-list-page');
+        if (!container) return;
+        
+        this.readingListPage = new PLSReadingListPage(container, this);
+    }
+    
+    /**
+     * Add follow buttons to the trending topics and category section
+     * headers in the page markup, and show the Following widget
+     */
+    initializeFollows() {
+        document.querySelectorAll('.trending-tag').forEach(tag => {
+            const topic = new URL(tag.href, document.baseURI).searchParams.get('q') || tag.textContent;
+            tag.after(PLSTemplate.toElement(this.renderFollowButton('topic', topic, { label: tag.textContent.trim(), compact: true })));
+        });
+        
+        document.querySelectorAll('.category-section .section-header h2').forEach(heading => {
+            const label = heading.textContent.trim();
+            heading.after(PLSTemplate.toElement(this.renderFollowButton('category', label, { label })));
+        });
+        
+        this.renderFollowingWidget();
+    }
+    
+    /**
+     * Initialize the following page (following.html)
+     */
+    initializeFollowingPage() {
+        const container = document.querySelector('.following-page');
+        if (!container) return;
+        
+        this.followingPage = new PLSFollowingPage(container, this);
+    }
+    
+    /**
+     * Link to a category's view of the latest news on the home page.
+     * Unlike category/<key>, it works without server rewrites.
+     */
+    categoryHref(categoryKey, sub = null) {
+        const params = new URLSearchParams({ category: categoryKey });
+        if (sub) params.set('sub', sub);
+        return `index.html?${params}`;
+    }
+    
+    /**
+     * Follow toggle for a topic, author or category. Compact buttons show
+     * only an icon.
+     */
+    renderFollowButton(type, value, { label = value, compact = false } = {}) {
+        const { html } = PLSTemplate;
+        const following = this.follows.has(type, value);
+        
+        return html`
+            <button type="button" class="follow-btn${following ? ' following' : ''}${compact ? ' compact' : ''}"
+                data-follow-type="${type}" data-follow-value="${value}" data-follow-label="${label}"
+                aria-pressed="${following}" aria-label="Follow ${label}" title="${following ? `Following ${label}` : `Follow ${label}`}">
+                <i class="fas ${following ? 'fa-check' : 'fa-plus'}"></i>
+                ${!compact && html`<span>${following ? 'Following' : 'Follow'}</span>`}
+            </button>
+        `;
+    }
+    
+    /**
+     * Bring every follow button up to date
+     */
+    updateFollowButtons() {
+        document.querySelectorAll('.follow-btn[data-follow-type]').forEach(button => {
+            const { followType, followValue, followLabel } = button.dataset;
+            const following = this.follows.has(followType, followValue);
+            
+            button.classList.toggle('following', following);
+            button.setAttribute('aria-pressed', String(following));
+            button.title = following ? `Following ${followLabel}` : `Follow ${followLabel}`;
+            button.querySelector('i').className = `fas ${following ? 'fa-check' : 'fa-plus'}`;
+            const text = button.querySelector('span');
+            if (text) text.textContent = following ? 'Following' : 'Follow';
+        });
+    }
+    
+    toggleFollow(button) {
+        const { followType: type, followValue: value, followLabel: label } = button.dataset;
+        
+        if (this.follows.has(type, value)) {
+            this.follows.unfollow(type, value);
+            this.showNotification(`You no longer follow ${label}`, 'info', 3000);
+        } else if (this.follows.follow(type, value, { label, currentMatches: this.searchIndex.documents() })) {
+            this.showNotification(
+                PLSTemplate.html`Following ${label}. New stories appear in <a href="following.html">Following</a>.`,
+                'success',
+                5000
+            );
+        } else {
+            this.showNotification('You follow as many topics as you can. Unfollow one first.', 'warning');
+        }
+    }
+    
+    /**
+     * Followed topics, authors and categories with their unread counts (homepage sidebar)
+     */
+    renderFollowingWidget() {
+        const widget = document.querySelector('.following-widget');
+        if (!widget) return;
+        
+        const { html } = PLSTemplate;
+        const follows = this.follows.getAll();
+        
+        widget.hidden = follows.length === 0;
+        PLSTemplate.render(widget.querySelector('.following-summary'), html`
+            <ul class="search-history-list">
+                ${follows.slice(0, 8).map(follow => html`
+                    <li class="search-history-item">
+                        <a href="following.html?follow=${encodeURIComponent(follow.key)}">
+                            <i class="fas ${PLSFollows.types[follow.type].icon}"></i> ${follow.label}
+                        </a>
+                        ${follow.unread.length > 0 && html`
+                            <span class="search-alert-badge" aria-label="${follow.unread.length} new">${follow.unread.length > 99 ? '99+' : follow.unread.length}</span>
+                        `}
+                    </li>
+                `)}
+            </ul>
+            <div class="search-history-actions">
+                <a href="following.html" class="search-history-clear">See all you follow</a>
+            </div>
+        `);
+    }
+    
+    /**
+     * Recent stories for everything followed: the latest news, the first
+     * page of each followed category, a search for each author and topic,
+     * and every story seen before. Sources that fail are left out.
+     * `latest` is the latest news when it has already been requested.
+     */
+    async loadFollowedArticles({ signal, latest = null } = {}) {
+        const follows = this.follows.getAll();
+        const requests = [
+            latest || this.dataSource.getArticles('all', 1, { signal }),
+            ...follows.map(follow => follow.type === 'category'
+                ? this.dataSource.getArticles(follow.value, 1, { signal })
+                : this.dataSource.search(follow.label.replace(/^#/, '')))
+        ];
+        
+        const results = await Promise.allSettled(requests);
+        const loaded = results.filter(result => result.status === 'fulfilled').flatMap(result => result.value || []);
+        const failure = results.find(result => result.status === 'rejected');
+        if (loaded.length === 0 && this.searchIndex.size === 0 && failure) {
+            throw failure.reason;
+        }
+        
+        const articles = this.normalizeArticles(loaded);
+        this.indexArticles(articles);
+        return this.normalizeArticles([...articles, ...this.searchIndex.documents()]);
+    }
+    
+    /**
+     * Look for new stories for followed topics, authors and categories
+     * and alert the reader. `latest` is the latest news when it has
+     * already been requested.
+     */
+    async checkFollows(latest = null) {
+        if (this.follows.getAll().length === 0) return;
+        
+        try {
+            const articles = await this.loadFollowedArticles({ latest });
+            
+            this.follows.checkForMatches(articles).forEach(({ follow, articles: matches }) => {
+                const count = matches.length;
+                this.showNotification(
+                    PLSTemplate.html`${count} new article${count !== 1 ? 's' : ''} from <a href="following.html?follow=${encodeURIComponent(follow.key)}">${follow.label}</a>`,
+                    'info',
+                    10000
+                );
+            });
+        } catch (error) {
+            console.error('Failed to check follows:', error);
+        }
+    }
+    
+    /**
+     * Initialize the "Continue reading" rail (homepage)
+     */
+    initializeContinueReading() {
+        this.continueReading = document.querySelector('.continue-reading');
+        this.renderContinueReading();
+    }
+    
+    /**
+     * Articles started but not finished. The rail stays hidden while
+     * history is paused or there is nothing to continue.
+     */
+    renderContinueReading() {
+        const section = this.continueReading;
+        if (!section) return;
+        
+        const { html } = PLSTemplate;
+        const entries = this.readingHistory.isPaused() ? [] : this.readingHistory.getInProgress(8);
+        section.hidden = entries.length === 0;
+        
+        PLSTemplate.renderList(section.querySelector('.continue-reading-rail'), entries, {
+            // Not the article id: these cards are not patched by article updates
+            key: entry => `history-${entry.id}`,
+            render: ({ id, article, progress }) => {
+                const percent = Math.round(progress * 100);
+                const minutesLeft = Math.max(1, Math.ceil((article.readingTime || 1) * (1 - progress)));
+                
+                return html`
+                    <article class="continue-card">
+                        <a href="${PLSArticleReader.href(article)}" class="continue-card-link">
+                            <img src="${article.image}" alt="" loading="lazy">
+                            <div class="continue-card-content">
+                                <span class="reading-list-category">${article.category}</span>
+                                <h3>${article.title}</h3>
+                                <div class="continue-progress" role="progressbar" aria-label="Read so far" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}">
+                                    <span style="width: ${percent}%"></span>
+                                </div>
+                                <span class="continue-card-meta">${percent}% read · ${minutesLeft} min left</span>
+                            </div>
+                        </a>
+                        <button type="button" class="continue-card-dismiss" data-id="${id}" aria-label="Remove ${article.title} from Continue reading">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </article>
+                `;
+            }
+        });
+    }
+    
+    /**
+     * Initialize the reading history page (history.html)
+     */
+    initializeHistoryPage() {
+        const container = document.querySelector('.history-page');
+        if (!container) return;
+        
+        this.historyPage = new PLSReadingHistoryPage(container, this);
+    }
+    
+    /**
+     * Save-for-later toggle for a card or the reader
+     */
+    renderSaveButton(article) {
+        const { html } = PLSTemplate;
+        const saved = this.readingList.has(article.id);
+        
+        return html`
+            <button type="button" class="bookmark-btn${saved ? ' saved' : ''}" data-article-id="${article.id}"
+                aria-pressed="${saved}" aria-label="Save for later: ${article.title}" title="${saved ? 'Saved to your reading list' : 'Save for later'}">
+                <i class="${saved ? 'fas' : 'far'} fa-bookmark"></i>
+            </button>
+        `;
+    }
+    
+    /**
+     * Bring every save button and the reading list count up to date
+     */
+    updateSaveButtons() {
+        document.querySelectorAll('.bookmark-btn[data-article-id]').forEach(button => {
+            const saved = this.readingList.has(button.dataset.articleId);
+            button.classList.toggle('saved', saved);
+            button.setAttribute('aria-pressed', String(saved));
+            button.title = saved ? 'Saved to your reading list' : 'Save for later';
+            button.querySelector('i').className = `${saved ? 'fas' : 'far'} fa-bookmark`;
+        });
+        
+        document.querySelectorAll('.reading-list-count').forEach(count => {
+            count.textContent = this.readingList.size;
+            count.hidden = this.readingList.size === 0;
         });
     }
     
     /**
-     * Perform search
+     * Save a story for later, or remove it from the reading list. The full
+     * story is fetched first so it can be read offline.
      */
-    async performSearch(query, showFullResults = false) {
-        const searchResults = document.querySelector('.search-results');
-        const searchLoading = searchResults.querySelector('.search-loading');
-        const searchResultsList = searchResults.querySelector('.search-results-list');
-        
-        // Show search results container
-        searchResults.classList.add('active');
-        searchLoading.style.display = 'block';
-        searchResultsList.innerHTML = '';
+    async toggleSavedArticle(button) {
+        const id = button.dataset.articleId;
+        if (!id || button.disabled) return;
         
+        button.disabled = true;
         try {
-            // Check cache first
-            const cacheKey = query.toLowerCase();
-            if (this.searchCache.has(cacheKey)) {
-                const cachedResults = this.searchCache.get(cacheKey);
-                this.displaySearchResults(cachedResults, query);
+            await this.readingList.ready();
+            
+            if (this.readingList.has(id)) {
+                await this.readingList.remove(id);
+                this.showNotification('Removed from your reading list', 'info', 3000);
                 return;
             }
             
-            // Simulate API call (replace with actual search endpoint)
-            const results = await this.mockSearchAPI(query);
-            
-            // Cache results
-            this.searchCache.set(cacheKey, results);
+            const shown = [this.articleReader, this.articleOverlay].map(reader => reader?.article).find(article => article?.id === id);
+            const known = shown || this.articleStore.get(id) || this.searchIndex.get(id);
+            let full = null;
+            if (!known?.body) {
+                full = await this.dataSource.getArticle(id).catch(error => {
+                    this.logError('Article Load', error);
+                    return null;
+                });
+            }
             
-            // Display results
-            this.displaySearchResults(results, query);
+            const record = { ...known, ...full, id };
+            if (!record.title) {
+                this.showNotification('This story could not be saved. Please try again.', 'error');
+                return;
+            }
             
+            await this.readingList.save(record);
+            this.showNotification(
+                PLSTemplate.html`Saved to your <a href="reading-list.html">reading list</a>`,
+                'success',
+                3000
+            );
         } catch (error) {
-            console.error('Search error:', error);
-            searchResultsList.innerHTML = `
-                <div class="search-error">
-                    <i class="fas fa-exclamation-triangle"></i>
-                    <p>Search failed. Please try again.</p>
-                </div>
-            `;
+            this.logError('Reading List', error);
+            this.showNotification('Your reading list could not be updated. Please try again.', 'error');
         } finally {
-            searchLoading.style.display = 'none';
+            button.disabled = false;
         }
     }
     
     /**
-     * Mock search API (replace with actual implementation)
-     */
-    async mockSearchAPI(query) {
-        // Simulate network delay
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // Mock search results
-        const mockResults = [
-            {
-                id: 1,
-                title: `Breaking: ${query} impacts global markets`,
-                excerpt: `Latest developments regarding ${query} have significant implications...`,
-                category: 'Business',
-                date: new Date().toISOString(),
-                image: 'assets/images/news/news-1.jpg',
-                url: '#'
-            },
-            {
-                id: 2,
-                title: `${query} - What you need to know`,
-                excerpt: `Comprehensive analysis of ${query} and its effects on...`,
-                category: 'World',
-                date: new Date(Date.now() - 86400000).toISOString(),
-                image: 'assets/images/news/news-2.jpg',
-                url: '#'
-            },
-            {
-                id: 3,
-                title: `Expert opinion on ${query}`,
-                excerpt: `Leading experts weigh in on the ${query} situation...`,
-                category: 'Politics',
-                date: new Date(Date.now() - 172800000).toISOString(),
-                image: 'assets/images/news/news-3.jpg',
-                url: '#'
-            }
-        ];
+     * Add articles to the search index and persist it
+     */
+    indexArticles(articles) {
+        if (!articles || articles.length === 0) return;
         
-        return mockResults.filter(result => 
-            result.title.toLowerCase().includes(query.toLowerCase()) ||
-            result.excerpt.toLowerCase().includes(query.toLowerCase())
-        );
+        // Cached results only go out of date when new articles arrive
+        if (articles.some(article => !this.searchIndex.has(article.id))) {
+            this.searchCache.clear();
+        }
+        this.searchIndex.addAll(articles);
+        
+        clearTimeout(this.searchIndexSaveTimeout);
+        this.searchIndexSaveTimeout = setTimeout(() => {
+            PLSUtils.storage.set('pls_search_index', this.searchIndex.toJSON());
+        }, 1000);
+    }
+    
+    /**
+     * Read article data from cards rendered in the page markup
+     */
+    collectPageArticles() {
+        const cards = document.querySelectorAll('.hero-featured, .hero-card, .news-card, .category-card, .list-item');
+        const units = { minute: 60000, hour: 3600000, day: 86400000 };
+        
+        return this.normalizeArticles(Array.from(cards).map(card => {
+            const link = card.querySelector('h2 a, h3 a, h4 a');
+            if (!link) return null;
+            
+            const dateText = card.querySelector('.date, .card-meta span, .item-meta span')?.textContent || '';
+            const relative = dateText.match(/(\d+)\s+(minute|hour|day)s?\s+ago/);
+            const age = relative ? parseInt(relative[1]) * units[relative[2]] : 0;
+            
+            return {
+                id: PLSArticleReader.idFromLocation(new URL(link.href)) || link.getAttribute('href'),
+                title: link.textContent.trim(),
+                excerpt: card.querySelector('p')?.textContent.trim() || '',
+                image: card.querySelector('img')?.getAttribute('src') || '',
+                category: card.querySelector('.category-tag')?.textContent.trim() || '',
+                author: card.querySelector('.author')?.textContent.trim() || '',
+                date: new Date(Date.now() - age).toISOString(),
+                url: link.getAttribute('href')
+            };
+        }).filter(Boolean));
+    }
+    
+    /**
+     * Validate and normalize article records, logging (not throwing) invalid
+     * ones. Records go through the article store, so a story seen before
+     * comes back with its original id and repeats are dropped.
+     */
+    normalizeArticles(records) {
+        return this.articleStore.putAll(PLSArticle.normalizeAll(records, {
+            onError: (error) => this.logError('Invalid Article', error)
+        }));
+    }
+    
+    /**
+     * Patch every rendered copy of an article that has changed
+     */
+    handleArticleUpdate(e) {
+        const { article } = e.detail;
+        
+        PLSTemplate.refresh(article.id, article);
+        if (this.searchIndex.has(article.id)) {
+            this.searchIndex.add(article);
+            this.searchCache.clear();
+        }
+    }
+    
+    /**
+     * Leave out stories already shown above a container, when the container
+     * asks for it with a data-exclude-shown attribute
+     */
+    excludeShown(articles, container) {
+        if (!container || container.dataset.excludeShown === undefined) return articles;
+        
+        const shown = new Set();
+        document.querySelectorAll('[data-key], .hero-featured, .hero-card, .news-card, .category-card, .list-item').forEach(element => {
+            if (container.contains(element) || element.contains(container)) return;
+            if (!(container.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_PRECEDING)) return;
+            
+            const link = element.querySelector('h2 a, h3 a, h4 a');
+            const id = element.dataset.key ?? (link && (PLSArticleReader.idFromLocation(new URL(link.href)) || link.getAttribute('href')));
+            const canonical = this.articleStore.resolve(id);
+            if (canonical !== null) shown.add(canonical);
+        });
+        
+        return articles.filter(article => !shown.has(article.id));
+    }
+    
+    /**
+     * Show a malformed query error inline, pointing at the offending part
+     */
+    displaySearchQueryError(error, query) {
+        const searchResultsList = document.querySelector('.search-results-list');
+        const { html } = PLSTemplate;
+        const before = query.slice(0, error.position);
+        const culprit = query.slice(error.position, error.position + error.length) || ' ';
+        const after = query.slice(error.position + error.length);
+        
+        PLSTemplate.render(searchResultsList, html`
+            <div class="search-error search-query-error" role="alert">
+                <i class="fas fa-exclamation-circle"></i>
+                <p>${error.message}</p>
+                <code>${before}<mark>${culprit}</mark>${after}</code>
+            </div>
+        `);
+    }
+    
+    /**
+     * Render removable chips for the filters in a parsed query
+     */
+    renderSearchChips(parsedQuery) {
+        const { html } = PLSTemplate;
+        if (!parsedQuery) return '';
+        
+        const chips = parsedQuery.clauses
+            .map((clause, index) => ({ clause, index }))
+            .filter(({ clause }) => clause.type !== 'term' || clause.negated);
+        
+        if (chips.length === 0) return '';
+        
+        return html`
+            <div class="search-filter-chips" aria-label="Active filters">
+                ${chips.map(({ clause, index }) => html`
+                    <button type="button" class="search-chip${clause.negated ? ' negated' : ''}" data-clause="${index}"
+                        aria-label="Remove filter ${PLSSearchQuery.describe(clause)}">
+                        ${PLSSearchQuery.describe(clause)}
+                        <i class="fas fa-times"></i>
+                    </button>
+                `)}
+            </div>
+        `;
     }
     
     /**
      * Display search results
      */
-    displaySearchResults(results, query) {
+    displaySearchResults(results, query, parsedQuery = null) {
         const searchResultsList = document.querySelector('.search-results-list');
+        const { html } = PLSTemplate;
+        const chipsHTML = this.renderSearchChips(parsedQuery);
+        const highlightQuery = parsedQuery || query;
+        
+        this.currentSearchQuery = parsedQuery;
+        results = this.excludeShown(this.normalizeArticles(results), searchResultsList);
         
         if (results.length === 0) {
-            searchResultsList.innerHTML = `
+            PLSTemplate.render(searchResultsList, html`
+                ${chipsHTML}
                 <div class="search-no-results">
                     <i class="fas fa-search"></i>
                     <h4>No results found</h4>
                     <p>Try different keywords or check your spelling.</p>
                 </div>
-            `;
+            `);
             return;
         }
         
-        const resultsHTML = results.map(result => `
+        const resultsHTML = results.map(result => html`
             <article class="search-result-item">
                 <div class="search-result-image">
                     <img src="${result.image}" alt="${result.title}" loading="lazy">
-                    <span class="category-tag ${result.category.toLowerCase()}">${result.category}</span>
+                    <span class="category-tag ${result.categoryKey}">${result.category}</span>
                 </div>
                 <div class="search-result-content">
-                    <h4><a href="${result.url}">${this.highlightSearchTerm(result.title, query)}</a></h4>
-                    <p>${this.highlightSearchTerm(result.excerpt, query)}</p>
+                    <h4><a href="${PLSArticleReader.href(result)}">${PLSHighlighter.highlight(result.title, highlightQuery)}</a></h4>
+                    <p>${PLSHighlighter.snippet(result.excerpt, highlightQuery)}</p>
                     <div class="search-result-meta">
                         <span><i class="fas fa-clock"></i> ${this.formatDate(result.date)}</span>
                     </div>
                 </div>
             </article>
-        `).join('');
+        `);
         
-        searchResultsList.innerHTML = `
+        PLSTemplate.render(searchResultsList, html`
             <div class="search-results-header">
                 <p>Found ${results.length} result${results.length !== 1 ? 's' : ''} for "${query}"</p>
+                ${this.renderSaveSearchButton(query)}
             </div>
+            ${chipsHTML}
             ${resultsHTML}
             <div class="search-results-footer">
-                <a href="/search?q=${encodeURIComponent(query)}" class="view-all-results">
+                <a href="search.html?q=${encodeURIComponent(query)}" class="view-all-results">
                     View all results <i class="fas fa-arrow-right"></i>
                 </a>
             </div>
-        `;
-    }
-    
-    /**
-     * Highlight search term in text
-     */
-    highlightSearchTerm(text, term) {
-        const regex = new RegExp(`(${term})`, 'gi');
-        return text.replace(regex, '<mark>$1</mark>');
+        `);
     }
     
     /**
@@ -577,8 +1492,7 @@ class PLSWorldNews {
         submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Subscribing...';
         
         try {
-            // Simulate API call
-            await this.mockNewsletterAPI(email);
+            await this.dataSource.subscribe(email);
             
             // Success
             this.showNotification('Successfully subscribed to newsletter!', 'success');
@@ -599,21 +1513,6 @@ class PLSWorldNews {
         }
     }
     
-    /**
-     * Mock newsletter API
-     */
-    async mockNewsletterAPI(email) {
-        // Simulate network delay
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Simulate random success/failure for demo
-        if (Math.random() > 0.1) {
-            return { success: true, message: 'Subscribed successfully' };
-        } else {
-            throw new Error('Subscription failed');
-        }
-    }
-    
     /**
      * Initialize modal functionality
      */
@@ -657,113 +1556,125 @@ class PLSWorldNews {
     }
     
     /**
-     * Initialize tabs functionality
+     * Initialize the Latest News tabs (after the infinite scroll list,
+     * whose pages each tab keeps)
      */
     initializeTabs() {
-        const tabContainers = document.querySelectorAll('.section-tabs');
-        
-        tabContainers.forEach(container => {
-            const tabs = container.querySelectorAll('.tab-btn');
-            const contentArea = container.closest('.latest-news')?.querySelector('.news-grid');
-            
-            tabs.forEach(tab => {
-                tab.addEventListener('click', () => {
-                    // Remove active class from all tabs
-                    tabs.forEach(t => t.classList.remove('active'));
-                    
-                    // Add active class to clicked tab
-                    tab.classList.add('active');
-                    
-                    // Load content for the selected tab
-                    const category = tab.dataset.category;
-                    if (category && contentArea) {
-                        this.loadTabContent(category, contentArea);
+        const section = document.querySelector('.latest-news');
+        if (!section?.querySelector('.section-tabs')) return;
+        
+        this.newsTabs = new PLSNewsTabs(section, this, {
+            onSelect: () => {
+                // Leave a category opened from the navigation
+                if (this.shownCategory) {
+                    this.shownCategory = null;
+                    const heading = section.querySelector('.section-header h2');
+                    if (heading) {
+                        PLSTemplate.render(heading, PLSTemplate.trusted(this.latestNewsHeading));
                     }
-                });
-            });
+                }
+            }
+        });
+    }
+    
+    /**
+     * Page the latest news grid with Load More, or automatically while
+     * scrolling when PLS_CONFIG.infiniteScroll is set
+     */
+    initializeInfiniteScroll() {
+        const grid = document.querySelector('.latest-news .news-grid');
+        if (!grid) return;
+        
+        const config = window.PLS_CONFIG?.infiniteScroll;
+        this.newsFeed = new PLSInfiniteScroll(grid, this, {
+            button: grid.parentElement.querySelector('.load-more-btn'),
+            infinite: Boolean(config),
+            ...(typeof config === 'object' ? config : {})
         });
     }
     
     /**
-     * Load tab content
+     * Keep only the cards near the viewport in the latest news grid once
+     * it grows long. PLS_CONFIG.virtualGrid = false turns this off.
+     */
+    initializeVirtualGrid() {
+        const config = window.PLS_CONFIG?.virtualGrid;
+        if (!this.newsFeed || config === false) return;
+        
+        this.virtualGrid = new PLSVirtualGrid(this.newsFeed.grid, this, typeof config === 'object' ? config : {});
+    }
+    
+    /**
+     * The For You bar and interests panel of the Latest News tabs (homepage)
+     */
+    initializeForYou() {
+        const container = document.querySelector('.latest-news .for-you');
+        if (!container) return;
+        
+        this.forYou = new PLSForYou(container, this);
+    }
+    
+    /**
+     * Load tab content. options.signal aborts the request, e.g. when the
+     * reader has already moved on to another tab.
      */
-    async loadTabContent(category, contentArea) {
+    async loadTabContent(category, contentArea, { signal } = {}) {
+        const feed = contentArea === this.newsFeed?.grid ? this.newsFeed : null;
+        
+        // A new list starts again from page 1
+        feed?.reset(category);
+        
         // Show loading state
         contentArea.style.opacity = '0.5';
+        contentArea.setAttribute('aria-busy', 'true');
         
         try {
-            // Simulate API call
-            const articles = await this.mockArticlesAPI(category);
+            const forYou = category === 'for-you' && this.forYou;
+            const articles = forYou
+                ? await this.forYou.load({ signal })
+                : this.normalizeArticles(await this.dataSource.getArticles(category, 1, { signal }));
+            if (signal?.aborted) return;
             
             // Update content
-            this.renderArticles(articles, contentArea);
+            this.renderArticles(articles, contentArea, { category });
+            if (forYou && articles.length === 0) {
+                PLSTemplate.render(contentArea, PLSTemplate.html`
+                    <div class="search-no-results">
+                        <i class="fas fa-sliders-h"></i>
+                        <h4>Nothing to recommend right now</h4>
+                        <p>You have read everything we would suggest, or hidden its categories in Your interests.</p>
+                    </div>
+                `);
+            }
+            this.indexArticles(articles);
+            this.initializeLazyLoading(contentArea);
+            // For You is ranked as a whole, so it has no more pages
+            feed?.setState({ category, articles, done: Boolean(forYou) });
             
         } catch (error) {
+            if (signal?.aborted) return;
+            
             console.error('Failed to load tab content:', error);
-            this.showNotification('Failed to load content', 'error');
+            this.showNotification(this.describeError(error, 'Failed to load content'), this.errorNotificationType(error));
         } finally {
-            contentArea.style.opacity = '1';
-        }
-    }
-    
-    /**
-     * Mock articles API
-     */
-    async mockArticlesAPI(category) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // Return mock articles based on category
-        const mockArticles = [
-            {
-                id: 1,
-                title: `Latest ${category} News Update`,
-                excerpt: 'This is a sample article excerpt for the selected category...',
-                image: 'assets/images/news/news-1.jpg',
-                category: category,
-                date: new Date().toISOString(),
-                author: 'John Doe',
-                readTime: '5 min read'
-            },
-            {
-                id: 2,
-                title: `Breaking ${category} Development`,
-                excerpt: 'Another sample article with relevant information...',
-                image: 'assets/images/news/news-2.jpg',
-                category: category,
-                date: new Date(Date.now() - 86400000).toISOString(),
-                author: 'Jane Smith',
-                readTime: '3 min read'
+            if (!signal?.aborted) {
+                contentArea.style.opacity = '1';
+                contentArea.removeAttribute('aria-busy');
             }
-        ];
-        
-        return mockArticles;
+        }
     }
     
     /**
-     * Render articles in content area
+     * Render articles in content area. For the For You tab (options.category)
+     * each card says why it was picked.
      */
-    renderArticles(articles, contentArea) {
-        const articlesHTML = articles.map(article => `
-            <article class="news-card fade-in">
-                <div class="news-image">
-                    <img src="${article.image}" alt="${article.title}" loading="lazy">
-                    <span class="category-tag ${article.category.toLowerCase()}">${article.category}</span>
-                </div>
-                <div class="news-content">
-                    <h3><a href="/article/${article.id}">${article.title}</a></h3>
-                    <p>${article.excerpt}</p>
-                    <div class="news-meta">
-                        <div class="author">
-                            <img src="assets/images/authors/author-1.jpg" alt="${article.author}">
-                            <span>${article.author}</span>
-                        </div>
-                        <span><i class="fas fa-clock"></i> ${this.formatDate(article.date)}</span>
-                    </div>
-                </div>
-            </article>
-        `).join('');
+    renderArticles(articles, contentArea, { category } = {}) {
+        const forYou = category === 'for-you' ? this.forYou : null;
         
-        contentArea.innerHTML = articlesHTML;
+        // Keyed by article id so cards already on screen are kept
+        PLSTemplate.renderList(contentArea, this.excludeShown(this.normalizeArticles(articles), contentArea), {
+            render: article => this.renderArticleCard(article, { reason: forYou?.reasonFor(article) })
+        });
     }
     
     /**
@@ -783,58 +1694,40 @@ class PLSWorldNews {
     }
     
     /**
-     * Initialize breaking news ticker
+     * Initialize breaking news ticker. Items are pushed over the stream in
+     * PLS_CONFIG.breakingNews, or polled from the data source without one.
      */
     initializeBreakingNews() {
-        const ticker = document.querySelector('.ticker-text');
-        if (!ticker) return;
+        const bar = document.querySelector('.breaking-news-ticker');
+        if (!bar?.querySelector('.ticker-text')) return;
         
-        // Pause animation on hover
-        ticker.addEventListener('mouseenter', () => {
-            ticker.style.animationPlayState = 'paused';
-        });
+        const config = window.PLS_CONFIG?.breakingNews || {};
         
-        ticker.addEventListener('mouseleave', () => {
-            ticker.style.animationPlayState = 'running';
-        });
+        this.breakingNews = new PLSBreakingNews(config);
+        document.addEventListener(this.breakingNews.options.eventName, this.handleBreakingNewsChange);
+        this.ticker = new PLSTicker(bar, this, config);
         
-        // Load breaking news from API
-        this.loadBreakingNews();
-    }
-    
-    /**
-     * Load breaking news
-     */
-    async loadBreakingNews() {
-        try {
-            // Mock breaking news API
-            const breakingNews = await this.mockBreakingNewsAPI();
-            const ticker = document.querySelector('.ticker-text');
-            
-            if (ticker && breakingNews.length > 0) {
-                const newsHTML = breakingNews.map(news => 
-                    `<span>${news.title}</span>`
-                ).join('');
-                
-                ticker.innerHTML = newsHTML;
+        this.breakingNewsStream = new PLSBreakingNewsStream({
+            ...config,
+            poll: () => this.dataSource.getBreakingNews(),
+            onItems: (items, options) => this.breakingNews.merge(items, options),
+            onStatus: (status) => {
+                bar.dataset.stream = status;
             }
-        } catch (error) {
-            console.error('Failed to load breaking news:', error);
-        }
+        });
+        this.breakingNewsStream.start();
     }
     
     /**
-     * Mock breaking news API
+     * Breaking items arrived, changed or expired (PLSTicker shows them)
      */
-    async mockBreakingNewsAPI() {
-        await new Promise(resolve => setTimeout(resolve, 300));
-        
-        return [
-            { id: 1, title: 'Global markets surge following economic announcement' },
-            { id: 2, title: 'Technology breakthrough promises revolutionary changes' },
-            { id: 3, title: 'International summit reaches historic agreement' },
-            { id: 4, title: 'Climate initiative gains worldwide support' }
-        ];
+    handleBreakingNewsChange(e) {
+        // New breaking stories make cached search results stale, but not
+        // the first ones of the page
+        if (e.detail?.action === 'add' && this.breakingNewsShown) {
+            this.searchCache.clear();
+        }
+        this.breakingNewsShown = true;
     }
     
     /**
@@ -854,7 +1747,11 @@ class PLSWorldNews {
         }
         
         // Update reading progress (if on article page)
-        this.updateReadingProgress();
+        if (this.articleReader) {
+            this.articleReader.updateProgress();
+        } else {
+            this.updateReadingProgress();
+        }
         
         // Lazy load images
         this.lazyLoadImages();
@@ -891,14 +1788,44 @@ class PLSWorldNews {
         }
         
         // Handle article links
-        if (e.target.matches('.news-card a, .hero-card a')) {
+        if (e.target.matches('.news-card a, .hero-card a') && !e.target.matches('.category-tag')) {
             this.trackArticleClick(e.target);
         }
         
         // Handle social sharing
-        if (e.target.matches('.share-btn')) {
+        const shareButton = e.target.closest('.share-btn');
+        if (shareButton) {
+            e.preventDefault();
+            this.handleSocialShare(shareButton);
+        }
+        
+        // Put aside a story in Continue reading
+        const dismissButton = e.target.closest('.continue-card-dismiss');
+        if (dismissButton) {
+            e.preventDefault();
+            this.readingHistory.dismiss(dismissButton.dataset.id);
+        }
+        
+        // Follow or unfollow a topic, author or category
+        const followButton = e.target.closest('.follow-btn');
+        if (followButton) {
+            e.preventDefault();
+            this.toggleFollow(followButton);
+        }
+        
+        // Save for later
+        const saveButton = e.target.closest('.bookmark-btn');
+        if (saveButton) {
             e.preventDefault();
-            this.handleSocialShare(e.target);
+            this.toggleSavedArticle(saveButton);
+        }
+        
+        // Switch to a new version of the site
+        const reloadButton = e.target.closest('.sw-reload');
+        if (reloadButton && this.waitingWorker) {
+            reloadButton.disabled = true;
+            this.updateRequested = true;
+            this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
         }
     }
     
@@ -950,7 +1877,7 @@ class PLSWorldNews {
         const id = Date.now();
         
         notification.className = `notification ${type}`;
-        notification.innerHTML = `
+        PLSTemplate.render(notification, PLSTemplate.html`
             <div class="notification-content">
                 <div class="notification-icon">
                     <i class="fas ${this.getNotificationIcon(type)}"></i>
@@ -959,7 +1886,7 @@ class PLSWorldNews {
                     <div class="notification-message">${message}</div>
                 </div>
             </div>
-        `;
+        `);
         
         container.appendChild(notification);
         
@@ -968,10 +1895,12 @@ class PLSWorldNews {
             notification.classList.add('show');
         }, 100);
         
-        // Auto remove
-        setTimeout(() => {
-            this.removeNotification(notification);
-        }, duration);
+        // Auto remove (a duration of 0 keeps it until it is dismissed)
+        if (duration > 0) {
+            setTimeout(() => {
+                this.removeNotification(notification);
+            }, duration);
+        }
         
         // Store notification
         this.notifications.push({ id, element: notification, type, message });
@@ -1020,31 +1949,36 @@ class PLSWorldNews {
     }
     
     /**
-     * Initialize lazy loading
+     * Initialize lazy loading for images with data-src in root (the whole
+     * page by default). Pass the updated container after rendering.
      */
-    initializeLazyLoading() {
+    initializeLazyLoading(root = document) {
         if ('IntersectionObserver' in window) {
-            const imageObserver = new IntersectionObserver((entries, observer) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        const img = entry.target;
-                        this.loadImage(img);
-                        observer.unobserve(img);
-                    }
+            let imageObserver = this.observers.get('images');
+            
+            if (!imageObserver) {
+                imageObserver = new IntersectionObserver((entries, observer) => {
+                    entries.forEach(entry => {
+                        if (entry.isIntersecting) {
+                            const img = entry.target;
+                            this.loadImage(img);
+                            observer.unobserve(img);
+                        }
+                    });
+                }, {
+                    rootMargin: '50px 0px',
+                    threshold: 0.01
                 });
-            }, {
-                rootMargin: '50px 0px',
-                threshold: 0.01
-            });
+                
+                this.observers.set('images', imageObserver);
+            }
             
-            // Observe all images with data-src
-            const lazyImages = document.querySelectorAll('img[data-src]');
+            // Observe images with data-src (observing one twice is harmless)
+            const lazyImages = root.querySelectorAll('img[data-src]');
             lazyImages.forEach(img => imageObserver.observe(img));
-            
-            this.observers.set('images', imageObserver);
         } else {
             // Fallback for older browsers
-            this.loadAllImages();
+            this.loadAllImages(root);
         }
     }
     
@@ -1071,8 +2005,8 @@ class PLSWorldNews {
     /**
      * Load all images (fallback)
      */
-    loadAllImages() {
-        const lazyImages = document.querySelectorAll('img[data-src]');
+    loadAllImages(root = document) {
+        const lazyImages = root.querySelectorAll('img[data-src]');
         lazyImages.forEach(img => this.loadImage(img));
     }
     
@@ -1108,7 +2042,7 @@ class PLSWorldNews {
         if (!weatherWidget) return;
         
         try {
-            const weatherData = await this.getWeatherData();
+            const weatherData = await this.dataSource.getWeather();
             this.updateWeatherWidget(weatherData);
         } catch (error) {
             console.error('Weather data failed to load:', error);
@@ -1116,23 +2050,6 @@ class PLSWorldNews {
         }
     }
     
-    /**
-     * Get weather data
-     */
-    async getWeatherData() {
-        // Mock weather API (replace with actual weather service)
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        return {
-            location: 'New York, NY',
-            temperature: 22,
-            condition: 'sunny',
-            humidity: 65,
-            windSpeed: 12,
-            icon: 'fas fa-sun'
-        };
-    }
-    
     /**
      * Update weather widget
      */
@@ -1140,7 +2057,7 @@ class PLSWorldNews {
         const widget = document.querySelector('.weather-widget');
         if (!widget) return;
         
-        widget.innerHTML = `
+        PLSTemplate.render(widget, PLSTemplate.html`
             <h4 class="widget-title">
                 <i class="fas fa-cloud-sun"></i>
                 Weather
@@ -1162,7 +2079,7 @@ class PLSWorldNews {
                     <span>Wind: ${data.windSpeed} km/h</span>
                 </div>
             </div>
-        `;
+        `);
     }
     
     /**
@@ -1190,9 +2107,9 @@ class PLSWorldNews {
      * Initialize auto-refresh
      */
     initializeAutoRefresh() {
-        // Refresh breaking news every 5 minutes
+        // Check saved searches and follows for new stories every 5 minutes
         setInterval(() => {
-            this.loadBreakingNews();
+            this.checkForNewArticles();
         }, 5 * 60 * 1000);
         
         // Refresh weather every 30 minutes
@@ -1205,19 +2122,62 @@ class PLSWorldNews {
      * Initialize service worker
      */
     initializeServiceWorker() {
-        if ('serviceWorker' in navigator) {
-            window.addEventListener('load', () => {
-                navigator.serviceWorker.register('/sw.js')
-                    .then(registration => {
-                        console.log('SW registered: ', registration);
-                    })
-                    .catch(registrationError => {
-                        console.log('SW registration failed: ', registrationError);
-                    });
-            });
+        if (!('serviceWorker' in navigator)) return;
+        
+        // The page reloads once the new worker has taken over, and only when the reader asked for it
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateRequested) {
+                this.updateRequested = false;
+                window.location.reload();
+            }
+        });
+        
+        const register = () => {
+            navigator.serviceWorker.register(`${this.router.base}sw.js`, { scope: this.router.base })
+                .then(registration => this.watchServiceWorker(registration))
+                .catch(registrationError => {
+                    console.warn('SW registration failed:', registrationError);
+                });
+        };
+        
+        if (document.readyState === 'complete') {
+            register();
+        } else {
+            window.addEventListener('load', register, { once: true });
         }
     }
     
+    /**
+     * Offer to reload when a new version of the site is installed and waiting
+     */
+    watchServiceWorker(registration) {
+        // The first install is not an update: nothing controls the page yet.
+        // A version found later in the same visit is one.
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdatePrompt(registration.waiting);
+        }
+        
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker?.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdatePrompt(worker);
+                }
+            });
+        });
+    }
+    
+    showUpdatePrompt(worker) {
+        if (this.waitingWorker === worker) return;
+        this.waitingWorker = worker;
+        
+        this.showNotification(
+            PLSTemplate.html`A new version of PLS World News is available. <button type="button" class="notification-action sw-reload">Reload</button>`,
+            'info',
+            0
+        );
+    }
+    
     /**
      * Initialize error handling
      */
@@ -1233,6 +2193,36 @@ class PLSWorldNews {
         });
     }
     
+    /**
+     * Reader-facing message for a failed request, by network error type
+     */
+    describeError(error, fallback = 'Something went wrong') {
+        if (!(error instanceof PLSNetworkError)) return fallback;
+        
+        switch (error.type) {
+            case 'offline':
+                return 'You are offline. Check your connection and try again.';
+            case 'timeout':
+                return 'The server is taking too long to respond. Please try again.';
+            case 'parse':
+                return `${fallback}: the server sent an unexpected response`;
+            case 'http':
+                if (error.status === 404) return `${fallback}: not found`;
+                if (error.status === 429) return 'Too many requests. Please wait a moment and try again.';
+                if (error.status >= 500) return 'Our servers are having trouble. Please try again shortly.';
+                return fallback;
+            default:
+                return `${fallback}. Check your connection and try again.`;
+        }
+    }
+    
+    /**
+     * Being offline is a warning rather than an error
+     */
+    errorNotificationType(error) {
+        return error instanceof PLSNetworkError && error.type === 'offline' ? 'warning' : 'error';
+    }
+    
     /**
      * Log error
      */
@@ -1263,6 +2253,10 @@ class PLSWorldNews {
      * Handle load more functionality
      */
     async handleLoadMore(button) {
+        if (this.newsFeed && button === this.newsFeed.button) {
+            return this.newsFeed.loadNext();
+        }
+        
         const container = button.closest('.news-section, .category-section');
         const grid = container?.querySelector('.news-grid, .category-list');
         
@@ -1278,18 +2272,21 @@ class PLSWorldNews {
             const category = button.dataset.category || 'all';
             
             // Load more articles
-            const articles = await this.loadMoreArticles(category, currentPage + 1);
+            const articles = this.normalizeArticles(await this.dataSource.getArticles(category, currentPage + 1));
             
             if (articles.length > 0) {
-                // Append new articles
-                const articlesHTML = articles.map(article => this.renderArticleCard(article)).join('');
-                grid.insertAdjacentHTML('beforeend', articlesHTML);
+                // Append new articles (duplicates of cards already shown are updated in place)
+                PLSTemplate.renderList(grid, this.excludeShown(articles, grid), {
+                    render: article => this.renderArticleCard(article),
+                    append: true
+                });
+                this.indexArticles(articles);
                 
                 // Update page number
                 button.dataset.page = currentPage + 1;
                 
                 // Initialize lazy loading for new images
-                this.initializeLazyLoading();
+                this.initializeLazyLoading(grid);
                 
                 // Show success message
                 this.showNotification(`Loaded ${articles.length} more articles`, 'success', 2000);
@@ -1301,7 +2298,7 @@ class PLSWorldNews {
             
         } catch (error) {
             console.error('Load more failed:', error);
-            this.showNotification('Failed to load more articles', 'error');
+            this.showNotification(this.describeError(error, 'Failed to load more articles'), this.errorNotificationType(error));
         } finally {
             // Reset button
             button.disabled = false;
@@ -1309,58 +2306,37 @@ class PLSWorldNews {
         }
     }
     
-    /**
-     * Load more articles
-     */
-    async loadMoreArticles(category, page) {
-        await new Promise(resolve => setTimeout(resolve, 800));
-        
-        // Mock API response
-        if (page > 3) return []; // Simulate no more articles
-        
-        return [
-            {
-                id: Date.now() + Math.random(),
-                title: `Additional ${category} Article ${page}`,
-                excerpt: 'This is a dynamically loaded article excerpt...',
-                image: `assets/images/news/news-${(page % 6) + 1}.jpg`,
-                category: category,
-                date: new Date().toISOString(),
-                author: 'Dynamic Author',
-                readTime: '4 min read'
-            },
-            {
-                id: Date.now() + Math.random() + 1,
-                title: `Another ${category} Story ${page}`,
-                excerpt: 'Another dynamically loaded article with interesting content...',
-                image: `assets/images/news/news-${((page + 1) % 6) + 1}.jpg`,
-                category: category,
-                date: new Date(Date.now() - 3600000).toISOString(),
-                author: 'Another Author',
-                readTime: '6 min read'
-            }
-        ];
-    }
-    
     /**
      * Render article card
      */
-    renderArticleCard(article) {
-        return `
+    renderArticleCard(record, { highlight, reason } = {}) {
+        const { html } = PLSTemplate;
+        const article = PLSArticle.tryNormalize(record, {
+            onError: (error) => this.logError('Invalid Article', error)
+        });
+        if (!article) return '';
+        
+        const title = highlight ? PLSHighlighter.highlight(article.title, highlight) : article.title;
+        const excerpt = highlight ? PLSHighlighter.snippet(article.excerpt, highlight) : article.excerpt;
+        
+        return html`
             <article class="news-card fade-in">
                 <div class="news-image">
                     <img data-src="${article.image}" alt="${article.title}" loading="lazy">
-                    <span class="category-tag ${article.category.toLowerCase()}">${article.category}</span>
+                    <a href="${this.categoryHref(article.categoryKey)}" class="category-tag ${article.categoryKey}">${article.category}</a>
+                    ${this.renderSaveButton(article)}
                 </div>
                 <div class="news-content">
-                    <h3><a href="/article/${article.id}">${article.title}</a></h3>
-                    <p>${article.excerpt}</p>
+                    ${reason && html`<p class="recommendation-reason"><i class="fas fa-lightbulb"></i> ${reason}</p>`}
+                    <h3><a href="${PLSArticleReader.href(article)}">${title}</a></h3>
+                    <p>${excerpt}</p>
                     <div class="news-meta">
                         <div class="author">
-                            <img src="assets/images/authors/author-1.jpg" alt="${article.author}">
+                            <img src="${article.authorAvatar}" alt="${article.author}">
                             <span>${article.author}</span>
                         </div>
                         <span><i class="fas fa-clock"></i> ${this.formatDate(article.date)}</span>
+                        <span><i class="fas fa-book-open"></i> ${article.readTime}</span>
                     </div>
                 </div>
             </article>
@@ -1416,7 +2392,7 @@ class PLSWorldNews {
      */
     trackArticleClick(link) {
         const article = link.closest('.news-card, .hero-card');
-        if (!article) return;
+        if (!article || this.readingHistory.isPaused()) return;
         
         const articleData = {
             title: link.textContent.trim(),
@@ -1564,26 +2540,34 @@ class PLSWorldNews {
     }
     
     /**
-     * Update reading progress (for article pages)
+     * Update reading progress (for article pages). The scroller is the
+     * window, or the element the article scrolls in (the reader overlay).
+     * Returns the progress from 0 to 1.
      */
-    updateReadingProgress() {
-        const progressBar = document.querySelector('.reading-progress');
-        if (!progressBar) return;
-        
-        const article = document.querySelector('article.article-content');
-        if (!article) return;
+    updateReadingProgress(options = {}) {
+        const {
+            bar: progressBar = document.querySelector('.reading-progress'),
+            article = document.querySelector('article.article-content'),
+            scroller = window
+        } = options;
+        if (!progressBar || !article) return 0;
         
-        const articleTop = article.offsetTop;
-        const articleHeight = article.offsetHeight;
-        const windowHeight = window.innerHeight;
-        const scrollTop = window.pageYOffset;
+        const articleRect = article.getBoundingClientRect();
+        const articleHeight = articleRect.height;
+        const windowHeight = scroller === window ? window.innerHeight : scroller.clientHeight;
+        const scrolledPast = scroller === window
+            ? -articleRect.top
+            : scroller.getBoundingClientRect().top - articleRect.top;
         
-        const progress = Math.min(
-            Math.max((scrollTop - articleTop + windowHeight) / articleHeight, 0),
+        const progress = articleHeight > 0 ? Math.min(
+            Math.max((scrolledPast + windowHeight) / articleHeight, 0),
             1
-        );
+        ) : 0;
         
         progressBar.style.width = `${progress * 100}%`;
+        progressBar.closest('[role="progressbar"]')?.setAttribute('aria-valuenow', Math.round(progress * 100));
+        
+        return progress;
     }
     
     /**
@@ -1675,6 +2659,28 @@ class PLSWorldNews {
         this.observers.forEach(observer => observer.disconnect());
         this.observers.clear();
         
+        // Remove router, search suggestions, article readers and pages
+        this.router.destroy();
+        this.newsTabs?.destroy();
+        this.virtualGrid?.destroy();
+        this.newsFeed?.destroy();
+        this.searchSuggest?.destroy();
+        this.searchPage?.destroy();
+        this.articleReader?.destroy();
+        this.articleOverlay?.destroy();
+        this.readingListPage?.destroy();
+        this.historyPage?.destroy();
+        this.forYou?.destroy();
+        this.followingPage?.destroy();
+        
+        // Stop the breaking news stream and its timers
+        this.breakingNewsStream?.close();
+        this.ticker?.destroy();
+        if (this.breakingNews) {
+            this.breakingNews.destroy();
+            document.removeEventListener(this.breakingNews.options.eventName, this.handleBreakingNewsChange);
+        }
+        
         // Clear intervals and timeouts
         // (In a real app, you'd track these and clear them)
         
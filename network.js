@@ -0,0 +1,294 @@
+/**
+ * PLS World News - Network Client
+ * fetch wrapper with timeouts, retries (exponential backoff with jitter,
+ * Retry-After) for idempotent requests, de-duplication of identical
+ * in-flight GETs, ETag revalidation and typed errors
+ *
+ *   const articles = await PLSNetworkClient.shared.get(url, { signal });
+ */
+
+/**
+ * A failed request. `type` says what went wrong: 'timeout', 'offline',
+ * 'network' (no response), 'http' (error status) or 'parse' (bad body).
+ */
+class PLSNetworkError extends Error {
+    constructor(type, message, { url = '', status = null, retryAfter = null, cause = null } = {}) {
+        super(message);
+        this.name = 'PLSNetworkError';
+        this.type = type;
+        this.url = url;
+        this.status = status;
+        this.retryAfter = retryAfter;
+        this.cause = cause;
+    }
+}
+
+class PLSNetworkClient {
+    constructor(options = {}) {
+        this.options = {
+            timeout: 10000,
+            retries: 2,
+            retryDelay: 500,
+            maxRetryDelay: 10000,
+            // Longer Retry-After waits are not worth holding the page for
+            maxRetryAfter: 60000,
+            retryStatuses: [408, 425, 429, 500, 502, 503, 504],
+            maxEtags: 100,
+            ...options
+        };
+        
+        // Identical GETs in flight, shared by their callers
+        this.pending = new Map();
+        // Response type and URL -> { etag, data } for If-None-Match revalidation
+        this.etags = new Map();
+    }
+    
+    /**
+     * Client used by PLSUtils.network and the data sources, configured
+     * from PLS_CONFIG.network
+     */
+    static get shared() {
+        if (!PLSNetworkClient.sharedClient) {
+            PLSNetworkClient.sharedClient = new PLSNetworkClient(window.PLS_CONFIG?.network);
+        }
+        return PLSNetworkClient.sharedClient;
+    }
+    
+    /**
+     * Methods that are safe to send twice
+     */
+    static get idempotentMethods() {
+        return ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+    }
+    
+    async get(url, options = {}) {
+        return this.request(url, { ...options, method: 'GET' });
+    }
+    
+    async getText(url, options = {}) {
+        return this.request(url, { ...options, method: 'GET', responseType: 'text' });
+    }
+    
+    async post(url, data, options = {}) {
+        return this.request(url, { ...options, method: 'POST', body: data });
+    }
+    
+    /**
+     * Send a request and resolve to the parsed body (JSON by default, or
+     * text with responseType: 'text'). Plain objects as body are sent as
+     * JSON. Rejects with a PLSNetworkError, or the AbortError of the
+     * caller's signal.
+     */
+    async request(url, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const { signal, ...rest } = options;
+        
+        if (method !== 'GET') {
+            return this.send(url, { ...rest, method }, signal);
+        }
+        
+        const key = `${rest.responseType || 'json'} ${url} ${JSON.stringify(rest.headers || {})}`;
+        let shared = this.pending.get(key);
+        
+        if (!shared) {
+            const controller = new AbortController();
+            shared = { controller, callers: 0, settled: false };
+            shared.promise = this.send(url, { ...rest, method }, controller.signal).finally(() => {
+                shared.settled = true;
+                this.pending.delete(key);
+            });
+            this.pending.set(key, shared);
+        }
+        
+        shared.callers++;
+        try {
+            return await this.untilAborted(shared.promise, signal);
+        } finally {
+            // The request itself is only cancelled once nobody is waiting for it
+            shared.callers--;
+            if (shared.callers === 0 && !shared.settled) {
+                shared.controller.abort();
+            }
+        }
+    }
+    
+    /**
+     * The request with retries. Only idempotent methods are retried.
+     */
+    async send(url, options, signal) {
+        const retries = PLSNetworkClient.idempotentMethods.includes(options.method)
+            ? options.retries ?? this.options.retries
+            : 0;
+        
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.attempt(url, options, signal);
+            } catch (error) {
+                const delay = this.retryDelay(error, attempt);
+                if (signal?.aborted || attempt >= retries || delay === null) throw error;
+                
+                await this.sleep(delay, signal);
+            }
+        }
+    }
+    
+    /**
+     * One fetch with its own timeout
+     */
+    async attempt(url, { method, headers = {}, body, timeout = this.options.timeout, responseType = 'json', retries, ...init }, signal) {
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            throw new PLSNetworkError('offline', 'You are offline', { url });
+        }
+        
+        const controller = new AbortController();
+        let timedOut = false;
+        const timeoutId = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const abort = () => controller.abort();
+        if (signal?.aborted) abort();
+        signal?.addEventListener('abort', abort);
+        
+        const isJsonBody = body !== undefined && body !== null && typeof body === 'object' &&
+            !(body instanceof FormData) && !(body instanceof Blob) && !(body instanceof URLSearchParams);
+        const etagKey = `${responseType} ${url}`;
+        const cached = method === 'GET' ? this.etags.get(etagKey) : null;
+        const requestHeaders = {
+            Accept: responseType === 'json' ? 'application/json' : '*/*',
+            ...(isJsonBody ? { 'Content-Type': 'application/json' } : {}),
+            ...(cached ? { 'If-None-Match': cached.etag } : {}),
+            ...headers
+        };
+        
+        let response;
+        try {
+            response = await fetch(url, {
+                ...init,
+                method,
+                headers: requestHeaders,
+                body: isJsonBody ? JSON.stringify(body) : body,
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            if (timedOut) {
+                throw new PLSNetworkError('timeout', `Request timed out after ${timeout}ms`, { url, cause: error });
+            }
+            if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+                throw new PLSNetworkError('offline', 'You are offline', { url, cause: error });
+            }
+            throw new PLSNetworkError('network', 'Network request failed', { url, cause: error });
+        } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', abort);
+        }
+        
+        if (response.status === 304 && cached) {
+            return cached.data;
+        }
+        
+        if (!response.ok) {
+            throw new PLSNetworkError('http', `HTTP error! status: ${response.status}`, {
+                url,
+                status: response.status,
+                retryAfter: this.parseRetryAfter(response.headers.get('Retry-After'))
+            });
+        }
+        
+        const data = await this.parse(response, responseType, url);
+        
+        const etag = response.headers.get('ETag');
+        if (method === 'GET' && etag) {
+            this.remember(etagKey, etag, data);
+        }
+        
+        return data;
+    }
+    
+    async parse(response, responseType, url) {
+        try {
+            const text = await response.text();
+            if (responseType === 'text') return text;
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            throw new PLSNetworkError('parse', `Could not read the response from ${url}`, { url, status: response.status, cause: error });
+        }
+    }
+    
+    /**
+     * Milliseconds to wait before retrying after an error, or null if it
+     * should not be retried
+     */
+    retryDelay(error, attempt) {
+        if (!(error instanceof PLSNetworkError)) return null;
+        
+        if (error.type === 'http') {
+            if (!this.options.retryStatuses.includes(error.status)) return null;
+            
+            if (error.retryAfter !== null) {
+                return error.retryAfter <= this.options.maxRetryAfter ? error.retryAfter : null;
+            }
+        } else if (error.type !== 'timeout' && error.type !== 'network') {
+            return null;
+        }
+        
+        // Exponential backoff with "equal jitter": half fixed, half random
+        const delay = Math.min(this.options.maxRetryDelay, this.options.retryDelay * 2 ** attempt);
+        return delay / 2 + Math.random() * delay / 2;
+    }
+    
+    /**
+     * Retry-After in milliseconds, from seconds or an HTTP date
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+        
+        if (/^\d+$/.test(value.trim())) {
+            return parseInt(value, 10) * 1000;
+        }
+        
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+    
+    remember(key, etag, data) {
+        this.etags.delete(key);
+        this.etags.set(key, { etag, data });
+        
+        if (this.etags.size > this.options.maxEtags) {
+            this.etags.delete(this.etags.keys().next().value);
+        }
+    }
+    
+    /**
+     * Settle with the promise, or reject as soon as the signal aborts
+     */
+    untilAborted(promise, signal) {
+        if (!signal) return promise;
+        if (signal.aborted) return Promise.reject(this.abortError(signal));
+        
+        return new Promise((resolve, reject) => {
+            const abort = () => reject(this.abortError(signal));
+            signal.addEventListener('abort', abort, { once: true });
+            promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+        });
+    }
+    
+    sleep(ms, signal) {
+        return this.untilAborted(new Promise(resolve => setTimeout(resolve, ms)), signal);
+    }
+    
+    abortError(signal) {
+        return signal.reason instanceof Error ? signal.reason : new DOMException('The request was aborted', 'AbortError');
+    }
+}
+
+// Make network client globally available
+window.PLSNetworkClient = PLSNetworkClient;
+window.PLSNetworkError = PLSNetworkError;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PLSNetworkClient, PLSNetworkError };
+}
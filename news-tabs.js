@@ -0,0 +1,242 @@
+/**
+ * PLS World News - News Tabs
+ * Latest News tabs with tablist/tab/tabpanel semantics and arrow-key
+ * navigation. Each tab keeps its loaded articles, page count and scroll
+ * offset for a while, an abandoned tab's request is aborted and the
+ * selected tab is kept in the URL (?tab=trending).
+ */
+
+class PLSNewsTabs {
+    constructor(section, app, options = {}) {
+        this.section = section;
+        this.app = app;
+        this.options = {
+            param: 'tab',
+            maxAge: 5 * 60 * 1000,
+            onSelect: null,
+            ...options
+        };
+        
+        this.tablist = section?.querySelector('.section-tabs') || null;
+        this.tabs = Array.from(this.tablist?.querySelectorAll('.tab-btn') || []);
+        this.panel = section?.querySelector('.news-grid') || null;
+        this.current = (this.tabs.find(tab => tab.classList.contains('active')) || this.tabs[0])?.dataset.category || 'all';
+        this.states = new Map();
+        this.controller = null;
+        this.loading = false;
+        
+        this.handleClick = this.handleClick.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+        
+        this.init();
+    }
+    
+    init() {
+        if (!this.tablist || !this.panel) return;
+        
+        this.panel.id = this.panel.id || 'latestNewsPanel';
+        this.panel.setAttribute('role', 'tabpanel');
+        this.tablist.setAttribute('role', 'tablist');
+        this.tablist.setAttribute('aria-label', 'Latest news');
+        
+        this.tabs.forEach(tab => {
+            tab.id = tab.id || `${this.panel.id}-tab-${tab.dataset.category}`;
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-controls', this.panel.id);
+        });
+        this.updateTabs(this.tabFor(this.current));
+        
+        this.tablist.addEventListener('click', this.handleClick);
+        this.tablist.addEventListener('keydown', this.handleKeydown);
+        
+        // A tab in the URL replaces the page's initial list, pages and all
+        const tab = this.readTab();
+        if (tab && tab.dataset.category !== this.current) {
+            const page = this.app.newsFeed?.readPage() || 1;
+            this.select(tab.dataset.category, { tab }).then(() => {
+                if (page > 1) this.app.newsFeed?.restore(page);
+            });
+        }
+    }
+    
+    /**
+     * Tab for a category, if it has one
+     */
+    tabFor(category) {
+        return this.tabs.find(tab => tab.dataset.category === category) || null;
+    }
+    
+    /**
+     * Tab named in the URL, or null
+     */
+    readTab() {
+        return this.tabFor(new URLSearchParams(window.location.search).get(this.options.param));
+    }
+    
+    /**
+     * Show a category's articles: from its saved state when it has a recent
+     * one, otherwise loaded fresh. `tab` is the tab to mark selected (none
+     * for categories opened from the navigation).
+     */
+    async select(category, { tab = this.tabFor(category) } = {}) {
+        this.updateTabs(tab);
+        this.updateUrl(tab);
+        if (category === this.current) return;
+        
+        this.save();
+        this.current = category;
+        this.controller?.abort();
+        
+        const state = this.states.get(category);
+        if (state && Date.now() - state.time < this.options.maxAge) {
+            this.loading = false;
+            this.restore(state);
+            return;
+        }
+        
+        await this.load(category);
+    }
+    
+    /**
+     * Load a category's first page into the panel, aborting any other
+     * tab's request still on its way
+     */
+    async load(category) {
+        this.controller?.abort();
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+        this.loading = true;
+        
+        try {
+            await this.app.loadTabContent(category, this.panel, { signal });
+        } finally {
+            if (!signal.aborted) this.loading = false;
+        }
+    }
+    
+    /**
+     * Drop a tab's saved list so it is loaded fresh the next time it is shown
+     */
+    forget(category) {
+        this.states.delete(category);
+    }
+    
+    /**
+     * Load a tab again now if it is showing, otherwise when it is next shown
+     */
+    reload(category) {
+        this.forget(category);
+        return category === this.current ? this.load(category) : Promise.resolve();
+    }
+    
+    /**
+     * Remember what the current tab shows. Nothing is saved while its
+     * first page is still loading or if it failed.
+     */
+    save() {
+        const state = this.app.newsFeed?.getState();
+        if (this.loading || !state || state.articles.length === 0) return;
+        
+        this.states.set(this.current, {
+            ...state,
+            offset: -this.panel.getBoundingClientRect().top,
+            time: Date.now()
+        });
+    }
+    
+    /**
+     * Put a saved tab back, scrolled to where the reader left it
+     */
+    restore(state) {
+        this.panel.style.opacity = '1';
+        this.panel.removeAttribute('aria-busy');
+        this.app.renderArticles(state.articles, this.panel, { category: state.category });
+        this.app.newsFeed?.setState(state);
+        this.app.initializeLazyLoading(this.panel);
+        
+        if (state.offset > 0) {
+            window.scrollTo(0, this.panel.getBoundingClientRect().top + window.scrollY + state.offset);
+        }
+    }
+    
+    updateTabs(selected) {
+        this.tabs.forEach(tab => {
+            const isSelected = tab === selected;
+            tab.classList.toggle('active', isSelected);
+            tab.setAttribute('aria-selected', String(isSelected));
+            tab.tabIndex = isSelected || (!selected && tab === this.tabs[0]) ? 0 : -1;
+        });
+        
+        // Lets the section show what belongs to one tab (the For You bar)
+        this.section.dataset.tab = selected?.dataset.category || '';
+        
+        if (selected) {
+            this.panel.setAttribute('aria-labelledby', selected.id);
+        } else {
+            this.panel.removeAttribute('aria-labelledby');
+        }
+    }
+    
+    /**
+     * Keep the selected tab in the URL (the first tab is the default and is left out)
+     */
+    updateUrl(tab) {
+        const url = new URL(window.location.href);
+        
+        if (tab && tab !== this.tabs[0]) {
+            url.searchParams.set(this.options.param, tab.dataset.category);
+        } else {
+            url.searchParams.delete(this.options.param);
+        }
+        
+        if (url.href !== window.location.href) {
+            history.replaceState(history.state, '', url.href);
+        }
+    }
+    
+    handleClick(e) {
+        const tab = e.target.closest('.tab-btn');
+        if (!tab || !this.tabs.includes(tab)) return;
+        
+        this.options.onSelect?.(tab.dataset.category);
+        this.select(tab.dataset.category, { tab });
+    }
+    
+    /**
+     * Arrow keys, Home and End move between tabs and select them
+     */
+    handleKeydown(e) {
+        const index = this.tabs.indexOf(e.target.closest('.tab-btn'));
+        if (index === -1) return;
+        
+        const last = this.tabs.length - 1;
+        const targets = {
+            ArrowRight: index === last ? 0 : index + 1,
+            ArrowLeft: index === 0 ? last : index - 1,
+            Home: 0,
+            End: last
+        };
+        if (!(e.key in targets)) return;
+        
+        e.preventDefault();
+        const tab = this.tabs[targets[e.key]];
+        tab.focus();
+        
+        this.options.onSelect?.(tab.dataset.category);
+        this.select(tab.dataset.category, { tab });
+    }
+    
+    destroy() {
+        this.controller?.abort();
+        this.tablist?.removeEventListener('click', this.handleClick);
+        this.tablist?.removeEventListener('keydown', this.handleKeydown);
+    }
+}
+
+// Make news tabs globally available
+window.PLSNewsTabs = PLSNewsTabs;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSNewsTabs;
+}
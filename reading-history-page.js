@@ -0,0 +1,242 @@
+/**
+ * PLS World News - Reading History Page
+ * Articles read, grouped by day, with search, delete and the pause
+ * toggle. The search is kept in the URL (?q=).
+ */
+
+class PLSReadingHistoryPage {
+    constructor(container, app, options = {}) {
+        this.container = container;
+        this.app = app;
+        this.options = {
+            searchDelay: 200,
+            ...options
+        };
+        
+        this.query = new URLSearchParams(window.location.search).get('q') || '';
+        this.results = null;
+        
+        this.handleClick = this.handleClick.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+        this.handleInput = this.app.debounce(this.handleInput.bind(this), this.options.searchDelay);
+        this.handleHistoryChange = this.handleHistoryChange.bind(this);
+        
+        this.init();
+    }
+    
+    init() {
+        if (!this.container) return;
+        
+        this.renderShell();
+        this.render();
+        
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('change', this.handleChange);
+        this.container.addEventListener('input', this.handleInput);
+        document.addEventListener(this.app.readingHistory.options.eventName, this.handleHistoryChange);
+    }
+    
+    /**
+     * Heading, search box and pause toggle. Rendered once so typing in the
+     * search box is never interrupted.
+     */
+    renderShell() {
+        const { html } = PLSTemplate;
+        
+        PLSTemplate.render(this.container, html`
+            <div class="search-page-header history-header">
+                <h2><i class="fas fa-history"></i> Reading History</h2>
+                <div class="search-page-summary">
+                    <p class="history-summary" aria-live="polite"></p>
+                    <div class="reading-list-transfer">
+                        <a href="reading-list.html" class="reading-list-action">
+                            <i class="fas fa-bookmark"></i> Reading list
+                        </a>
+                        <label class="history-pause">
+                            <input type="checkbox" name="pause" role="switch">
+                            Pause history
+                        </label>
+                        <button type="button" class="reading-list-action danger" data-history-action="clear">
+                            <i class="fas fa-trash-alt"></i> Clear history
+                        </button>
+                    </div>
+                </div>
+                <p class="history-paused-notice" role="status" hidden>
+                    <i class="fas fa-pause-circle"></i> History is paused. Articles you open are not recorded and Continue reading is hidden.
+                </p>
+            </div>
+            <div class="history-search">
+                <label for="historySearch" class="sr-only">Search your history</label>
+                <i class="fas fa-search" aria-hidden="true"></i>
+                <input type="search" id="historySearch" name="q" placeholder="Search your history" value="${this.query}" autocomplete="off">
+            </div>
+            <div class="history-results"></div>
+        `);
+        
+        this.results = this.container.querySelector('.history-results');
+    }
+    
+    /**
+     * Entries matching the search: every word must appear in the title,
+     * excerpt, category or author
+     */
+    getEntries() {
+        const words = this.query.toLowerCase().split(/\s+/).filter(Boolean);
+        const entries = this.app.readingHistory.getAll();
+        if (words.length === 0) return entries;
+        
+        return entries.filter(({ article }) => {
+            const text = [article.title, article.excerpt, article.category, article.author].join(' ').toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+    
+    /**
+     * Entries grouped by the day they were last read: [{ label, entries }]
+     */
+    groupByDay(entries) {
+        const groups = new Map();
+        
+        entries.forEach(entry => {
+            const date = new Date(entry.lastReadAt);
+            const key = date.toDateString();
+            if (!groups.has(key)) {
+                groups.set(key, { label: this.dayLabel(date), entries: [] });
+            }
+            groups.get(key).entries.push(entry);
+        });
+        
+        return Array.from(groups.values());
+    }
+    
+    dayLabel(date) {
+        const today = new Date();
+        const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+        
+        if (date.toDateString() === today.toDateString()) return 'Today';
+        if (date.toDateString() === yesterday.toDateString()) return 'Yesterday';
+        
+        return date.toLocaleDateString('en-US', {
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric',
+            ...(date.getFullYear() !== today.getFullYear() ? { year: 'numeric' } : {})
+        });
+    }
+    
+    render() {
+        const { html } = PLSTemplate;
+        const history = this.app.readingHistory;
+        const total = history.getAll().length;
+        const entries = this.getEntries();
+        const paused = history.isPaused();
+        
+        this.container.querySelector('input[name="pause"]').checked = paused;
+        this.container.querySelector('.history-paused-notice').hidden = !paused;
+        this.container.querySelector('[data-history-action="clear"]').disabled = total === 0;
+        this.container.querySelector('.history-summary').textContent = this.query
+            ? `${entries.length} of ${total} article${total === 1 ? '' : 's'} match "${this.query}"`
+            : `${total} article${total === 1 ? '' : 's'} read`;
+        
+        if (entries.length === 0) {
+            PLSTemplate.render(this.results, html`
+                <div class="search-no-results">
+                    <i class="fas ${this.query ? 'fa-search' : 'fa-history'}"></i>
+                    <h4>${this.query ? 'Nothing in your history matches' : 'No reading history yet'}</h4>
+                    <p>${this.query ? 'Try other words.' : 'Articles you open will be listed here.'}</p>
+                </div>
+            `);
+            return;
+        }
+        
+        PLSTemplate.render(this.results, html`
+            ${this.groupByDay(entries).map(group => html`
+                <section class="history-day">
+                    <h3>${group.label}</h3>
+                    <ul class="history-items">
+                        ${group.entries.map(entry => this.renderEntry(entry))}
+                    </ul>
+                </section>
+            `)}
+        `);
+    }
+    
+    renderEntry({ id, article, lastReadAt, progress, finished }) {
+        const { html } = PLSTemplate;
+        const time = new Date(lastReadAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        
+        return html`
+            <li class="history-item">
+                <time datetime="${lastReadAt}">${time}</time>
+                <div class="history-item-content">
+                    <a href="${PLSArticleReader.href(article)}">${article.title}</a>
+                    <div class="news-meta">
+                        ${article.category && html`<span class="reading-list-category">${article.category}</span>`}
+                        <span>${finished ? 'Finished' : `${Math.round(progress * 100)}% read`}</span>
+                    </div>
+                </div>
+                <button type="button" class="reading-list-action danger" data-history-action="remove" data-id="${id}"
+                    aria-label="Remove ${article.title} from history">
+                    <i class="fas fa-times"></i>
+                </button>
+            </li>
+        `;
+    }
+    
+    handleHistoryChange() {
+        this.render();
+    }
+    
+    handleInput(e) {
+        if (!e.target.matches('input[name="q"]')) return;
+        
+        this.query = e.target.value.trim();
+        
+        const url = new URL(window.location.href);
+        if (this.query) {
+            url.searchParams.set('q', this.query);
+        } else {
+            url.searchParams.delete('q');
+        }
+        history.replaceState(history.state, '', url.href);
+        
+        this.render();
+    }
+    
+    handleChange(e) {
+        if (e.target.matches('input[name="pause"]')) {
+            this.app.readingHistory.setPaused(e.target.checked);
+            this.app.showNotification(e.target.checked ? 'Reading history paused' : 'Reading history resumed', 'info', 3000);
+        }
+    }
+    
+    handleClick(e) {
+        const button = e.target.closest('[data-history-action]');
+        if (!button || button.disabled) return;
+        
+        if (button.dataset.historyAction === 'remove') {
+            this.app.readingHistory.remove(button.dataset.id);
+            // The row is gone: keep focus in the list
+            (this.results.querySelector('.history-item a') || this.container.querySelector('input[name="q"]')).focus();
+        } else if (button.dataset.historyAction === 'clear') {
+            if (!window.confirm('Clear your whole reading history?')) return;
+            this.app.readingHistory.clear();
+            this.app.showNotification('Reading history cleared', 'info', 3000);
+        }
+    }
+    
+    destroy() {
+        this.container.removeEventListener('click', this.handleClick);
+        this.container.removeEventListener('change', this.handleChange);
+        this.container.removeEventListener('input', this.handleInput);
+        document.removeEventListener(this.app.readingHistory.options.eventName, this.handleHistoryChange);
+    }
+}
+
+// Make reading history page globally available
+window.PLSReadingHistoryPage = PLSReadingHistoryPage;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSReadingHistoryPage;
+}
@@ -0,0 +1,193 @@
+/**
+ * PLS World News - Reading History
+ * Articles opened in the reader and how far each was read, persisted in
+ * localStorage. Nothing is recorded while history is paused.
+ */
+
+class PLSReadingHistory {
+    constructor(options = {}) {
+        this.options = {
+            storageKey: 'pls_reading_history',
+            pausedKey: 'pls_reading_history_paused',
+            // Older click log kept by PLSWorldNews.trackArticleClick
+            clicksKey: 'pls_article_clicks',
+            eventName: 'plsReadingHistoryChange',
+            maxEntries: 200,
+            // Progress between these counts as started but not finished
+            startedAt: 0.05,
+            finishedAt: 0.95,
+            ...options
+        };
+    }
+    
+    /**
+     * Fields of an article kept in its history entry
+     */
+    static get articleFields() {
+        return ['id', 'title', 'excerpt', 'image', 'category', 'categoryKey', 'author', 'date', 'url', 'readTime', 'readingTime'];
+    }
+    
+    isPaused() {
+        return PLSUtils.storage.get(this.options.pausedKey, false) === true;
+    }
+    
+    /**
+     * Pause or resume recording. What is already recorded is kept.
+     */
+    setPaused(paused) {
+        if (paused) {
+            PLSUtils.storage.set(this.options.pausedKey, true);
+        } else {
+            PLSUtils.storage.remove(this.options.pausedKey);
+        }
+        this.notify('pause');
+    }
+    
+    /**
+     * Entries, most recently read first:
+     * [{ id, article, firstReadAt, lastReadAt, progress, finished, dismissed, visits, dwell }]
+     */
+    getAll() {
+        return PLSUtils.storage.get(this.options.storageKey, [])
+            .sort((a, b) => new Date(b.lastReadAt) - new Date(a.lastReadAt));
+    }
+    
+    get(id) {
+        return this.getAll().find(entry => entry.id === String(id)) || null;
+    }
+    
+    /**
+     * Whether an entry was started but not finished (or put aside)
+     */
+    isInProgress(entry) {
+        const { startedAt, finishedAt } = this.options;
+        return Boolean(entry) && !entry.finished && !entry.dismissed &&
+            entry.progress >= startedAt && entry.progress < finishedAt;
+    }
+    
+    /**
+     * Articles started but not finished, most recent first
+     */
+    getInProgress(limit = 10) {
+        return this.getAll().filter(entry => this.isInProgress(entry)).slice(0, limit);
+    }
+    
+    /**
+     * Record that an article was opened, moving it to the top
+     */
+    record(article) {
+        if (this.isPaused() || !article?.id) return null;
+        
+        const entries = this.getAll();
+        const index = entries.findIndex(entry => entry.id === String(article.id));
+        const previous = index === -1 ? null : entries.splice(index, 1)[0];
+        const now = new Date().toISOString();
+        
+        const entry = {
+            id: String(article.id),
+            article: PLSReadingHistory.articleFields.reduce((fields, field) => {
+                if (article[field] !== undefined) fields[field] = article[field];
+                return fields;
+            }, {}),
+            firstReadAt: previous?.firstReadAt || now,
+            lastReadAt: now,
+            progress: previous?.progress || 0,
+            finished: previous?.finished || false,
+            // Opening it again brings a put-aside article back
+            dismissed: false,
+            visits: (previous?.visits || 0) + 1,
+            // Seconds spent on the article, see addDwell()
+            dwell: previous?.dwell || 0
+        };
+        
+        entries.unshift(entry);
+        PLSUtils.storage.set(this.options.storageKey, entries.slice(0, this.options.maxEntries));
+        this.notify('record', [entry.id]);
+        return entry;
+    }
+    
+    /**
+     * Remember how far (0-1) an article has been read. A finished article
+     * stays finished when it is opened again.
+     */
+    setProgress(id, progress) {
+        if (this.isPaused()) return;
+        
+        const entries = this.getAll();
+        const entry = entries.find(item => item.id === String(id));
+        const value = Math.round(Math.min(Math.max(progress, 0), 1) * 100) / 100;
+        if (!entry || entry.progress === value) return;
+        
+        entry.progress = value;
+        entry.finished = entry.finished || value >= this.options.finishedAt;
+        entry.lastReadAt = new Date().toISOString();
+        PLSUtils.storage.set(this.options.storageKey, entries);
+        this.notify('progress', [entry.id]);
+    }
+    
+    /**
+     * Add time spent reading an article (in seconds). Unlike progress this
+     * does not move the article up the list.
+     */
+    addDwell(id, seconds) {
+        if (this.isPaused() || !(seconds > 0)) return;
+        
+        const entries = this.getAll();
+        const entry = entries.find(item => item.id === String(id));
+        if (!entry) return;
+        
+        entry.dwell = Math.round((entry.dwell || 0) + seconds);
+        PLSUtils.storage.set(this.options.storageKey, entries);
+        this.notify('dwell', [entry.id]);
+    }
+    
+    /**
+     * Take an article out of "Continue reading" without forgetting it
+     */
+    dismiss(id) {
+        const entries = this.getAll();
+        const entry = entries.find(item => item.id === String(id));
+        if (!entry || entry.dismissed) return;
+        
+        entry.dismissed = true;
+        PLSUtils.storage.set(this.options.storageKey, entries);
+        this.notify('dismiss', [entry.id]);
+    }
+    
+    /**
+     * Forget one or more articles
+     */
+    remove(ids) {
+        const removed = new Set([].concat(ids).map(String));
+        const entries = this.getAll();
+        const kept = entries.filter(entry => !removed.has(entry.id));
+        if (kept.length === entries.length) return 0;
+        
+        PLSUtils.storage.set(this.options.storageKey, kept);
+        this.notify('remove', Array.from(removed));
+        return entries.length - kept.length;
+    }
+    
+    /**
+     * Forget everything, including the older click log
+     */
+    clear() {
+        PLSUtils.storage.remove(this.options.storageKey);
+        PLSUtils.storage.remove(this.options.clicksKey);
+        this.notify('clear');
+    }
+    
+    notify(action, ids = []) {
+        document.dispatchEvent(new CustomEvent(this.options.eventName, {
+            detail: { action, ids }
+        }));
+    }
+}
+
+// Make reading history globally available
+window.PLSReadingHistory = PLSReadingHistory;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSReadingHistory;
+}
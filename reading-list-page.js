@@ -0,0 +1,403 @@
+/**
+ * PLS World News - Reading List Page
+ * Saved stories with sorting, read/unread and category filters, bulk
+ * actions and JSON export/import. Sort and filters live in the URL.
+ */
+
+class PLSReadingListPage {
+    constructor(container, app, options = {}) {
+        this.container = container;
+        this.app = app;
+        this.options = {
+            filename: 'pls-reading-list',
+            ...options
+        };
+        
+        this.state = this.readState();
+        this.selected = new Set();
+        
+        this.handlePopState = this.handlePopState.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+        this.handleListChange = this.handleListChange.bind(this);
+        
+        this.init();
+    }
+    
+    /**
+     * Sort orders, the first being the default
+     */
+    static get sorts() {
+        return {
+            saved: { label: 'Recently saved', compare: (a, b) => new Date(b.savedAt) - new Date(a.savedAt) },
+            oldest: { label: 'Oldest saved', compare: (a, b) => new Date(a.savedAt) - new Date(b.savedAt) },
+            published: { label: 'Newest stories', compare: (a, b) => new Date(b.article.date) - new Date(a.article.date) },
+            title: { label: 'Title', compare: (a, b) => a.article.title.localeCompare(b.article.title) }
+        };
+    }
+    
+    init() {
+        if (!this.container) return;
+        
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('change', this.handleChange);
+        window.addEventListener('popstate', this.handlePopState);
+        document.addEventListener(this.app.readingList.options.eventName, this.handleListChange);
+        
+        this.container.setAttribute('aria-busy', 'true');
+        this.app.readingList.ready().then(() => {
+            this.container.removeAttribute('aria-busy');
+            this.render();
+        });
+    }
+    
+    /**
+     * Read page state from the current URL
+     */
+    readState() {
+        const params = new URLSearchParams(window.location.search);
+        const sort = params.get('sort');
+        const status = params.get('status');
+        
+        return {
+            sort: PLSReadingListPage.sorts[sort] ? sort : 'saved',
+            status: ['unread', 'read'].includes(status) ? status : '',
+            category: params.get('category') || ''
+        };
+    }
+    
+    /**
+     * Write page state to the URL, leaving out defaults
+     */
+    writeState() {
+        const params = new URLSearchParams();
+        const defaults = { sort: 'saved', status: '', category: '' };
+        
+        Object.entries(this.state).forEach(([key, value]) => {
+            if (value !== defaults[key]) {
+                params.set(key, value);
+            }
+        });
+        
+        const query = params.toString();
+        history.pushState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+    }
+    
+    setState(changes) {
+        this.state = { ...this.state, ...changes };
+        this.selected.clear();
+        this.writeState();
+        this.render();
+    }
+    
+    handlePopState() {
+        this.state = this.readState();
+        this.selected.clear();
+        this.render();
+    }
+    
+    /**
+     * Saved or removed elsewhere on the page (a related story's button)
+     */
+    handleListChange() {
+        if (this.container.hasAttribute('aria-busy')) return;
+        
+        this.selected.forEach(id => {
+            if (!this.app.readingList.has(id)) this.selected.delete(id);
+        });
+        this.render();
+    }
+    
+    /**
+     * Entries passing the status filter and, unless asked not to, the category filter
+     */
+    getEntries({ ignoreCategory = false } = {}) {
+        const { status, category } = this.state;
+        
+        return this.app.readingList.all()
+            .filter(entry => !status || entry.read === (status === 'read'))
+            .filter(entry => ignoreCategory || !category || entry.article.categoryKey === category)
+            .sort(PLSReadingListPage.sorts[this.state.sort].compare);
+    }
+    
+    /**
+     * Categories of the saved stories: [{ key, label, count }]
+     */
+    getCategories() {
+        const categories = new Map();
+        
+        this.getEntries({ ignoreCategory: true }).forEach(({ article }) => {
+            const category = categories.get(article.categoryKey) || { key: article.categoryKey, label: article.category, count: 0 };
+            category.count++;
+            categories.set(article.categoryKey, category);
+        });
+        
+        return Array.from(categories.values()).sort((a, b) => a.label.localeCompare(b.label));
+    }
+    
+    render() {
+        const { html } = PLSTemplate;
+        const all = this.app.readingList.all();
+        const entries = this.getEntries();
+        const unread = all.filter(entry => !entry.read).length;
+        const statuses = [
+            { value: '', label: 'All', count: all.length },
+            { value: 'unread', label: 'Unread', count: unread },
+            { value: 'read', label: 'Read', count: all.length - unread }
+        ];
+        const categories = this.getCategories();
+        
+        document.title = unread > 0 ? `Reading List (${unread}) - PLS World News` : 'Reading List - PLS World News';
+        
+        PLSTemplate.render(this.container, html`
+            <div class="search-page-header reading-list-header">
+                <h2><i class="fas fa-bookmark"></i> Reading List</h2>
+                <div class="search-page-summary">
+                    <p aria-live="polite">
+                        ${all.length === 0 ? 'No saved stories' : `${all.length} saved stor${all.length === 1 ? 'y' : 'ies'}, ${unread} unread`}
+                    </p>
+                    <div class="reading-list-transfer">
+                        <a href="history.html" class="reading-list-action">
+                            <i class="fas fa-history"></i> History
+                        </a>
+                        <button type="button" class="reading-list-action" data-list-action="export"${all.length === 0 ? ' disabled' : ''}>
+                            <i class="fas fa-download"></i> Export
+                        </button>
+                        <label class="reading-list-action">
+                            <i class="fas fa-upload"></i> Import
+                            <input type="file" name="import" accept="application/json,.json" class="sr-only">
+                        </label>
+                    </div>
+                </div>
+            </div>
+            
+            ${all.length === 0 ? html`
+                <div class="search-no-results">
+                    <i class="far fa-bookmark"></i>
+                    <h4>Nothing saved yet</h4>
+                    <p>Use the <i class="far fa-bookmark" aria-label="bookmark"></i> button on any story to keep it here. Saved stories can be read offline.</p>
+                </div>
+            ` : html`
+                <div class="reading-list-toolbar">
+                    <div class="reading-list-status" role="group" aria-label="Show">
+                        ${statuses.map(status => html`
+                            <button type="button" class="facet-option${status.value === this.state.status ? ' active' : ''}"
+                                data-status="${status.value}" aria-pressed="${status.value === this.state.status}">
+                                <span>${status.label}</span>
+                                <span class="facet-count">${status.count}</span>
+                            </button>
+                        `)}
+                    </div>
+                    <label class="search-sort">
+                        Category
+                        <select name="category">
+                            <option value="">All categories</option>
+                            ${categories.map(category => html`
+                                <option value="${category.key}"${category.key === this.state.category ? ' selected' : ''}>${category.label} (${category.count})</option>
+                            `)}
+                        </select>
+                    </label>
+                    <label class="search-sort">
+                        Sort by
+                        <select name="sort">
+                            ${Object.entries(PLSReadingListPage.sorts).map(([value, sort]) => html`
+                                <option value="${value}"${value === this.state.sort ? ' selected' : ''}>${sort.label}</option>
+                            `)}
+                        </select>
+                    </label>
+                </div>
+                
+                <div class="reading-list-bulk">
+                    <label>
+                        <input type="checkbox" name="select-all"${entries.length === 0 ? ' disabled' : ''}>
+                        Select all
+                    </label>
+                    <span class="reading-list-selected" aria-live="polite"></span>
+                    <button type="button" class="reading-list-action" data-list-action="mark-read">
+                        <i class="fas fa-check"></i> Mark read
+                    </button>
+                    <button type="button" class="reading-list-action" data-list-action="mark-unread">
+                        <i class="fas fa-undo"></i> Mark unread
+                    </button>
+                    <button type="button" class="reading-list-action danger" data-list-action="remove">
+                        <i class="fas fa-trash-alt"></i> Remove
+                    </button>
+                </div>
+                
+                ${entries.length > 0 ? html`
+                    <ul class="reading-list-items">
+                        ${entries.map(entry => this.renderEntry(entry))}
+                    </ul>
+                ` : html`
+                    <div class="search-no-results">
+                        <i class="fas fa-filter"></i>
+                        <h4>No stories match</h4>
+                        <p>Try another filter.</p>
+                    </div>
+                `}
+            `}
+        `);
+        
+        this.updateSelection();
+    }
+    
+    renderEntry({ id, article, savedAt, read }) {
+        const { html } = PLSTemplate;
+        
+        return html`
+            <li class="reading-list-item${read ? ' read' : ''}" data-id="${id}">
+                <input type="checkbox" name="select" value="${id}" aria-label="Select ${article.title}"${this.selected.has(id) ? ' checked' : ''}>
+                <img class="reading-list-image" src="${article.image}" alt="" loading="lazy">
+                <div class="reading-list-content">
+                    <span class="reading-list-category">${article.category}</span>
+                    <h3><a href="${PLSArticleReader.href(article)}">${article.title}</a></h3>
+                    ${article.excerpt && html`<p>${article.excerpt}</p>`}
+                    <div class="news-meta">
+                        <span><i class="fas fa-bookmark"></i> Saved ${this.app.formatDate(savedAt)}</span>
+                        <span><i class="fas fa-book-open"></i> ${article.readTime}</span>
+                        <span class="reading-list-state">${read ? 'Read' : 'Unread'}</span>
+                    </div>
+                </div>
+                <div class="reading-list-item-actions">
+                    <button type="button" class="reading-list-action" data-list-action="${read ? 'mark-unread' : 'mark-read'}" data-id="${id}"
+                        aria-label="Mark ${article.title} as ${read ? 'unread' : 'read'}">
+                        <i class="fas ${read ? 'fa-undo' : 'fa-check'}"></i>
+                    </button>
+                    <button type="button" class="reading-list-action danger" data-list-action="remove" data-id="${id}"
+                        aria-label="Remove ${article.title}">
+                        <i class="fas fa-trash-alt"></i>
+                    </button>
+                </div>
+            </li>
+        `;
+    }
+    
+    /**
+     * Reflect the selection in the select-all box and bulk buttons
+     */
+    updateSelection() {
+        const boxes = Array.from(this.container.querySelectorAll('input[name="select"]'));
+        const selectAll = this.container.querySelector('input[name="select-all"]');
+        const count = this.container.querySelector('.reading-list-selected');
+        const checked = boxes.filter(box => box.checked).length;
+        
+        if (selectAll) {
+            selectAll.checked = checked > 0 && checked === boxes.length;
+            selectAll.indeterminate = checked > 0 && checked < boxes.length;
+        }
+        if (count) {
+            count.textContent = checked > 0 ? `${checked} selected` : '';
+        }
+        this.container.querySelectorAll('.reading-list-bulk [data-list-action]').forEach(button => {
+            button.disabled = checked === 0;
+        });
+    }
+    
+    async runAction(action, ids) {
+        const list = this.app.readingList;
+        
+        try {
+            switch (action) {
+                case 'mark-read':
+                    await list.markRead(ids, true);
+                    break;
+                case 'mark-unread':
+                    await list.markRead(ids, false);
+                    break;
+                case 'remove':
+                    if (ids.length > 1 && !window.confirm(`Remove ${ids.length} stories from your reading list?`)) return;
+                    await list.remove(ids);
+                    this.app.showNotification(`Removed ${ids.length} stor${ids.length === 1 ? 'y' : 'ies'}`, 'info', 3000);
+                    break;
+            }
+        } catch (error) {
+            this.app.logError('Reading List', error);
+            this.app.showNotification('Your reading list could not be updated. Please try again.', 'error');
+        }
+    }
+    
+    /**
+     * Download the list as a JSON file
+     */
+    exportList() {
+        const blob = new Blob([this.app.readingList.export()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.options.filename}-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+    
+    async importList(file) {
+        try {
+            const { added, updated, skipped } = await this.app.readingList.import(await file.text());
+            const parts = [`${added} added`, updated > 0 && `${updated} marked read`, skipped > 0 && `${skipped} skipped`].filter(Boolean);
+            this.app.showNotification(`Reading list imported: ${parts.join(', ')}`, added + updated > 0 ? 'success' : 'info');
+        } catch (error) {
+            const message = error instanceof PLSReadingListError ? error.message : 'The reading list could not be imported';
+            if (!(error instanceof PLSReadingListError)) this.app.logError('Reading List', error);
+            this.app.showNotification(message, 'error');
+        }
+    }
+    
+    handleClick(e) {
+        const status = e.target.closest('[data-status]');
+        if (status) {
+            this.setState({ status: status.dataset.status });
+            return;
+        }
+        
+        const button = e.target.closest('[data-list-action]');
+        if (!button || button.disabled) return;
+        
+        const action = button.dataset.listAction;
+        if (action === 'export') {
+            this.exportList();
+            return;
+        }
+        
+        const ids = button.dataset.id
+            ? [button.dataset.id]
+            : Array.from(this.container.querySelectorAll('input[name="select"]:checked'), box => box.value);
+        if (ids.length > 0) {
+            this.runAction(action, ids);
+        }
+    }
+    
+    handleChange(e) {
+        const { target } = e;
+        
+        if (target.matches('select[name="sort"], select[name="category"]')) {
+            this.setState({ [target.name]: target.value });
+        } else if (target.matches('input[name="select-all"]')) {
+            this.container.querySelectorAll('input[name="select"]').forEach(box => {
+                box.checked = target.checked;
+                this.selected[target.checked ? 'add' : 'delete'](box.value);
+            });
+            this.updateSelection();
+        } else if (target.matches('input[name="select"]')) {
+            this.selected[target.checked ? 'add' : 'delete'](target.value);
+            this.updateSelection();
+        } else if (target.matches('input[name="import"]') && target.files[0]) {
+            this.importList(target.files[0]);
+            target.value = '';
+        }
+    }
+    
+    destroy() {
+        this.container.removeEventListener('click', this.handleClick);
+        this.container.removeEventListener('change', this.handleChange);
+        window.removeEventListener('popstate', this.handlePopState);
+        document.removeEventListener(this.app.readingList.options.eventName, this.handleListChange);
+    }
+}
+
+// Make reading list page globally available
+window.PLSReadingListPage = PLSReadingListPage;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSReadingListPage;
+}
@@ -0,0 +1,339 @@
+/**
+ * PLS World News - Reading List
+ * Stories saved for later, kept in IndexedDB (localStorage where it is not
+ * available) with their full payload. Their images are put in a cache the
+ * service worker reads from, so saved stories can be read offline.
+ *
+ *   await readingList.ready();
+ *   await readingList.save(article);
+ */
+
+class PLSReadingListError extends Error {
+    constructor(message, cause = null) {
+        super(message);
+        this.name = 'PLSReadingListError';
+        this.cause = cause;
+    }
+}
+
+class PLSReadingList {
+    constructor(options = {}) {
+        this.options = {
+            dbName: 'pls-reading-list',
+            storeName: 'articles',
+            storageKey: 'pls_reading_list',
+            // Read by sw.js before the network
+            imageCache: 'pls-saved-images',
+            eventName: 'plsReadingListChange',
+            exportVersion: 1,
+            ...options
+        };
+        
+        // Article id -> { id, article, savedAt, read, readAt }
+        this.entries = new Map();
+        this.db = null;
+        this.loading = null;
+    }
+    
+    /**
+     * Number of saved stories
+     */
+    get size() {
+        return this.entries.size;
+    }
+    
+    /**
+     * Open the database and load the list. Safe to call more than once.
+     */
+    ready() {
+        if (!this.loading) {
+            this.loading = this.open()
+                .then(db => {
+                    this.db = db;
+                    return this.readAll();
+                })
+                .catch(error => {
+                    // Private browsing and old browsers: keep the list in localStorage
+                    console.warn('Reading list falling back to localStorage:', error);
+                    this.db = null;
+                    return PLSUtils.storage.get(this.options.storageKey, []);
+                })
+                .then(entries => {
+                    entries.forEach(entry => this.entries.set(entry.id, entry));
+                });
+        }
+        return this.loading;
+    }
+    
+    open() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new PLSReadingListError('IndexedDB is not available'));
+                return;
+            }
+            
+            const request = indexedDB.open(this.options.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.options.storeName, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new PLSReadingListError('The reading list is open in an older version of this page'));
+        });
+    }
+    
+    /**
+     * Run one request against the object store
+     */
+    transaction(mode, run) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.options.storeName, mode);
+            const request = run(transaction.objectStore(this.options.storeName));
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    readAll() {
+        return this.transaction('readonly', store => store.getAll());
+    }
+    
+    /**
+     * Write entries (or delete ids) to whichever storage is in use
+     */
+    async persist({ put = [], remove = [] }) {
+        if (!this.db) {
+            PLSUtils.storage.set(this.options.storageKey, Array.from(this.entries.values()));
+            return;
+        }
+        
+        await this.transaction('readwrite', store => {
+            put.forEach(entry => store.put(entry));
+            remove.forEach(id => store.delete(id));
+        });
+    }
+    
+    has(id) {
+        return this.entries.has(String(id));
+    }
+    
+    get(id) {
+        return this.entries.get(String(id)) || null;
+    }
+    
+    /**
+     * All entries, most recently saved first
+     */
+    all() {
+        return Array.from(this.entries.values())
+            .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+    }
+    
+    /**
+     * Save a story (or update the saved copy, keeping its read state)
+     */
+    async save(record) {
+        await this.ready();
+        const article = PLSArticle.normalize(record);
+        const existing = this.get(article.id);
+        const entry = {
+            id: article.id,
+            article,
+            savedAt: existing?.savedAt || new Date().toISOString(),
+            read: existing?.read || false,
+            readAt: existing?.readAt || null
+        };
+        
+        this.entries.set(entry.id, entry);
+        await this.persist({ put: [entry] });
+        this.notify(existing ? 'update' : 'save', [entry.id]);
+        
+        this.cacheImages(article);
+        return entry;
+    }
+    
+    /**
+     * Remove one or more stories and their cached images
+     */
+    async remove(ids) {
+        await this.ready();
+        const removed = [].concat(ids).map(String).filter(id => this.entries.has(id));
+        if (removed.length === 0) return 0;
+        
+        const articles = removed.map(id => this.entries.get(id).article);
+        removed.forEach(id => this.entries.delete(id));
+        await this.persist({ remove: removed });
+        this.notify('remove', removed);
+        
+        articles.forEach(article => this.uncacheImages(article));
+        return removed.length;
+    }
+    
+    /**
+     * Mark one or more stories as read (or unread)
+     */
+    async markRead(ids, read = true) {
+        await this.ready();
+        const changed = [].concat(ids).map(id => this.get(id)).filter(entry => entry && entry.read !== read);
+        if (changed.length === 0) return 0;
+        
+        changed.forEach(entry => {
+            entry.read = read;
+            entry.readAt = read ? new Date().toISOString() : null;
+        });
+        await this.persist({ put: changed });
+        this.notify('read', changed.map(entry => entry.id));
+        return changed.length;
+    }
+    
+    /**
+     * The list as JSON, for moving it to another browser
+     */
+    export() {
+        return JSON.stringify({
+            type: 'pls-reading-list',
+            version: this.options.exportVersion,
+            exportedAt: new Date().toISOString(),
+            entries: this.all().map(({ id, article, savedAt, read, readAt }) => ({ id, article, savedAt, read, readAt }))
+        }, null, 2);
+    }
+    
+    /**
+     * Add the stories from an export. Stories already saved keep their copy
+     * here and only pick up a read mark. Throws PLSReadingListError if the
+     * file is not an export.
+     */
+    async import(json) {
+        await this.ready();
+        
+        let data;
+        try {
+            data = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (error) {
+            throw new PLSReadingListError('The file is not valid JSON', error);
+        }
+        if (data?.type !== 'pls-reading-list' || !Array.isArray(data.entries)) {
+            throw new PLSReadingListError('The file is not a PLS World News reading list');
+        }
+        
+        const result = { added: 0, updated: 0, skipped: 0 };
+        const changed = [];
+        
+        data.entries.forEach(item => {
+            const article = PLSArticle.tryNormalize(item?.article);
+            if (!article) {
+                result.skipped++;
+                return;
+            }
+            
+            const existing = this.get(article.id);
+            if (existing) {
+                if (item.read && !existing.read) {
+                    existing.read = true;
+                    existing.readAt = item.readAt || new Date().toISOString();
+                    changed.push(existing);
+                    result.updated++;
+                } else {
+                    result.skipped++;
+                }
+                return;
+            }
+            
+            const savedAt = new Date(item.savedAt);
+            const entry = {
+                id: article.id,
+                article,
+                savedAt: isNaN(savedAt) ? new Date().toISOString() : savedAt.toISOString(),
+                read: Boolean(item.read),
+                readAt: item.read ? item.readAt || null : null
+            };
+            this.entries.set(entry.id, entry);
+            changed.push(entry);
+            result.added++;
+        });
+        
+        if (changed.length > 0) {
+            await this.persist({ put: changed });
+            this.notify('import', changed.map(entry => entry.id));
+            changed.forEach(entry => this.cacheImages(entry.article));
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Image URLs a story needs: its picture, the author's avatar and any in the body
+     */
+    imagesFor(article) {
+        const urls = [article.image, article.authorAvatar];
+        
+        if (article.body) {
+            const template = document.createElement('template');
+            template.innerHTML = PLSTemplate.sanitize(article.body).toString();
+            template.content.querySelectorAll('img[src]').forEach(img => urls.push(img.getAttribute('src')));
+        }
+        
+        return [...new Set(urls.filter(Boolean).map(url => {
+            try {
+                return new URL(url, document.baseURI).href;
+            } catch (error) {
+                return null;
+            }
+        }).filter(url => url && /^https?:/.test(url)))];
+    }
+    
+    /**
+     * Keep a story's images for offline reading. Failures only mean the
+     * image will be missing offline, so they are not reported.
+     */
+    async cacheImages(article) {
+        if (typeof caches === 'undefined') return;
+        
+        try {
+            const cache = await caches.open(this.options.imageCache);
+            await Promise.all(this.imagesFor(article).map(async (url) => {
+                if (await cache.match(url)) return;
+                
+                const sameOrigin = new URL(url).origin === window.location.origin;
+                const response = await fetch(url, { mode: sameOrigin ? 'same-origin' : 'no-cors' });
+                if (response.ok || response.type === 'opaque') {
+                    await cache.put(url, response);
+                }
+            }));
+        } catch (error) {
+            console.warn('Could not keep images for offline reading:', error);
+        }
+    }
+    
+    async uncacheImages(article) {
+        if (typeof caches === 'undefined') return;
+        
+        // Images shared with another saved story stay
+        const inUse = new Set(Array.from(this.entries.values()).flatMap(entry => this.imagesFor(entry.article)));
+        
+        try {
+            const cache = await caches.open(this.options.imageCache);
+            await Promise.all(this.imagesFor(article)
+                .filter(url => !inUse.has(url))
+                .map(url => cache.delete(url)));
+        } catch (error) {
+            console.warn('Could not remove saved images:', error);
+        }
+    }
+    
+    notify(action, ids) {
+        document.dispatchEvent(new CustomEvent(this.options.eventName, {
+            detail: { action, ids }
+        }));
+    }
+}
+
+// Make reading list globally available
+window.PLSReadingList = PLSReadingList;
+window.PLSReadingListError = PLSReadingListError;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PLSReadingList, PLSReadingListError };
+}
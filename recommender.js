@@ -0,0 +1,267 @@
+/**
+ * PLS World News - Recommender
+ * Ranks articles for the "For You" tab from what the reader has done on
+ * this device: the reading history (how far and how long each story was
+ * read), clicks, the reading list and what they follow, weighted towards
+ * recent activity. Nothing is sent anywhere. The reader can tune each
+ * category and reset what has been learned so far.
+ *
+ *   const ranked = recommender.rank(articles);
+ *   // [{ article, score, reason: 'Because you read ...' }]
+ */
+
+class PLSRecommender {
+    constructor({ history, readingList, follows, ...options } = {}) {
+        this.history = history;
+        this.readingList = readingList;
+        this.follows = follows;
+        this.options = {
+            storageKey: 'pls_interests',
+            eventName: 'plsInterestsChange',
+            // Days after which a signal counts half as much
+            signalHalfLife: 14,
+            // Hours after which a story counts half as much
+            freshnessHalfLife: 36,
+            // How much each kind of match counts towards a story's score
+            weights: { category: 1, author: 0.6, tag: 0.4 },
+            // Score a followed topic, author or category gets even before anything is read in it
+            followBoost: 1,
+            // Keeps unmatched stories in the list, newest first
+            baseScore: 0.05,
+            ...options
+        };
+    }
+    
+    /**
+     * Tuning levels for a category, strongest first. 'follow' is kept in
+     * PLSFollows rather than with the other levels.
+     */
+    static get levels() {
+        return [
+            { value: 'follow', label: 'Following', factor: 2 },
+            { value: 'normal', label: 'Normal', factor: 1 },
+            { value: 'less', label: 'Show less', factor: 0.4 },
+            { value: 'hide', label: 'Hidden', factor: 0 }
+        ];
+    }
+    
+    /**
+     * { levels: { categoryKey: level }, resetAt }
+     */
+    getSettings() {
+        const settings = PLSUtils.storage.get(this.options.storageKey, {});
+        return { levels: {}, resetAt: null, ...settings };
+    }
+    
+    getLevel(categoryKey, levels = this.getSettings().levels) {
+        if (this.follows?.has('category', categoryKey)) return 'follow';
+        return levels[categoryKey] || 'normal';
+    }
+    
+    /**
+     * Tune a category. 'normal' removes the tuning and 'follow' follows it.
+     */
+    setLevel(categoryKey, level, { label = categoryKey } = {}) {
+        if (!PLSRecommender.levels.some(item => item.value === level)) return;
+        
+        const settings = this.getSettings();
+        delete settings.levels[categoryKey];
+        if (level === 'follow') {
+            this.follows?.follow('category', categoryKey, { label });
+        } else {
+            this.follows?.unfollow('category', categoryKey);
+            if (level !== 'normal') settings.levels[categoryKey] = level;
+        }
+        PLSUtils.storage.set(this.options.storageKey, settings);
+        this.notify('level', [categoryKey]);
+    }
+    
+    /**
+     * Forget what has been learned and every tuning. Reading history, the
+     * reading list and follows are kept, but nothing read or saved before
+     * now counts.
+     */
+    reset() {
+        PLSUtils.storage.set(this.options.storageKey, { levels: {}, resetAt: new Date().toISOString() });
+        this.notify('reset');
+    }
+    
+    /**
+     * 1 now, 0.5 after halfLife, 0.25 after twice that...
+     */
+    decay(date, halfLife) {
+        const age = Math.max(0, Date.now() - new Date(date).getTime());
+        return isNaN(age) ? 0 : Math.pow(0.5, age / halfLife);
+    }
+    
+    /**
+     * What the reader has done since the last reset:
+     * [{ article, weight, verb }]. The weight grows with how much of the
+     * story was read and for how long, and fades with time.
+     */
+    signals() {
+        const { resetAt } = this.getSettings();
+        const since = resetAt ? new Date(resetAt).getTime() : 0;
+        const halfLife = this.options.signalHalfLife * 86400000;
+        const after = (date) => new Date(date).getTime() > since;
+        const signals = [];
+        
+        (this.history?.getAll() || []).filter(entry => after(entry.lastReadAt)).forEach(entry => {
+            const engagement = 1 + entry.progress + Math.min(entry.dwell || 0, 600) / 300;
+            signals.push({ article: entry.article, weight: engagement * this.decay(entry.lastReadAt, halfLife), verb: 'read' });
+        });
+        
+        // Clicks only know the headline and category
+        PLSUtils.storage.get(this.history?.options.clicksKey || 'pls_article_clicks', [])
+            .filter(click => click.category && after(click.timestamp))
+            .forEach(click => {
+                signals.push({
+                    article: { title: click.title, category: click.category },
+                    weight: 0.5 * this.decay(click.timestamp, halfLife),
+                    verb: 'read'
+                });
+            });
+        
+        (this.readingList?.all() || []).filter(entry => after(entry.savedAt)).forEach(entry => {
+            signals.push({ article: entry.article, weight: 2 * this.decay(entry.savedAt, halfLife), verb: 'saved' });
+        });
+        
+        return signals;
+    }
+    
+    /**
+     * Keys an article can match on: category:, author: and tag:
+     */
+    keysFor(article) {
+        const keys = [];
+        if (article.category) keys.push(`category:${PLSArticle.categoryKey(article.category)}`);
+        if (article.author) keys.push(`author:${article.author.toLowerCase()}`);
+        (article.tags || []).forEach(tag => keys.push(`tag:${String(tag).toLowerCase()}`));
+        return keys;
+    }
+    
+    /**
+     * Affinity per key: Map key -> { score, source }, where source is the
+     * signal that added the most (the story named in "Because you read")
+     */
+    profile() {
+        const profile = new Map();
+        
+        this.signals().forEach(signal => {
+            this.keysFor(signal.article).forEach(key => {
+                const item = profile.get(key) || { score: 0, source: null };
+                item.score += signal.weight;
+                if (signal.article.title && (!item.source || signal.weight > item.source.weight)) {
+                    item.source = signal;
+                }
+                profile.set(key, item);
+            });
+        });
+        
+        return profile;
+    }
+    
+    /**
+     * Categories with how much each has been read, for the tuning panel:
+     * [{ key, label, level, share }] where share is 0-1 of the strongest.
+     * Categories of the given articles are listed too.
+     */
+    interests(articles = []) {
+        const profile = this.profile();
+        const { levels } = this.getSettings();
+        const categories = new Map();
+        const add = (key, label) => {
+            if (key && !categories.has(key)) categories.set(key, label);
+        };
+        
+        this.signals().forEach(({ article }) => article.category && add(PLSArticle.categoryKey(article.category), article.category));
+        articles.forEach(article => add(article.categoryKey, article.category));
+        (this.follows?.getAll() || []).filter(follow => follow.type === 'category').forEach(follow => add(follow.value, follow.label));
+        Object.keys(levels).forEach(key => add(key, PLSUtils.string.capitalize(key)));
+        
+        const scores = Array.from(categories.keys(), key => profile.get(`category:${key}`)?.score || 0);
+        const max = Math.max(...scores, 0);
+        
+        return Array.from(categories, ([key, label], index) => ({
+            key,
+            label,
+            level: this.getLevel(key, levels),
+            share: max > 0 ? scores[index] / max : 0
+        })).sort((a, b) => b.share - a.share || a.label.localeCompare(b.label));
+    }
+    
+    /**
+     * Whether anything has been learned yet
+     */
+    hasSignals() {
+        return this.signals().length > 0 || (this.follows?.getAll().length || 0) > 0;
+    }
+    
+    /**
+     * Articles ordered for the reader, best first, leaving out stories
+     * already read or saved and hidden categories:
+     * [{ article, score, reason }]. reason is null for stories that only
+     * made the list by being new.
+     */
+    rank(articles, { limit = 20 } = {}) {
+        const profile = this.profile();
+        const { levels } = this.getSettings();
+        const { weights, followBoost, baseScore } = this.options;
+        const halfLife = this.options.freshnessHalfLife * 3600000;
+        const factors = Object.fromEntries(PLSRecommender.levels.map(item => [item.value, item.factor]));
+        const follows = this.follows?.getAll() || [];
+        const seen = new Set([
+            ...(this.history?.getAll() || []).map(entry => entry.id),
+            ...(this.readingList?.all() || []).map(entry => entry.id)
+        ]);
+        
+        return articles
+            .filter(article => !seen.has(article.id))
+            .map(article => {
+                const followed = this.follows?.matching(article, follows) || [];
+                const level = followed.some(follow => follow.type === 'category') ? 'follow' : levels[article.categoryKey] || 'normal';
+                let best = { value: 0, reason: null };
+                let affinity = 0;
+                
+                this.keysFor(article).forEach(key => {
+                    const item = profile.get(key);
+                    if (!item) return;
+                    
+                    const value = item.score * weights[key.slice(0, key.indexOf(':'))];
+                    affinity += value;
+                    if (value > best.value && item.source) {
+                        best = { value, reason: `Because you ${item.source.verb} "${item.source.article.title}"` };
+                    }
+                });
+                
+                // Following is the reader's own choice, so it is the reason given
+                if (followed.length > 0) {
+                    affinity += followBoost * followed.length;
+                    best = { value: followBoost, reason: `Because you follow ${followed[0].label}` };
+                }
+                
+                return {
+                    article,
+                    score: (affinity + baseScore) * factors[level] * this.decay(article.date, halfLife),
+                    reason: best.reason
+                };
+            })
+            .filter(item => item.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+    
+    notify(action, ids = []) {
+        document.dispatchEvent(new CustomEvent(this.options.eventName, {
+            detail: { action, ids }
+        }));
+    }
+}
+
+// Make recommender globally available
+window.PLSRecommender = PLSRecommender;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSRecommender;
+}
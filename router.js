@@ -0,0 +1,323 @@
+/**
+ * PLS World News - Router
+ * History API routing: route patterns, link interception, back/forward,
+ * route change events and per-route title and meta tags. Links keep their
+ * real hrefs, so everything still works as plain links without JavaScript.
+ *
+ *   router.add('category', ['/category/:slug/:sub?', '/:slug(world|politics).html'], handler);
+ */
+
+class PLSRouter {
+    constructor(options = {}) {
+        this.options = {
+            base: '/',
+            eventName: 'plsRouteChange',
+            ...options
+        };
+        
+        this.base = `/${String(this.options.base || '/').replace(/^\/+|\/+$/g, '')}/`.replace('//', '/');
+        this.routes = [];
+        this.current = null;
+        this.metaDefaults = this.readMeta();
+        
+        this.handleClick = this.handleClick.bind(this);
+        this.handlePopState = this.handlePopState.bind(this);
+    }
+    
+    /**
+     * Meta tags updated per route, by selector
+     */
+    static get metaTags() {
+        return {
+            description: 'meta[name="description"]',
+            ogTitle: 'meta[property="og:title"]',
+            ogDescription: 'meta[property="og:description"]',
+            ogImage: 'meta[property="og:image"]',
+            ogType: 'meta[property="og:type"]',
+            twitterTitle: 'meta[name="twitter:title"]',
+            twitterDescription: 'meta[name="twitter:description"]',
+            twitterImage: 'meta[name="twitter:image"]'
+        };
+    }
+    
+    /**
+     * Turn a pattern into a regular expression. `:name` matches one path
+     * segment, `:name?` is optional and `:name(a|b)` restricts the values
+     * (use non-capturing groups inside the restriction).
+     */
+    static compile(pattern) {
+        const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const keys = [];
+        let source = '';
+        let last = 0;
+        
+        for (const match of pattern.matchAll(/\/:(\w+)(?:\(([^)]+)\))?(\?)?/g)) {
+            const [token, key, constraint = '[^/]+?', optional] = match;
+            const group = `/(${constraint})`;
+            
+            source += escape(pattern.slice(last, match.index));
+            source += optional ? `(?:${group})?` : group;
+            keys.push(key);
+            last = match.index + token.length;
+        }
+        source += escape(pattern.slice(last));
+        
+        return { regex: new RegExp(`^${source.replace(/\/$/, '')}/?$`, 'i'), keys };
+    }
+    
+    /**
+     * Register a route. The first pattern is the canonical path; the rest are
+     * aliases (e.g. the static .html pages). Options:
+     * - meta(match): { title, description, image, type } for the page head
+     * - ownsHistory: the handler updates history itself (no push by the router)
+     */
+    add(name, patterns, handler, options = {}) {
+        this.routes.push({
+            name,
+            patterns: [].concat(patterns).map(pattern => ({ pattern, ...PLSRouter.compile(pattern) })),
+            handler,
+            ...options
+        });
+        return this;
+    }
+    
+    /**
+     * Start handling links and back/forward, and run the current route
+     */
+    start() {
+        // Keep relative links and images resolving against the app's base
+        // once pushState has moved to a nested path (/technology/ai.html)
+        if (!document.querySelector('base')) {
+            const base = document.createElement('base');
+            base.href = new URL(this.base, window.location.href).href;
+            document.head.prepend(base);
+        }
+        
+        document.addEventListener('click', this.handleClick);
+        window.addEventListener('popstate', this.handlePopState);
+        
+        return this.resolve('initial');
+    }
+    
+    /**
+     * Path relative to the app's base, or null for URLs outside the app
+     */
+    relativePath(url) {
+        const target = new URL(url, window.location.href);
+        if (target.origin !== window.location.origin || !`${target.pathname}/`.startsWith(this.base)) {
+            return null;
+        }
+        return `/${target.pathname.slice(this.base.length)}`;
+    }
+    
+    /**
+     * Find the route for a URL: { route, params, query, url } or null
+     */
+    match(url) {
+        const target = new URL(url, window.location.href);
+        const path = this.relativePath(target);
+        if (path === null) return null;
+        
+        for (const route of this.routes) {
+            for (const { regex, keys } of route.patterns) {
+                const match = path.match(regex);
+                if (!match) continue;
+                
+                const params = {};
+                keys.forEach((key, i) => {
+                    if (match[i + 1] === undefined) return;
+                    try {
+                        params[key] = decodeURIComponent(match[i + 1]);
+                    } catch (error) {
+                        params[key] = match[i + 1];
+                    }
+                });
+                
+                return { route, params, query: target.searchParams, url: target.href };
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Canonical path for a route, e.g. path('category', { slug: 'technology' })
+     */
+    path(name, params = {}) {
+        const route = this.routes.find(item => item.name === name);
+        if (!route) return null;
+        
+        return route.patterns[0].pattern.replace(/\/:(\w+)(?:\([^)]+\))?(\?)?/g, (token, key) =>
+            params[key] === undefined || params[key] === null ? '' : `/${encodeURIComponent(params[key])}`
+        ) || '/';
+    }
+    
+    /**
+     * Comparable key for a URL: the canonical route path, or the path
+     * without its .html extension
+     */
+    key(url) {
+        const match = this.match(url);
+        if (match) {
+            return this.path(match.route.name, match.params);
+        }
+        
+        const path = this.relativePath(url);
+        return path === null ? null : path.replace(/(\/index)?\.html$/, '').replace(/(.)\/$/, '$1') || '/';
+    }
+    
+    /**
+     * Go to a URL. Falls back to a full page load when no route matches or
+     * the route cannot be shown on this page (its handler returns false).
+     */
+    navigate(url, { replace = false } = {}) {
+        const target = new URL(url, window.location.href);
+        const match = this.match(target);
+        
+        if (!match) {
+            window.location.assign(target.href);
+            return false;
+        }
+        
+        if (!match.route.ownsHistory) {
+            history[replace ? 'replaceState' : 'pushState']({ route: match.route.name }, '', target.href);
+        }
+        
+        if (this.run(match, 'navigate') === false) {
+            // Swap the entry pushed above for a real page load
+            window.location[match.route.ownsHistory ? 'assign' : 'replace'](target.href);
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Run the route for the current URL
+     */
+    resolve(trigger) {
+        const match = this.match(window.location.href);
+        if (!match) {
+            this.current = null;
+            return null;
+        }
+        
+        this.run(match, trigger);
+        return match;
+    }
+    
+    /**
+     * Call a route's handler, update the page head and announce the change
+     */
+    run(match, trigger) {
+        const handled = match.route.handler?.(match, { trigger });
+        if (handled === false) return false;
+        
+        const previous = this.current;
+        this.current = match;
+        
+        if (match.route.meta) {
+            this.updateMeta(match.route.meta(match) || {});
+        }
+        
+        document.dispatchEvent(new CustomEvent(this.options.eventName, {
+            detail: {
+                name: match.route.name,
+                params: match.params,
+                query: match.query,
+                url: match.url,
+                trigger,
+                previous: previous?.route.name || null
+            }
+        }));
+        
+        return true;
+    }
+    
+    /**
+     * Set the document title and description/social meta tags. Anything
+     * not given goes back to the page's original value.
+     */
+    updateMeta({ title, description, image, type } = {}) {
+        const defaults = this.metaDefaults;
+        const values = {
+            description: description || defaults.description,
+            ogTitle: title || defaults.ogTitle,
+            ogDescription: description || defaults.ogDescription,
+            ogImage: image || defaults.ogImage,
+            ogType: type || defaults.ogType,
+            twitterTitle: title || defaults.twitterTitle,
+            twitterDescription: description || defaults.twitterDescription,
+            twitterImage: image || defaults.twitterImage
+        };
+        
+        document.title = title || defaults.title;
+        
+        Object.entries(PLSRouter.metaTags).forEach(([key, selector]) => {
+            const tag = document.head.querySelector(selector);
+            if (tag && values[key] !== undefined) {
+                tag.setAttribute('content', values[key]);
+            }
+        });
+    }
+    
+    /**
+     * Current title and meta tag values
+     */
+    readMeta() {
+        const meta = { title: document.title };
+        
+        Object.entries(PLSRouter.metaTags).forEach(([key, selector]) => {
+            meta[key] = document.head?.querySelector(selector)?.getAttribute('content') ?? undefined;
+        });
+        
+        return meta;
+    }
+    
+    /**
+     * Follow in-app links without a page load. Modified clicks, new
+     * windows, downloads and links outside the routes are left alone.
+     */
+    handleClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+        
+        const link = e.target.closest?.('a[href]');
+        if (!link || link.hasAttribute('download') || (link.target && link.target !== '_self')) return;
+        if (/\bexternal\b/.test(link.getAttribute('rel') || '')) return;
+        
+        // Fragment links are for the current URL, not the <base>
+        const href = link.getAttribute('href');
+        if (href.startsWith('#')) {
+            e.preventDefault();
+            window.location.hash = href;
+            return;
+        }
+        
+        const target = new URL(link.href, window.location.href);
+        const current = new URL(window.location.href);
+        
+        // Same page, different fragment - let the browser scroll
+        if (target.hash && target.pathname === current.pathname && target.search === current.search) return;
+        
+        if (!this.match(target)) return;
+        
+        e.preventDefault();
+        this.navigate(target.href);
+    }
+    
+    handlePopState() {
+        this.resolve('popstate');
+    }
+    
+    destroy() {
+        document.removeEventListener('click', this.handleClick);
+        window.removeEventListener('popstate', this.handlePopState);
+    }
+}
+
+// Make router globally available
+window.PLSRouter = PLSRouter;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSRouter;
+}
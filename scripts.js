@@ -0,0 +1,50 @@
+/**
+ * PLS World News - Scripts
+ * The app's scripts, in the order the pages load them. The service worker
+ * imports this list to precache them; keep it in step with the script
+ * tags at the end of each page.
+ */
+
+const PLS_SCRIPTS = [
+    'template.js',
+    'layout.js',
+    'utils.js',
+    'network.js',
+    'router.js',
+    'article.js',
+    'article-store.js',
+    'feed-parser.js',
+    'data-source.js',
+    'cache.js',
+    'search-index.js',
+    'search-query.js',
+    'search-highlight.js',
+    'search-page.js',
+    'search-history.js',
+    'search-suggest.js',
+    'article-reader.js',
+    'reading-list.js',
+    'reading-list-page.js',
+    'reading-history.js',
+    'reading-history-page.js',
+    'follows.js',
+    'following-page.js',
+    'recommender.js',
+    'for-you.js',
+    'infinite-scroll.js',
+    'virtual-grid.js',
+    'news-tabs.js',
+    'breaking-news.js',
+    'breaking-news-stream.js',
+    'ticker.js',
+    'main.js',
+    'carousel.js'
+];
+
+// Make the script list available to the service worker
+self.PLS_SCRIPTS = PLS_SCRIPTS;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLS_SCRIPTS;
+}
@@ -0,0 +1,138 @@
+/**
+ * PLS World News - Search Highlighting
+ * Highlights each query term (and its stemmed, accented, prefix and
+ * misspelled variants) in plain text. Returns trusted PLSTemplate markup
+ * with everything else escaped
+ */
+
+const PLSHighlighter = {
+    
+    /**
+     * Words in the original text, including accented letters
+     */
+    wordPattern: /[\p{L}\p{M}\p{N}]+/gu,
+    
+    /**
+     * Stems to highlight for a parsed query or a plain query string.
+     * Negated clauses and field filters are never highlighted.
+     */
+    terms(query) {
+        const text = typeof query === 'string' ? query : query?.text || '';
+        return Array.from(new Set(PLSSearchIndex.analyze(text)));
+    },
+    
+    /**
+     * The query term a word matches, or null. Mirrors the search index:
+     * exact stem, prefix, or within the typo tolerance.
+     */
+    matchTerm(word, terms) {
+        const normalized = PLSSearchIndex.normalize(word).replace(/[^a-z0-9]/g, '');
+        if (!normalized || PLSSearchIndex.stopWords.has(normalized)) return null;
+        
+        const stem = PLSSearchIndex.stem(normalized);
+        
+        return terms.find(term => {
+            if (stem === term || (term.length >= 2 && stem.startsWith(term))) return true;
+            
+            const maxDistance = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+            return maxDistance > 0 && PLSSearchIndex.editDistance(term, stem, maxDistance) <= maxDistance;
+        }) || null;
+    },
+    
+    /**
+     * Character ranges of matching words: [{ start, end, term }]
+     */
+    ranges(text, terms) {
+        const ranges = [];
+        if (!text || terms.length === 0) return ranges;
+        
+        for (const match of String(text).matchAll(this.wordPattern)) {
+            const term = this.matchTerm(match[0], terms);
+            if (term) {
+                ranges.push({ start: match.index, end: match.index + match[0].length, term });
+            }
+        }
+        
+        return ranges;
+    },
+    
+    /**
+     * Escape text and wrap the given ranges in <mark>
+     */
+    mark(text, ranges, offset = 0) {
+        const escape = PLSTemplate.escape;
+        let html = '';
+        let position = 0;
+        
+        ranges.forEach(({ start, end }) => {
+            const from = start - offset;
+            const to = end - offset;
+            if (from < position || to > text.length) return;
+            
+            html += `${escape(text.slice(position, from))}<mark>${escape(text.slice(from, to))}</mark>`;
+            position = to;
+        });
+        
+        return PLSTemplate.trusted(html + escape(text.slice(position)));
+    },
+    
+    /**
+     * Highlight every query term in a piece of text. Returns safe HTML.
+     */
+    highlight(text, query) {
+        const source = String(text || '');
+        return this.mark(source, this.ranges(source, this.terms(query)));
+    },
+    
+    /**
+     * A highlighted excerpt of about `length` characters centred on the
+     * passage that matches the most distinct query terms. Returns safe HTML.
+     */
+    snippet(text, query, { length = 160 } = {}) {
+        const source = String(text || '').replace(/\s+/g, ' ').trim();
+        const ranges = this.ranges(source, this.terms(query));
+        
+        if (source.length <= length) {
+            return this.mark(source, ranges);
+        }
+        
+        // Best window: most distinct terms, then most matches
+        let best = null;
+        ranges.forEach((range, i) => {
+            const inWindow = ranges.slice(i).filter(other => other.end <= range.start + length);
+            const score = new Set(inWindow.map(other => other.term)).size * 1000 + inWindow.length;
+            if (!best || score > best.score) {
+                best = { score, first: range, last: inWindow[inWindow.length - 1] };
+            }
+        });
+        
+        let start = 0;
+        if (best) {
+            const center = (best.first.start + best.last.end) / 2;
+            start = Math.max(0, Math.min(Math.round(center - length / 2), source.length - length));
+        }
+        let end = Math.min(source.length, start + length);
+        
+        // Cut at word boundaries, never through a highlighted word
+        if (start > 0) {
+            const space = source.indexOf(' ', start);
+            start = space === -1 || space >= (best ? best.first.start : end) ? start : space + 1;
+        }
+        if (end < source.length) {
+            const space = source.lastIndexOf(' ', end);
+            end = space > start && space >= (best ? best.last.end : start) ? space : end;
+        }
+        
+        const inside = ranges.filter(range => range.start >= start && range.end <= end);
+        
+        return PLSTemplate.html`${start > 0 && '…'}${this.mark(source.slice(start, end), inside, start)}${end < source.length && '…'}`;
+    }
+};
+
+// Make highlighter globally available
+window.PLSHighlighter = PLSHighlighter;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSHighlighter;
+}
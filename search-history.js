@@ -0,0 +1,169 @@
+/**
+ * PLS World News - Search History
+ * Recent queries, saved (pinned) searches and new-match tracking,
+ * persisted in localStorage
+ */
+
+class PLSSearchHistory {
+    constructor(options = {}) {
+        this.options = {
+            recentKey: 'pls_recent_searches',
+            savedKey: 'pls_saved_searches',
+            maxRecent: 20,
+            maxSaved: 20,
+            maxSeen: 200,
+            ...options
+        };
+    }
+    
+    /**
+     * Queries compare case- and whitespace-insensitively
+     */
+    static key(query) {
+        return String(query || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+    
+    /**
+     * Recent queries, newest first
+     */
+    getRecent(limit = this.options.maxRecent) {
+        return PLSUtils.storage.get(this.options.recentKey, []).slice(0, limit);
+    }
+    
+    /**
+     * Move a query to the top of the recent list
+     */
+    record(query) {
+        const value = String(query || '').trim().replace(/\s+/g, ' ');
+        if (!value) return;
+        
+        const key = PLSSearchHistory.key(value);
+        const recent = this.getRecent().filter(item => PLSSearchHistory.key(item) !== key);
+        recent.unshift(value);
+        PLSUtils.storage.set(this.options.recentKey, recent.slice(0, this.options.maxRecent));
+    }
+    
+    /**
+     * Forget one recent query
+     */
+    removeRecent(query) {
+        const key = PLSSearchHistory.key(query);
+        PLSUtils.storage.set(this.options.recentKey, this.getRecent().filter(item => PLSSearchHistory.key(item) !== key));
+    }
+    
+    /**
+     * Forget all recent queries
+     */
+    clearRecent() {
+        PLSUtils.storage.remove(this.options.recentKey);
+    }
+    
+    /**
+     * Saved searches: [{ query, savedAt, seen, newCount }]
+     */
+    getSaved() {
+        return PLSUtils.storage.get(this.options.savedKey, []);
+    }
+    
+    /**
+     * Check whether a query is saved
+     */
+    isSaved(query) {
+        const key = PLSSearchHistory.key(query);
+        return this.getSaved().some(search => PLSSearchHistory.key(search.query) === key);
+    }
+    
+    /**
+     * Pin a query. Articles it already matches are marked as seen so that
+     * only later arrivals count as new.
+     */
+    save(query, currentMatches = []) {
+        const value = String(query || '').trim().replace(/\s+/g, ' ');
+        if (!value || this.isSaved(value)) return false;
+        
+        const saved = this.getSaved();
+        if (saved.length >= this.options.maxSaved) {
+            return false;
+        }
+        
+        saved.unshift({
+            query: value,
+            savedAt: new Date().toISOString(),
+            seen: currentMatches.map(article => String(article.id)).slice(0, this.options.maxSeen),
+            newCount: 0
+        });
+        PLSUtils.storage.set(this.options.savedKey, saved);
+        return true;
+    }
+    
+    /**
+     * Unpin a query
+     */
+    unsave(query) {
+        const key = PLSSearchHistory.key(query);
+        PLSUtils.storage.set(this.options.savedKey, this.getSaved().filter(search => PLSSearchHistory.key(search.query) !== key));
+    }
+    
+    /**
+     * Remove every saved search
+     */
+    clearSaved() {
+        PLSUtils.storage.remove(this.options.savedKey);
+    }
+    
+    /**
+     * Reset the new-match count of a saved search (it has been viewed)
+     */
+    markSeen(query) {
+        const key = PLSSearchHistory.key(query);
+        const saved = this.getSaved();
+        const search = saved.find(item => PLSSearchHistory.key(item.query) === key);
+        
+        if (search && search.newCount > 0) {
+            search.newCount = 0;
+            PLSUtils.storage.set(this.options.savedKey, saved);
+        }
+    }
+    
+    /**
+     * Compare fresh articles against every saved search. Returns
+     * [{ search, articles }] for searches with articles not seen before.
+     */
+    checkForMatches(articles = []) {
+        const saved = this.getSaved();
+        const alerts = [];
+        
+        saved.forEach(search => {
+            let parsedQuery;
+            try {
+                parsedQuery = PLSSearchQuery.parse(search.query);
+            } catch (error) {
+                return;
+            }
+            
+            const seen = new Set(search.seen);
+            const matches = PLSSearchQuery.filter(articles, parsedQuery)
+                .filter(article => !seen.has(String(article.id)));
+            
+            if (matches.length === 0) return;
+            
+            search.seen = [...matches.map(article => String(article.id)), ...search.seen].slice(0, this.options.maxSeen);
+            search.newCount += matches.length;
+            alerts.push({ search, articles: matches });
+        });
+        
+        if (alerts.length > 0) {
+            PLSUtils.storage.set(this.options.savedKey, saved);
+        }
+        
+        return alerts;
+    }
+}
+
+// Make search history globally available
+window.PLSSearchHistory = PLSSearchHistory;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSSearchHistory;
+}
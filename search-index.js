@@ -0,0 +1,415 @@
+/**
+ * PLS World News - Search Index
+ * In-browser inverted index with BM25 ranking, stemming, prefix matching
+ * and typo tolerance over article title, excerpt, body, category and author
+ */
+
+class PLSSearchIndex {
+    constructor(options = {}) {
+        this.options = {
+            fields: {
+                title: 3,
+                excerpt: 1.5,
+                body: 1,
+                category: 2,
+                author: 2
+            },
+            k1: 1.2,
+            b: 0.75,
+            maxDocuments: 500,
+            prefixWeight: 0.6,
+            fuzzyWeight: 0.4,
+            ...options
+        };
+        
+        this.fieldNames = Object.keys(this.options.fields);
+        this.docs = new Map();
+        this.postings = new Map();
+        this.totalLength = 0;
+    }
+    
+    /**
+     * Words ignored when indexing and searching
+     */
+    static get stopWords() {
+        return new Set([
+            'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at',
+            'be', 'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from',
+            'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is',
+            'it', 'its', 'more', 'new', 'no', 'not', 'of', 'on', 'or', 'our', 'out', 'over',
+            'she', 'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+            'they', 'this', 'to', 'up', 'was', 'we', 'were', 'what', 'when', 'which', 'who',
+            'will', 'with', 'would', 'you', 'your'
+        ]);
+    }
+    
+    /**
+     * Lowercase, strip accents and split into word tokens
+     */
+    static normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+    
+    /**
+     * Split text into raw tokens (no stop word removal or stemming)
+     */
+    static tokenize(text) {
+        return PLSSearchIndex.normalize(text).match(/[a-z0-9]+/g) || [];
+    }
+    
+    /**
+     * Tokenize, drop stop words and stem
+     */
+    static analyze(text) {
+        const stopWords = PLSSearchIndex.stopWords;
+        
+        return PLSSearchIndex.tokenize(text)
+            .filter(token => !stopWords.has(token))
+            .map(token => PLSSearchIndex.stem(token));
+    }
+    
+    /**
+     * Light English suffix-stripping stemmer
+     */
+    static stem(word) {
+        if (word.length <= 3 || /^\d+$/.test(word)) return word;
+        
+        let stem = word;
+        const hasVowel = (str) => /[aeiouy]/.test(str);
+        
+        // Plurals
+        if (stem.endsWith('sses')) {
+            stem = stem.slice(0, -2);
+        } else if (stem.endsWith('ies')) {
+            stem = stem.length > 4 ? `${stem.slice(0, -3)}y` : stem.slice(0, -1);
+        } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+            stem = stem.slice(0, -1);
+        }
+        
+        // Past tense and gerunds
+        const verbSuffix = stem.match(/(ed|ing)$/);
+        if (verbSuffix && !stem.endsWith('eed')) {
+            const base = stem.slice(0, -verbSuffix[1].length);
+            if (base.length >= 3 && hasVowel(base)) {
+                stem = /([^aeiouylsz])\1$/.test(base) ? base.slice(0, -1) : base;
+            }
+        }
+        
+        // Derivational suffixes
+        const suffixes = [
+            ['ational', 'ate'], ['tional', 'tion'], ['ization', 'ize'], ['fulness', 'ful'],
+            ['ousness', 'ous'], ['iveness', 'ive'], ['ness', ''], ['ly', '']
+        ];
+        for (const [suffix, replacement] of suffixes) {
+            if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+                stem = stem.slice(0, -suffix.length) + replacement;
+                break;
+            }
+        }
+        
+        // Trailing silent e (make / making -> mak)
+        if (stem.length > 3 && stem.endsWith('e')) {
+            stem = stem.slice(0, -1);
+        }
+        
+        return stem;
+    }
+    
+    /**
+     * Damerau-Levenshtein distance, giving up once it exceeds max
+     */
+    static editDistance(a, b, max = 2) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        
+        let prevPrev = [];
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+                
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], prevPrev[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            
+            if (rowMin > max) return max + 1;
+            prevPrev = prev;
+            prev = current;
+        }
+        
+        return prev[b.length];
+    }
+    
+    /**
+     * Number of indexed articles
+     */
+    get size() {
+        return this.docs.size;
+    }
+    
+    /**
+     * Check whether an article is indexed
+     */
+    has(id) {
+        return this.docs.has(String(id));
+    }
+    
+    /**
+     * Stored copy of an indexed article (without its body)
+     */
+    get(id) {
+        return this.docs.get(String(id))?.article;
+    }
+    
+    /**
+     * All indexed articles
+     */
+    documents() {
+        return Array.from(this.docs.values(), doc => doc.article);
+    }
+    
+    /**
+     * Add (or replace) an article
+     */
+    add(article) {
+        if (!article || article.id === undefined || article.id === null) return;
+        
+        const id = String(article.id);
+        if (this.docs.has(id)) {
+            this.remove(id);
+        }
+        
+        const termCounts = new Map();
+        let length = 0;
+        
+        this.fieldNames.forEach((field, fieldIndex) => {
+            const tokens = PLSSearchIndex.analyze(article[field]);
+            length += tokens.length;
+            
+            tokens.forEach(term => {
+                if (!termCounts.has(term)) {
+                    termCounts.set(term, new Array(this.fieldNames.length).fill(0));
+                }
+                termCounts.get(term)[fieldIndex]++;
+            });
+        });
+        
+        termCounts.forEach((counts, term) => {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(id, counts);
+        });
+        
+        // Keep the stored copy small - the body is only needed for indexing
+        const { body, ...stored } = article;
+        this.docs.set(id, { article: stored, length, terms: Array.from(termCounts.keys()) });
+        this.totalLength += length;
+        
+        this.evict();
+    }
+    
+    /**
+     * Add a batch of articles
+     */
+    addAll(articles = []) {
+        articles.forEach(article => this.add(article));
+    }
+    
+    /**
+     * Remove an article
+     */
+    remove(id) {
+        const key = String(id);
+        const doc = this.docs.get(key);
+        if (!doc) return;
+        
+        doc.terms.forEach(term => {
+            const postings = this.postings.get(term);
+            if (!postings) return;
+            
+            postings.delete(key);
+            if (postings.size === 0) {
+                this.postings.delete(term);
+            }
+        });
+        
+        this.totalLength -= doc.length;
+        this.docs.delete(key);
+    }
+    
+    /**
+     * Drop the oldest indexed articles beyond maxDocuments
+     */
+    evict() {
+        while (this.docs.size > this.options.maxDocuments) {
+            this.remove(this.docs.keys().next().value);
+        }
+    }
+    
+    /**
+     * Remove everything
+     */
+    clear() {
+        this.docs.clear();
+        this.postings.clear();
+        this.totalLength = 0;
+    }
+    
+    /**
+     * Index terms matching a query term, with a weight for how well they match
+     */
+    expandTerm(term, { prefix = true, fuzzy = true } = {}) {
+        const matches = new Map();
+        
+        if (this.postings.has(term)) {
+            matches.set(term, 1);
+        }
+        
+        const maxDistance = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+        
+        this.postings.forEach((_, candidate) => {
+            if (matches.has(candidate)) return;
+            
+            if (prefix && term.length >= 2 && candidate.startsWith(term)) {
+                matches.set(candidate, this.options.prefixWeight);
+            } else if (fuzzy && maxDistance > 0 &&
+                PLSSearchIndex.editDistance(term, candidate, maxDistance) <= maxDistance) {
+                matches.set(candidate, this.options.fuzzyWeight);
+            }
+        });
+        
+        return matches;
+    }
+    
+    /**
+     * BM25 score contribution of one index term for one document
+     */
+    scoreTerm(term, id) {
+        const postings = this.postings.get(term);
+        const counts = postings?.get(id);
+        if (!counts) return 0;
+        
+        const { k1, b, fields } = this.options;
+        const docCount = this.docs.size;
+        const avgLength = this.totalLength / docCount || 1;
+        const idf = Math.log(1 + (docCount - postings.size + 0.5) / (postings.size + 0.5));
+        const weightedTf = counts.reduce((sum, count, i) => sum + count * fields[this.fieldNames[i]], 0);
+        const norm = 1 - b + b * (this.docs.get(id).length / avgLength);
+        
+        return idf * (weightedTf * (k1 + 1)) / (weightedTf + k1 * norm);
+    }
+    
+    /**
+     * Search the index. Every query term must match (exactly, by prefix
+     * or within the typo tolerance); results are sorted by score.
+     */
+    search(query, options = {}) {
+        const { limit = 20, prefix = true, fuzzy = true } = options;
+        const terms = Array.from(new Set(PLSSearchIndex.analyze(query)));
+        if (terms.length === 0 || this.docs.size === 0) return [];
+        
+        let scores = null;
+        
+        terms.forEach(term => {
+            const termScores = new Map();
+            
+            this.expandTerm(term, { prefix, fuzzy }).forEach((weight, candidate) => {
+                this.postings.get(candidate).forEach((_, id) => {
+                    const score = this.scoreTerm(candidate, id) * weight;
+                    const best = termScores.get(id);
+                    
+                    if (!best || score > best.score) {
+                        termScores.set(id, { score, matched: candidate });
+                    }
+                });
+            });
+            
+            if (scores === null) {
+                scores = new Map(Array.from(termScores, ([id, { score, matched }]) =>
+                    [id, { score, matched: [matched] }]));
+                return;
+            }
+            
+            scores.forEach((entry, id) => {
+                const termScore = termScores.get(id);
+                if (!termScore) {
+                    scores.delete(id);
+                } else {
+                    entry.score += termScore.score;
+                    entry.matched.push(termScore.matched);
+                }
+            });
+        });
+        
+        return Array.from(scores, ([id, { score, matched }]) => ({
+            id,
+            score,
+            matched,
+            article: this.docs.get(id).article
+        }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+    
+    /**
+     * Serializable snapshot of the index
+     */
+    toJSON() {
+        return {
+            version: PLSSearchIndex.VERSION,
+            fields: this.fieldNames,
+            docs: Array.from(this.docs, ([id, doc]) => [id, doc.article, doc.length]),
+            postings: Array.from(this.postings, ([term, postings]) => [term, Array.from(postings)])
+        };
+    }
+    
+    /**
+     * Restore an index from toJSON() output. Returns an empty index if the
+     * snapshot was written by an incompatible version.
+     */
+    static fromJSON(data, options = {}) {
+        const index = new PLSSearchIndex(options);
+        
+        if (!data || data.version !== PLSSearchIndex.VERSION ||
+            data.fields.join() !== index.fieldNames.join()) {
+            return index;
+        }
+        
+        const termsByDoc = new Map();
+        
+        data.postings.forEach(([term, postings]) => {
+            index.postings.set(term, new Map(postings));
+            postings.forEach(([id]) => {
+                if (!termsByDoc.has(id)) termsByDoc.set(id, []);
+                termsByDoc.get(id).push(term);
+            });
+        });
+        
+        data.docs.forEach(([id, article, length]) => {
+            index.docs.set(id, { article, length, terms: termsByDoc.get(id) || [] });
+            index.totalLength += length;
+        });
+        
+        return index;
+    }
+}
+
+PLSSearchIndex.VERSION = 1;
+
+// Make search index globally available
+window.PLSSearchIndex = PLSSearchIndex;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSSearchIndex;
+}
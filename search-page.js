@@ -0,0 +1,432 @@
+/**
+ * PLS World News - Search Results Page
+ * Full search view with facets, sorting and pagination.
+ * All state lives in the URL so results can be bookmarked and shared.
+ */
+
+class PLSSearchPage {
+    constructor(container, app, options = {}) {
+        this.container = container;
+        this.app = app;
+        this.options = {
+            pageSize: 10,
+            ...options
+        };
+        
+        this.results = [];
+        this.requestId = 0;
+        this.state = this.readState();
+        
+        this.handlePopState = this.handlePopState.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+        
+        this.init();
+    }
+    
+    /**
+     * Date facet buckets, newest first
+     */
+    static get dateBuckets() {
+        return {
+            day: { label: 'Past 24 hours', days: 1 },
+            week: { label: 'Past week', days: 7 },
+            month: { label: 'Past month', days: 30 },
+            year: { label: 'Past year', days: 365 }
+        };
+    }
+    
+    init() {
+        if (!this.container) return;
+        
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('change', this.handleChange);
+        window.addEventListener('popstate', this.handlePopState);
+        
+        this.search();
+    }
+    
+    /**
+     * Read page state from the current URL
+     */
+    readState() {
+        const params = new URLSearchParams(window.location.search);
+        const page = parseInt(params.get('page'), 10);
+        
+        return {
+            q: params.get('q') || '',
+            sort: params.get('sort') === 'date' ? 'date' : 'relevance',
+            category: params.get('category') || '',
+            author: params.get('author') || '',
+            date: PLSSearchPage.dateBuckets[params.get('date')] ? params.get('date') : '',
+            page: page > 0 ? page : 1
+        };
+    }
+    
+    /**
+     * Write page state to the URL, leaving out defaults
+     */
+    writeState(replace = false) {
+        const params = new URLSearchParams();
+        const defaults = { q: '', sort: 'relevance', category: '', author: '', date: '', page: 1 };
+        
+        Object.entries(this.state).forEach(([key, value]) => {
+            if (value !== defaults[key]) {
+                params.set(key, value);
+            }
+        });
+        
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}`;
+        
+        if (replace) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+    
+    /**
+     * Update state, push it to the URL and re-render. Any change other
+     * than paging goes back to the first page.
+     */
+    setState(changes, options = {}) {
+        const previousQuery = this.state.q;
+        
+        this.state = {
+            ...this.state,
+            page: 1,
+            ...changes
+        };
+        this.writeState(options.replace);
+        
+        if (this.state.q !== previousQuery) {
+            this.search();
+        } else {
+            this.render();
+        }
+        
+        if ('page' in changes) {
+            this.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+    
+    handlePopState() {
+        const previousQuery = this.state.q;
+        this.state = this.readState();
+        
+        if (this.state.q !== previousQuery) {
+            this.search();
+        } else {
+            this.render();
+        }
+    }
+    
+    /**
+     * Run the query and render the first view
+     */
+    async search() {
+        const requestId = ++this.requestId;
+        const searchInput = document.querySelector('.search-form input');
+        
+        if (searchInput) {
+            searchInput.value = this.state.q;
+        }
+        document.title = this.state.q
+            ? `${this.state.q} - Search - PLS World News`
+            : 'Search - PLS World News';
+        
+        this.container.innerHTML = `
+            <div class="search-loading">
+                <div class="loading-spinner"></div>
+                <p>Searching...</p>
+            </div>
+        `;
+        
+        try {
+            this.parsedQuery = PLSSearchQuery.parse(this.state.q);
+            if (this.state.q) {
+                this.app.searchHistory.record(this.state.q);
+                this.app.searchHistory.markSeen(this.state.q);
+            }
+            const results = await this.app.searchArticles(this.parsedQuery, { limit: Infinity });
+            
+            // A newer search started while this one was in flight
+            if (requestId !== this.requestId) return;
+            
+            this.results = results;
+            this.error = null;
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            
+            if (!(error instanceof PLSSearchQueryError)) {
+                console.error('Search error:', error);
+            }
+            this.results = [];
+            this.error = error;
+        }
+        
+        this.render();
+    }
+    
+    /**
+     * Date bucket an article falls into (the narrowest one)
+     */
+    getDateBucket(article) {
+        const age = Date.now() - new Date(article.date).getTime();
+        
+        return Object.entries(PLSSearchPage.dateBuckets)
+            .find(([, bucket]) => age <= bucket.days * 86400000)?.[0] || '';
+    }
+    
+    /**
+     * Whether an article passes the active facets, optionally ignoring one
+     */
+    matchesFacets(article, except = null) {
+        const { category, author, date } = this.state;
+        const buckets = Object.keys(PLSSearchPage.dateBuckets);
+        
+        if (except !== 'category' && category && (article.category || '').toLowerCase() !== category.toLowerCase()) {
+            return false;
+        }
+        if (except !== 'author' && author && article.author !== author) {
+            return false;
+        }
+        if (except !== 'date' && date) {
+            const bucket = this.getDateBucket(article);
+            return bucket !== '' && buckets.indexOf(bucket) <= buckets.indexOf(date);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Facet counts for one dimension, computed with the other facets applied
+     */
+    getFacetCounts(facet) {
+        const counts = new Map();
+        const results = this.results.filter(article => this.matchesFacets(article, facet));
+        
+        if (facet === 'date') {
+            const buckets = Object.keys(PLSSearchPage.dateBuckets);
+            buckets.forEach(key => counts.set(key, 0));
+            
+            results.forEach(article => {
+                const bucket = this.getDateBucket(article);
+                if (!bucket) return;
+                
+                // Buckets are cumulative: a story from today is also from this week
+                buckets.slice(buckets.indexOf(bucket)).forEach(key => counts.set(key, counts.get(key) + 1));
+            });
+            
+            return Array.from(counts, ([value, count]) => ({
+                value,
+                label: PLSSearchPage.dateBuckets[value].label,
+                count
+            }));
+        }
+        
+        results.forEach(article => {
+            const value = article[facet];
+            if (value) {
+                counts.set(value, (counts.get(value) || 0) + 1);
+            }
+        });
+        
+        return Array.from(counts, ([value, count]) => ({ value, label: value, count }))
+            .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    }
+    
+    /**
+     * Filtered, sorted results for the current state
+     */
+    getVisibleResults() {
+        const results = this.results.filter(article => this.matchesFacets(article));
+        
+        if (this.state.sort === 'date') {
+            return [...results].sort((a, b) => new Date(b.date) - new Date(a.date));
+        }
+        
+        return results;
+    }
+    
+    render() {
+        if (this.error) {
+            this.renderError();
+            return;
+        }
+        
+        const { html } = PLSTemplate;
+        const results = this.getVisibleResults();
+        const { pageSize } = this.options;
+        const totalPages = Math.max(1, Math.ceil(results.length / pageSize));
+        const page = Math.min(this.state.page, totalPages);
+        const pageResults = results.slice((page - 1) * pageSize, page * pageSize);
+        const start = results.length === 0 ? 0 : (page - 1) * pageSize + 1;
+        
+        PLSTemplate.render(this.container, html`
+            <div class="search-page-header">
+                <h2><i class="fas fa-search"></i> ${this.state.q ? `Results for "${this.state.q}"` : 'All stories'}</h2>
+                <div class="search-page-summary">
+                    <p aria-live="polite">
+                        ${results.length === 0 ? 'No results' : `Showing ${start}–${start + pageResults.length - 1} of ${results.length}`}
+                    </p>
+                    ${this.state.q && this.app.renderSaveSearchButton(this.state.q)}
+                    <label class="search-sort">
+                        Sort by
+                        <select name="sort">
+                            <option value="relevance"${this.state.sort === 'relevance' ? ' selected' : ''}>Relevance</option>
+                            <option value="date"${this.state.sort === 'date' ? ' selected' : ''}>Newest</option>
+                        </select>
+                    </label>
+                </div>
+                ${this.app.renderSearchChips(this.parsedQuery)}
+            </div>
+            <div class="search-page-layout">
+                <aside class="search-facets" aria-label="Refine results">
+                    ${this.renderFacet('category', 'Category', 'fa-folder')}
+                    ${this.renderFacet('date', 'Date', 'fa-calendar')}
+                    ${this.renderFacet('author', 'Author', 'fa-user')}
+                </aside>
+                <div class="search-page-results">
+                    ${pageResults.length > 0 ? html`
+                        <div class="news-grid">
+                            ${pageResults.map(article => this.app.renderArticleCard(article, { highlight: this.parsedQuery }))}
+                        </div>
+                    ` : html`
+                        <div class="search-no-results">
+                            <i class="fas fa-search"></i>
+                            <h4>No results found</h4>
+                            <p>Try different keywords, remove a filter or check your spelling.</p>
+                        </div>
+                    `}
+                    ${this.renderPagination(page, totalPages)}
+                </div>
+            </div>
+        `);
+        
+        this.app.currentSearchQuery = this.parsedQuery;
+        this.app.initializeLazyLoading();
+    }
+    
+    renderFacet(facet, title, icon) {
+        const { html } = PLSTemplate;
+        const options = this.getFacetCounts(facet);
+        const active = this.state[facet];
+        
+        if (options.length === 0) return '';
+        
+        return html`
+            <div class="facet-group">
+                <h4><i class="fas ${icon}"></i> ${title}</h4>
+                <ul>
+                    ${options.map(option => html`
+                        <li>
+                            <button type="button" class="facet-option${option.value === active ? ' active' : ''}"
+                                data-facet="${facet}" data-value="${option.value}"
+                                aria-pressed="${option.value === active}"${option.count === 0 && option.value !== active ? ' disabled' : ''}>
+                                <span>${option.label}</span>
+                                <span class="facet-count">${option.count}</span>
+                            </button>
+                        </li>
+                    `)}
+                </ul>
+            </div>
+        `;
+    }
+    
+    renderPagination(page, totalPages) {
+        const { html } = PLSTemplate;
+        if (totalPages <= 1) return '';
+        
+        const pages = [];
+        for (let i = 1; i <= totalPages; i++) {
+            if (i === 1 || i === totalPages || Math.abs(i - page) <= 2) {
+                pages.push(i);
+            } else if (pages[pages.length - 1] !== '…') {
+                pages.push('…');
+            }
+        }
+        
+        return html`
+            <nav class="pagination" aria-label="Search results pages">
+                <button type="button" class="page-btn" data-page="${page - 1}"${page === 1 ? ' disabled' : ''} aria-label="Previous page">
+                    <i class="fas fa-chevron-left"></i>
+                </button>
+                ${pages.map(p => p === '…'
+                    ? html`<span class="page-gap">…</span>`
+                    : html`<button type="button" class="page-btn${p === page ? ' active' : ''}" data-page="${p}"${p === page && html` aria-current="page"`}>${p}</button>`
+                )}
+                <button type="button" class="page-btn" data-page="${page + 1}"${page === totalPages ? ' disabled' : ''} aria-label="Next page">
+                    <i class="fas fa-chevron-right"></i>
+                </button>
+            </nav>
+        `;
+    }
+    
+    renderError() {
+        const { html } = PLSTemplate;
+        
+        if (this.error instanceof PLSSearchQueryError) {
+            const query = this.state.q;
+            const { position, length } = this.error;
+            
+            PLSTemplate.render(this.container, html`
+                <div class="search-error search-query-error" role="alert">
+                    <i class="fas fa-exclamation-circle"></i>
+                    <p>${this.error.message}</p>
+                    <code>${query.slice(0, position)}<mark>${query.slice(position, position + length) || ' '}</mark>${query.slice(position + length)}</code>
+                </div>
+            `);
+            return;
+        }
+        
+        this.container.innerHTML = `
+            <div class="search-error">
+                <i class="fas fa-exclamation-triangle"></i>
+                <p>Search failed. Please try again.</p>
+            </div>
+        `;
+    }
+    
+    handleClick(e) {
+        const facet = e.target.closest('.facet-option');
+        if (facet) {
+            const { facet: name, value } = facet.dataset;
+            this.setState({ [name]: this.state[name] === value ? '' : value });
+            return;
+        }
+        
+        const pageBtn = e.target.closest('.page-btn');
+        if (pageBtn && !pageBtn.disabled) {
+            this.setState({ page: parseInt(pageBtn.dataset.page, 10) });
+            return;
+        }
+        
+        const chip = e.target.closest('.search-chip');
+        if (chip && this.parsedQuery) {
+            const clause = this.parsedQuery.clauses[chip.dataset.clause];
+            this.setState({ q: PLSSearchQuery.without(this.parsedQuery, clause) });
+        }
+    }
+    
+    handleChange(e) {
+        if (e.target.matches('select[name="sort"]')) {
+            this.setState({ sort: e.target.value });
+        }
+    }
+    
+    destroy() {
+        this.container.removeEventListener('click', this.handleClick);
+        this.container.removeEventListener('change', this.handleChange);
+        window.removeEventListener('popstate', this.handlePopState);
+    }
+}
+
+// Make search page globally available
+window.PLSSearchPage = PLSSearchPage;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSSearchPage;
+}
@@ -0,0 +1,346 @@
+/**
+ * PLS World News - Search Query Parser
+ * Parses advanced search syntax: field filters, quoted phrases,
+ * negation, OR and date ranges
+ *
+ *   category:politics author:"Sarah Johnson" after:2026-01-01 -election "climate accord"
+ */
+
+class PLSSearchQueryError extends Error {
+    constructor(message, position = 0, length = 1) {
+        super(message);
+        this.name = 'PLSSearchQueryError';
+        this.position = position;
+        this.length = length;
+    }
+}
+
+const PLSSearchQuery = {
+    
+    /**
+     * Supported field filters
+     */
+    fields: ['category', 'author', 'after', 'before', 'date'],
+    
+    /**
+     * Parse a query string. Throws PLSSearchQueryError for malformed input.
+     *
+     * Returns { input, groups, clauses, text } where groups is a list of
+     * OR-groups (every group must match; any clause within a group may match)
+     */
+    parse(input) {
+        const source = String(input || '');
+        const groups = [];
+        let pendingOr = null;
+        let i = 0;
+        
+        const skipWhitespace = () => {
+            while (i < source.length && /\s/.test(source[i])) i++;
+        };
+        
+        const readQuoted = () => {
+            const open = i;
+            const close = source.indexOf('"', open + 1);
+            if (close === -1) {
+                throw new PLSSearchQueryError('Missing closing quote', open, source.length - open);
+            }
+            i = close + 1;
+            return source.slice(open + 1, close).trim();
+        };
+        
+        const readWord = () => {
+            const start = i;
+            while (i < source.length && !/\s/.test(source[i])) i++;
+            return source.slice(start, i);
+        };
+        
+        skipWhitespace();
+        
+        while (i < source.length) {
+            const start = i;
+            let negated = false;
+            
+            if (source[i] === '-') {
+                negated = true;
+                i++;
+                if (i >= source.length || /\s/.test(source[i])) {
+                    throw new PLSSearchQueryError('Nothing to exclude after "-"', start);
+                }
+            }
+            
+            let clause;
+            // Other "word:" prefixes (as in "Update: election") are plain terms
+            const field = source.slice(i).match(/^([a-zA-Z]+):(?!\/\/)/);
+            const name = field && field[1].toLowerCase();
+            
+            if (source[i] === '"') {
+                const value = readQuoted();
+                if (!value) {
+                    throw new PLSSearchQueryError('Empty quoted phrase', start, i - start);
+                }
+                clause = { type: 'phrase', value };
+            } else if (field && this.fields.includes(name)) {
+                i += field[0].length;
+                const value = source[i] === '"' ? readQuoted() : readWord();
+                if (!value) {
+                    throw new PLSSearchQueryError(`"${name}:" needs a value`, start, i - start);
+                }
+                clause = { type: 'field', field: name, value, ...this.parseFieldValue(name, value, start, i - start) };
+            } else {
+                const value = readWord();
+                
+                if (value === 'OR' && !negated) {
+                    if (groups.length === 0 || pendingOr) {
+                        throw new PLSSearchQueryError('OR needs a search term on both sides', start, 2);
+                    }
+                    pendingOr = { start };
+                    skipWhitespace();
+                    continue;
+                }
+                clause = { type: 'term', value };
+            }
+            
+            Object.assign(clause, { negated, start, end: i, raw: source.slice(start, i) });
+            
+            if (pendingOr) {
+                groups[groups.length - 1].push(clause);
+                pendingOr = null;
+            } else {
+                groups.push([clause]);
+            }
+            
+            skipWhitespace();
+        }
+        
+        if (pendingOr) {
+            throw new PLSSearchQueryError('OR needs a search term on both sides', pendingOr.start, 2);
+        }
+        
+        const clauses = groups.flat();
+        this.validateDateRange(groups);
+        
+        return {
+            input: source,
+            groups,
+            clauses,
+            text: clauses
+                .filter(clause => !clause.negated && clause.type !== 'field')
+                .map(clause => clause.value)
+                .join(' ')
+        };
+    },
+    
+    /**
+     * Parse field values that need it (dates) into comparable ranges
+     */
+    parseFieldValue(field, value, position, length) {
+        if (field === 'category' || field === 'author') {
+            return {};
+        }
+        
+        if (field === 'date' && value.includes('..')) {
+            const [from, to] = value.split('..');
+            return {
+                from: from ? this.parseDate(from, position, length).from : null,
+                to: to ? this.parseDate(to, position, length).to : null
+            };
+        }
+        
+        const range = this.parseDate(value, position, length);
+        if (field === 'after') return { from: range.from, to: null };
+        if (field === 'before') return { from: null, to: range.from };
+        return range;
+    },
+    
+    /**
+     * Parse YYYY, YYYY-MM, YYYY-MM-DD, "today" or "yesterday" into the
+     * [from, to) range of timestamps it covers
+     */
+    parseDate(value, position, length) {
+        const keyword = value.toLowerCase();
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        
+        if (keyword === 'today' || keyword === 'yesterday') {
+            const from = keyword === 'today' ? today : PLSUtils.date.addDays(today, -1);
+            return { from: from.getTime(), to: PLSUtils.date.addDays(from, 1).getTime() };
+        }
+        
+        const match = value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+        const [, year, month, day] = match || [];
+        const from = match ? new Date(Number(year), month ? Number(month) - 1 : 0, day ? Number(day) : 1) : null;
+        
+        if (!from || (month && from.getMonth() !== Number(month) - 1) || (day && from.getDate() !== Number(day))) {
+            throw new PLSSearchQueryError(`"${value}" is not a valid date - use YYYY-MM-DD`, position, length);
+        }
+        
+        const to = new Date(from);
+        if (day) {
+            to.setDate(to.getDate() + 1);
+        } else if (month) {
+            to.setMonth(to.getMonth() + 1);
+        } else {
+            to.setFullYear(to.getFullYear() + 1);
+        }
+        
+        return { from: from.getTime(), to: to.getTime() };
+    },
+    
+    /**
+     * Reject date filters that cannot all be satisfied
+     */
+    validateDateRange(groups) {
+        const required = groups.filter(group => group.length === 1).flat();
+        const dateClauses = required.filter(clause =>
+            clause.type === 'field' && ['after', 'before', 'date'].includes(clause.field) && !clause.negated
+        );
+        const from = Math.max(...dateClauses.map(clause => clause.from ?? -Infinity));
+        const to = Math.min(...dateClauses.map(clause => clause.to ?? Infinity));
+        
+        if (dateClauses.length > 0 && from >= to) {
+            const last = dateClauses[dateClauses.length - 1];
+            throw new PLSSearchQueryError('The date filters exclude every date', last.start, last.end - last.start);
+        }
+    },
+    
+    /**
+     * Whether an article satisfies a parsed query. `termMatches` maps term
+     * clauses to sets of matching article ids (from the search index);
+     * without it, terms are matched against the article's stemmed text.
+     */
+    matches(article, query, termMatches = new Map()) {
+        return query.groups.every(group =>
+            group.some(clause => this.matchesClause(article, clause, termMatches) !== clause.negated)
+        );
+    },
+    
+    /**
+     * Whether a single clause (ignoring negation) matches an article
+     */
+    matchesClause(article, clause, termMatches) {
+        const normalize = (text) => PLSSearchIndex.normalize(text).replace(/[^a-z0-9]+/g, ' ').trim();
+        
+        if (clause.type === 'term') {
+            if (termMatches.has(clause)) {
+                return termMatches.get(clause).has(String(article.id));
+            }
+            
+            const stems = PLSSearchIndex.analyze(clause.value);
+            const text = PLSSearchIndex.analyze([article.title, article.excerpt, article.body, article.category, article.author].join(' '));
+            return stems.every(stem => text.includes(stem));
+        }
+        
+        if (clause.type === 'phrase') {
+            const text = ` ${normalize([article.title, article.excerpt, article.body].join(' '))} `;
+            return text.includes(` ${normalize(clause.value)} `);
+        }
+        
+        switch (clause.field) {
+            case 'category':
+                return normalize(article.category) === normalize(clause.value);
+            case 'author':
+                return ` ${normalize(article.author)} `.includes(` ${normalize(clause.value)} `);
+            default: {
+                const time = new Date(article.date).getTime();
+                if (isNaN(time)) return false;
+                return (clause.from === null || time >= clause.from) && (clause.to === null || time < clause.to);
+            }
+        }
+    },
+    
+    /**
+     * Run a parsed query against a PLSSearchIndex, ranked by relevance
+     */
+    run(query, index, options = {}) {
+        const { limit = 20 } = options;
+        const termMatches = new Map();
+        const candidates = new Map();
+        const positive = query.clauses.filter(clause => !clause.negated && clause.type !== 'field');
+        
+        query.clauses
+            .filter(clause => clause.type === 'term')
+            .forEach(clause => {
+                const results = index.search(clause.value, {
+                    limit: Infinity,
+                    prefix: !clause.negated,
+                    fuzzy: !clause.negated
+                });
+                if (PLSSearchIndex.analyze(clause.value).length > 0) {
+                    termMatches.set(clause, new Set(results.map(result => result.id)));
+                }
+            });
+        
+        if (positive.length > 0) {
+            positive.forEach(clause => {
+                index.search(clause.value, { limit: Infinity }).forEach(result => {
+                    const candidate = candidates.get(result.id) || { article: result.article, score: 0 };
+                    candidate.score += result.score;
+                    candidates.set(result.id, candidate);
+                });
+            });
+        } else {
+            index.documents().forEach(article => {
+                candidates.set(String(article.id), { article, score: 0 });
+            });
+        }
+        
+        return Array.from(candidates.values())
+            .filter(({ article }) => this.matches(article, query, termMatches))
+            .sort((a, b) => b.score - a.score || new Date(b.article.date) - new Date(a.article.date))
+            .slice(0, limit)
+            .map(({ article }) => article);
+    },
+    
+    /**
+     * Filter a plain list of articles (e.g. from the data source) by a parsed query
+     */
+    filter(articles, query) {
+        return articles.filter(article => this.matches(article, query));
+    },
+    
+    /**
+     * Query string with one clause removed (used by the filter chips)
+     */
+    without(query, clause) {
+        return `${query.input.slice(0, clause.start)} ${query.input.slice(clause.end)}`
+            .replace(/\s+/g, ' ')
+            .replace(/\bOR(\s+OR\b)+/g, 'OR')
+            .replace(/^\s*OR\b|\bOR\s*$/g, '')
+            .trim();
+    },
+    
+    /**
+     * Human readable label for a clause
+     */
+    describe(clause) {
+        const formatDate = (time) => PLSUtils.date.format(time, 'short');
+        let label;
+        
+        if (clause.type === 'phrase') {
+            label = `"${clause.value}"`;
+        } else if (clause.type === 'term') {
+            label = clause.value;
+        } else if (clause.field === 'after') {
+            label = `Since ${formatDate(clause.from)}`;
+        } else if (clause.field === 'before') {
+            label = `Before ${formatDate(clause.to)}`;
+        } else if (clause.field === 'date') {
+            label = clause.to === null ? `From ${formatDate(clause.from)}`
+                : clause.from === null ? `Until ${formatDate(clause.to - 1)}`
+                : `${formatDate(clause.from)} – ${formatDate(clause.to - 1)}`;
+        } else {
+            label = `${PLSUtils.string.capitalize(clause.field)}: ${clause.value}`;
+        }
+        
+        return clause.negated ? `Not ${label}` : label;
+    }
+};
+
+// Make query parser globally available
+window.PLSSearchQuery = PLSSearchQuery;
+window.PLSSearchQueryError = PLSSearchQueryError;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PLSSearchQuery, PLSSearchQueryError };
+}
@@ -0,0 +1,365 @@
+/**
+ * PLS World News - Search Suggestions
+ * Search-as-you-type dropdown following the ARIA combobox pattern:
+ * query completions, matching headlines, categories and recent searches
+ */
+
+class PLSSearchSuggest {
+    constructor(input, app, options = {}) {
+        this.input = input;
+        this.app = app;
+        this.options = {
+            delay: 150,
+            maxCompletions: 4,
+            maxHeadlines: 4,
+            maxCategories: 3,
+            maxRecent: 5,
+            ...options
+        };
+        
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.vocabulary = null;
+        this.vocabularySize = -1;
+        
+        this.handleInput = PLSUtils.performance.debounce(this.update.bind(this), this.options.delay);
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleFocus = this.update.bind(this);
+        this.handleBlur = this.handleBlur.bind(this);
+        
+        this.init();
+    }
+    
+    init() {
+        const listId = 'search-suggestions';
+        
+        this.list = document.createElement('ul');
+        this.list.id = listId;
+        this.list.className = 'search-suggestions';
+        this.list.setAttribute('role', 'listbox');
+        this.list.setAttribute('aria-label', 'Search suggestions');
+        
+        this.status = document.createElement('div');
+        this.status.className = 'sr-only';
+        this.status.setAttribute('role', 'status');
+        this.status.setAttribute('aria-live', 'polite');
+        
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('aria-controls', listId);
+        this.input.setAttribute('autocomplete', 'off');
+        
+        const container = this.input.closest('.search-container') || this.input.parentNode;
+        container.appendChild(this.list);
+        container.appendChild(this.status);
+        
+        this.input.addEventListener('input', this.handleInput);
+        this.input.addEventListener('keydown', this.handleKeydown);
+        this.input.addEventListener('focus', this.handleFocus);
+        this.input.addEventListener('blur', this.handleBlur);
+        
+        // Keep focus in the input while clicking an option
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (!option) return;
+            
+            e.preventDefault();
+            this.select(parseInt(option.dataset.index, 10));
+        });
+    }
+    
+    /**
+     * Surface words from indexed headlines and excerpts, by frequency.
+     * Rebuilt whenever the index grows or shrinks.
+     */
+    getVocabulary() {
+        const index = this.app.searchIndex;
+        if (this.vocabulary && this.vocabularySize === index.size) {
+            return this.vocabulary;
+        }
+        
+        const counts = new Map();
+        const stopWords = PLSSearchIndex.stopWords;
+        
+        index.documents().forEach(article => {
+            PLSSearchIndex.tokenize(`${article.title} ${article.excerpt || ''}`)
+                .filter(word => word.length >= 3 && !stopWords.has(word) && !/^\d+$/.test(word))
+                .forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+        });
+        
+        this.vocabulary = Array.from(counts).sort((a, b) => b[1] - a[1]).map(([word]) => word);
+        this.vocabularySize = index.size;
+        return this.vocabulary;
+    }
+    
+    /**
+     * Build the suggestion list for the current input value
+     */
+    getSuggestions(query) {
+        const { maxCompletions, maxHeadlines, maxCategories, maxRecent } = this.options;
+        const normalized = PLSSearchIndex.normalize(query).trim();
+        const suggestions = [];
+        
+        const history = this.app.searchHistory;
+        const startsWithQuery = (item) => {
+            const value = PLSSearchIndex.normalize(item);
+            return (!normalized || value.startsWith(normalized)) && value !== normalized;
+        };
+        
+        const saved = history.getSaved().map(search => search.query).filter(startsWithQuery).slice(0, maxRecent);
+        saved.forEach(item => suggestions.push({ type: 'saved', label: item, value: item }));
+        
+        const recent = history.getRecent()
+            .filter(item => startsWithQuery(item) && !saved.includes(item))
+            .slice(0, maxRecent);
+        recent.forEach(item => suggestions.push({ type: 'recent', label: item, value: item }));
+        
+        if (normalized.length < 2) {
+            return suggestions;
+        }
+        
+        // Complete the last word being typed
+        const lastWord = normalized.match(/([a-z0-9]+)$/)?.[1];
+        if (lastWord) {
+            const prefix = query.slice(0, query.length - lastWord.length);
+            this.getVocabulary()
+                .filter(word => word.startsWith(lastWord) && word !== lastWord)
+                .slice(0, maxCompletions)
+                .forEach(word => {
+                    const value = `${prefix}${word}`;
+                    if (!recent.includes(value) && !saved.includes(value)) {
+                        suggestions.push({ type: 'completion', label: value, value });
+                    }
+                });
+        }
+        
+        // Categories named like the query
+        const categories = new Set();
+        this.app.searchIndex.documents().forEach(article => {
+            if (article.category && PLSSearchIndex.normalize(article.category).startsWith(normalized)) {
+                categories.add(article.category);
+            }
+        });
+        Array.from(categories).slice(0, maxCategories).forEach(category => {
+            const value = `category:${/\s/.test(category) ? `"${category}"` : category.toLowerCase()}`;
+            suggestions.push({ type: 'category', label: category, value });
+        });
+        
+        // Matching headlines
+        let headlines = [];
+        let parsedQuery = null;
+        try {
+            parsedQuery = PLSSearchQuery.parse(query);
+            headlines = PLSSearchQuery.run(parsedQuery, this.app.searchIndex, { limit: maxHeadlines });
+        } catch (error) {
+            // Incomplete advanced syntax while typing - no headline matches yet
+        }
+        headlines.forEach(article => {
+            suggestions.push({
+                type: 'headline',
+                label: article.title,
+                id: article.id,
+                url: PLSArticleReader.href(article),
+                meta: article.category,
+                highlight: parsedQuery
+            });
+        });
+        
+        suggestions.push({ type: 'action', label: `Quick results for "${query.trim()}"`, value: query.trim() });
+        
+        return suggestions;
+    }
+    
+    /**
+     * Refresh the dropdown for the current input value
+     */
+    update() {
+        const query = this.input.value;
+        
+        this.suggestions = this.getSuggestions(query);
+        this.activeIndex = -1;
+        this.render();
+    }
+    
+    render() {
+        const { html } = PLSTemplate;
+        const headings = {
+            saved: 'Saved searches',
+            recent: 'Recent searches',
+            completion: 'Suggestions',
+            category: 'Categories',
+            headline: 'Headlines'
+        };
+        const icons = {
+            saved: 'fa-star',
+            recent: 'fa-history',
+            completion: 'fa-search',
+            category: 'fa-folder',
+            headline: 'fa-newspaper',
+            action: 'fa-bolt'
+        };
+        
+        if (this.suggestions.length === 0) {
+            this.close();
+            return;
+        }
+        
+        let previousType = null;
+        PLSTemplate.render(this.list, this.suggestions.map((suggestion, index) => {
+            const heading = suggestion.type !== previousType && headings[suggestion.type] && html`
+                <li class="suggestion-heading" role="presentation">${headings[suggestion.type]}</li>
+            `;
+            previousType = suggestion.type;
+            
+            return html`
+                ${heading}
+                <li class="suggestion suggestion-${suggestion.type}" id="search-suggestion-${index}"
+                    role="option" aria-selected="false" data-index="${index}">
+                    <i class="fas ${icons[suggestion.type]}" aria-hidden="true"></i>
+                    <span class="suggestion-label">${suggestion.highlight
+                        ? PLSHighlighter.highlight(suggestion.label, suggestion.highlight)
+                        : suggestion.label}</span>
+                    ${suggestion.meta && html`<span class="suggestion-meta">${suggestion.meta}</span>`}
+                </li>
+            `;
+        }));
+        
+        this.list.classList.add('active');
+        this.input.setAttribute('aria-expanded', 'true');
+        this.input.removeAttribute('aria-activedescendant');
+        
+        const count = this.suggestions.length;
+        this.status.textContent = `${count} suggestion${count !== 1 ? 's' : ''} available. Use up and down arrows to browse.`;
+    }
+    
+    /**
+     * Move the active option, wrapping at both ends
+     */
+    setActive(index) {
+        const options = this.list.querySelectorAll('[role="option"]');
+        if (options.length === 0) return;
+        
+        this.activeIndex = (index + options.length) % options.length;
+        
+        options.forEach(option => {
+            const active = parseInt(option.dataset.index, 10) === this.activeIndex;
+            option.classList.toggle('active', active);
+            option.setAttribute('aria-selected', String(active));
+            if (active) {
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+        
+        this.input.setAttribute('aria-activedescendant', `search-suggestion-${this.activeIndex}`);
+    }
+    
+    /**
+     * Act on a suggestion: open headlines, search for everything else
+     */
+    select(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion) return;
+        
+        this.close();
+        
+        if (suggestion.type === 'headline') {
+            this.app.openArticle(suggestion.id);
+            return;
+        }
+        
+        this.input.value = suggestion.value;
+        
+        if (suggestion.type === 'action') {
+            this.app.performSearch(suggestion.value);
+        } else {
+            this.app.openSearchPage(suggestion.value);
+        }
+    }
+    
+    /**
+     * Put a suggestion's text in the input without searching
+     */
+    accept(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion || suggestion.type === 'headline') return false;
+        
+        this.input.value = suggestion.value;
+        this.update();
+        return true;
+    }
+    
+    handleKeydown(e) {
+        const isOpen = this.list.classList.contains('active');
+        
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (!isOpen) {
+                    this.update();
+                }
+                this.setActive(this.activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                if (!isOpen) {
+                    this.update();
+                }
+                this.setActive(this.activeIndex < 0 ? -1 : this.activeIndex - 1);
+                break;
+            case 'Enter':
+                if (isOpen && this.activeIndex >= 0) {
+                    e.preventDefault();
+                    this.select(this.activeIndex);
+                } else {
+                    this.close();
+                }
+                break;
+            case 'Tab':
+                if (isOpen && !e.shiftKey) {
+                    const index = this.activeIndex >= 0
+                        ? this.activeIndex
+                        : this.suggestions.findIndex(suggestion => suggestion.type === 'completion');
+                    if (index >= 0 && this.suggestions[index].value !== this.input.value && this.accept(index)) {
+                        e.preventDefault();
+                    }
+                }
+                break;
+            case 'Escape':
+                if (isOpen) {
+                    e.stopPropagation();
+                    this.close();
+                }
+                break;
+        }
+    }
+    
+    handleBlur() {
+        this.close();
+    }
+    
+    close() {
+        this.list.classList.remove('active');
+        this.list.innerHTML = '';
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+    
+    destroy() {
+        this.input.removeEventListener('input', this.handleInput);
+        this.input.removeEventListener('keydown', this.handleKeydown);
+        this.input.removeEventListener('focus', this.handleFocus);
+        this.input.removeEventListener('blur', this.handleBlur);
+        this.list.remove();
+        this.status.remove();
+    }
+}
+
+// Make search suggestions globally available
+window.PLSSearchSuggest = PLSSearchSuggest;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSSearchSuggest;
+}
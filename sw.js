@@ -0,0 +1,169 @@
+/**
+ * PLS World News - Service Worker
+ * Precaches the app shell, caches article data (network first) and images
+ * (cache first) as they are used, and serves offline.html to navigations
+ * that cannot be answered. A new version waits until the page asks it to
+ * take over (see PLSWorldNews.initializeServiceWorker).
+ */
+
+// The app's scripts, which are part of the shell
+importScripts('scripts.js');
+
+// Bump on every deploy so the shell is fetched again
+const VERSION = 'v11';
+
+const CACHES = {
+    shell: `pls-shell-${VERSION}`,
+    // Shared with offline.html, which lists the stories kept here
+    articles: 'pls-articles',
+    images: 'pls-images',
+    // Images of reading list stories, managed by PLSReadingList and never trimmed
+    saved: 'pls-saved-images'
+};
+
+const LIMITS = {
+    articles: 60,
+    images: 120
+};
+
+const SHELL = [
+    './',
+    'index.html',
+    'search.html',
+    'article.html',
+    'reading-list.html',
+    'history.html',
+    'following.html',
+    'offline.html',
+    'style.css',
+    ...PLS_SCRIPTS,
+    'PLS_Homepage_Logo.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHES.shell).then(cache => cache.addAll(SHELL)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('pls-shell-') && name !== CACHES.shell)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    const accept = request.headers.get('Accept') || '';
+    
+    // Live streams are never cached
+    if (accept.includes('text/event-stream')) return;
+    
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(event));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, CACHES.images, LIMITS.images));
+    } else if (accept.includes('application/json') || /\.(json|xml|rss|atom)$/.test(url.pathname)) {
+        event.respondWith(networkFirst(request, CACHES.articles, LIMITS.articles));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event, CACHES.shell));
+    }
+});
+
+/**
+ * Pages: the network when it answers, otherwise the cached page (any
+ * query), the article page shell for article URLs, or offline.html
+ */
+async function handleNavigation(event) {
+    try {
+        return await fetch(event.request);
+    } catch (error) {
+        const cache = await caches.open(CACHES.shell);
+        const url = new URL(event.request.url);
+        
+        return await cache.match(event.request, { ignoreSearch: true }) ||
+            (/\/article(\/|\.html$)/.test(url.pathname) && await cache.match('article.html')) ||
+            await cache.match('offline.html') ||
+            Response.error();
+    }
+}
+
+/**
+ * Article data: fresh when online, the last copy when not
+ */
+async function networkFirst(request, cacheName, limit) {
+    const cache = await caches.open(cacheName);
+    
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            await trim(cache, limit);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Images rarely change: use the cached copy (a saved story's, or one seen
+ * before) when there is one
+ */
+async function cacheFirst(request, cacheName, limit) {
+    const cache = await caches.open(cacheName);
+    const saved = await caches.open(CACHES.saved);
+    const cached = await saved.match(request) || await cache.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    // Not opaque (cross-origin, no-cors) ones: errors cannot be told apart
+    // from images, and each counts for megabytes against the quota
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        await trim(cache, limit);
+    }
+    return response;
+}
+
+/**
+ * Shell files: answer from the cache at once and refresh it in the background
+ */
+async function staleWhileRevalidate(event, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    
+    const update = fetch(event.request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(event.request, response.clone());
+        }
+        return response;
+    });
+    
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+/**
+ * Drop the oldest entries beyond the limit
+ */
+async function trim(cache, limit) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,298 @@
+/**
+ * PLS World News - Templates
+ * Auto-escaping tagged-template rendering with a trusted-HTML escape hatch,
+ * URL sanitizing for href/src and keyed list updates
+ *
+ *   const { html, trusted } = PLSTemplate;
+ *   element.innerHTML = html`<a href="${article.url}">${article.title}</a>`;
+ */
+
+/**
+ * Markup that is known to be safe and is inserted without escaping
+ */
+class PLSSafeHtml {
+    constructor(value) {
+        this.value = String(value);
+    }
+    
+    toString() {
+        return this.value;
+    }
+}
+
+const PLSTemplate = {
+    
+    /**
+     * Attributes whose values are URLs
+     */
+    urlAttributePattern: /\s(?:href|src|data-src|action|formaction|poster|cite|xlink:href)\s*=\s*["']?$/i,
+    
+    /**
+     * Event handler attributes - never filled from data
+     */
+    eventAttributePattern: /\son[a-z]+\s*=\s*["']?$/i,
+    
+    /**
+     * URL schemes allowed in links and media
+     */
+    safeSchemes: ['http', 'https', 'mailto', 'tel'],
+    
+    /**
+     * Escape text for use in HTML content and quoted attributes
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+    
+    /**
+     * Mark a string as trusted HTML. Only use for markup built by the app,
+     * never for data from the network or the user.
+     */
+    trusted(markup) {
+        return markup instanceof PLSSafeHtml ? markup : new PLSSafeHtml(markup ?? '');
+    },
+    
+    /**
+     * Return the URL if it is relative or uses a safe scheme, otherwise
+     * 'about:blank'. Inline images are allowed for src attributes.
+     */
+    sanitizeUrl(url, { allowDataImages = false } = {}) {
+        const value = String(url ?? '').trim();
+        const scheme = value.replace(/[\u0000- \u007f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i)?.[1].toLowerCase();
+        
+        if (!scheme || this.safeSchemes.includes(scheme)) {
+            return value;
+        }
+        if (allowDataImages && /^data:image\/(png|jpe?g|gif|webp|avif);/i.test(value)) {
+            return value;
+        }
+        return 'about:blank';
+    },
+    
+    /**
+     * Tagged template: interpolated values are escaped, URL attributes are
+     * sanitized, arrays are joined and null/undefined/false render nothing
+     * (except as an attribute value)
+     */
+    html(strings, ...values) {
+        let markup = strings[0];
+        
+        values.forEach((value, i) => {
+            const preceding = strings[i];
+            
+            if (PLSTemplate.eventAttributePattern.test(preceding)) {
+                console.error('Refusing to interpolate into an event handler attribute');
+            } else if (PLSTemplate.urlAttributePattern.test(preceding) && !(value instanceof PLSSafeHtml)) {
+                const allowDataImages = /\s(?:data-)?src\s*=\s*["']?$/i.test(preceding);
+                markup += PLSTemplate.escape(PLSTemplate.sanitizeUrl(value, { allowDataImages }));
+            } else if (typeof value === 'boolean' && /=\s*["']?$/.test(preceding)) {
+                // aria-pressed="${isActive}" and friends need the literal value
+                markup += String(value);
+            } else {
+                markup += PLSTemplate.interpolate(value);
+            }
+            
+            markup += strings[i + 1];
+        });
+        
+        return new PLSSafeHtml(markup);
+    },
+    
+    /**
+     * Convert a value in content position to markup
+     */
+    interpolate(value) {
+        if (value === null || value === undefined || value === false) {
+            return '';
+        }
+        if (value instanceof PLSSafeHtml) {
+            return value.value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => PLSTemplate.interpolate(item)).join('');
+        }
+        return PLSTemplate.escape(value);
+    },
+    
+    /**
+     * Replace an element's content with a template
+     */
+    render(container, template) {
+        container.innerHTML = PLSTemplate.interpolate(template);
+        return container;
+    },
+    
+    /**
+     * Parse a template into a single element
+     */
+    toElement(template) {
+        const wrapper = document.createElement('template');
+        wrapper.innerHTML = PLSTemplate.interpolate(template).trim();
+        return wrapper.content.firstElementChild;
+    },
+    
+    /**
+     * Elements kept by sanitize(). Anything else is unwrapped (its text is
+     * kept) except droppedTags, which are removed with their content.
+     */
+    allowedTags: ['p', 'br', 'hr', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'b', 'em', 'i', 'u', 's', 'small', 'sub', 'sup',
+        'mark', 'span', 'a', 'blockquote', 'q', 'cite', 'ul', 'ol', 'li', 'figure', 'figcaption', 'img', 'pre', 'code',
+        'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption'],
+    
+    droppedTags: ['script', 'style', 'template', 'noscript', 'iframe', 'frame', 'object', 'embed', 'svg', 'math',
+        'form', 'input', 'button', 'select', 'textarea', 'link', 'meta', 'base', 'title'],
+    
+    allowedAttributes: ['href', 'src', 'alt', 'title', 'width', 'height', 'cite', 'colspan', 'rowspan', 'scope'],
+    
+    /**
+     * Clean untrusted HTML (e.g. an article body from a feed or API) down to
+     * basic formatting. Returns trusted markup.
+     */
+    sanitize(markup) {
+        const doc = new DOMParser().parseFromString(String(markup ?? ''), 'text/html');
+        
+        const clean = (parent) => {
+            Array.from(parent.children).forEach(element => {
+                const tag = element.localName;
+                
+                if (PLSTemplate.droppedTags.includes(tag)) {
+                    element.remove();
+                    return;
+                }
+                
+                clean(element);
+                
+                if (!PLSTemplate.allowedTags.includes(tag)) {
+                    element.replaceWith(...element.childNodes);
+                    return;
+                }
+                
+                Array.from(element.attributes).forEach(({ name, value }) => {
+                    if (!PLSTemplate.allowedAttributes.includes(name)) {
+                        element.removeAttribute(name);
+                    } else if (name === 'href' || name === 'src' || name === 'cite') {
+                        element.setAttribute(name, PLSTemplate.sanitizeUrl(value, { allowDataImages: name === 'src' }));
+                    }
+                });
+                
+                if (tag === 'a') {
+                    element.setAttribute('rel', 'noopener noreferrer');
+                }
+            });
+        };
+        
+        clean(doc.body);
+        return PLSTemplate.trusted(doc.body.innerHTML);
+    },
+    
+    /**
+     * Keyed list rendering. Children whose markup is unchanged are kept
+     * (with their listeners, loaded images and focus), changed ones are
+     * replaced, and everything is put in the order of `items`. With
+     * `append`, children not in `items` are left in place.
+     */
+    renderList(container, items, { key = item => item.id, render, append = false } = {}) {
+        const existing = new Map();
+        
+        Array.from(container.children).forEach(child => {
+            if (child.dataset.key !== undefined && PLSTemplate.rendered.has(child)) {
+                existing.set(child.dataset.key, child);
+            } else if (!append) {
+                child.remove();
+            }
+        });
+        
+        let previous = null;
+        const used = new Set();
+        
+        items.forEach(item => {
+            const id = String(key(item));
+            if (used.has(id)) return;
+            used.add(id);
+            
+            const markup = PLSTemplate.interpolate(render(item));
+            let node = existing.get(id);
+            
+            if (!node || PLSTemplate.rendered.get(node) !== markup) {
+                const fresh = PLSTemplate.toElement(PLSTemplate.trusted(markup));
+                if (!fresh) return;
+                
+                fresh.dataset.key = id;
+                PLSTemplate.rendered.set(fresh, markup);
+                node?.replaceWith(fresh);
+                node = fresh;
+            }
+            PLSTemplate.renderers.set(node, render);
+            
+            if (append) {
+                if (!existing.has(id)) {
+                    container.appendChild(node);
+                }
+                return;
+            }
+            
+            const next = previous ? previous.nextElementSibling : container.firstElementChild;
+            if (node !== next) {
+                container.insertBefore(node, next);
+            }
+            previous = node;
+        });
+        
+        if (!append) {
+            existing.forEach((node, id) => {
+                if (!used.has(id)) node.remove();
+            });
+        }
+        
+        return container;
+    },
+    
+    /**
+     * Re-render every keyed element on the page showing `key` from new
+     * data, with the render function of the list it was rendered by.
+     * Elements whose markup does not change are left alone.
+     */
+    refresh(key, item, root = document) {
+        const id = String(key);
+        
+        root.querySelectorAll('[data-key]').forEach(node => {
+            const render = PLSTemplate.renderers.get(node);
+            if (node.dataset.key !== id || !render) return;
+            
+            const markup = PLSTemplate.interpolate(render(item));
+            if (PLSTemplate.rendered.get(node) === markup) return;
+            
+            const fresh = PLSTemplate.toElement(PLSTemplate.trusted(markup));
+            if (!fresh) return;
+            
+            fresh.dataset.key = id;
+            PLSTemplate.rendered.set(fresh, markup);
+            PLSTemplate.renderers.set(fresh, render);
+            node.replaceWith(fresh);
+        });
+    },
+    
+    /**
+     * Markup each keyed element was last rendered from
+     */
+    rendered: new WeakMap(),
+    
+    /**
+     * Render function each keyed element came from, for refresh()
+     */
+    renderers: new WeakMap()
+};
+
+// Make templates globally available
+window.PLSTemplate = PLSTemplate;
+window.PLSSafeHtml = PLSSafeHtml;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PLSTemplate, PLSSafeHtml };
+}
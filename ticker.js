@@ -0,0 +1,289 @@
+/**
+ * PLS World News - Breaking News Ticker
+ * Shows the items of PLSBreakingNews in the breaking news bar: urgent ones
+ * pinned, the rest scrolling, or one at a time when the reader prefers
+ * reduced motion. The reader can pause it and step through the headlines,
+ * and new headlines are announced politely to screen readers.
+ */
+
+class PLSTicker {
+    constructor(container, app, options = {}) {
+        this.container = container;
+        this.app = app;
+        this.options = {
+            // Seconds each headline is shown when they do not scroll
+            rotateInterval: 6,
+            // New headlines read out by title; beyond this they are counted
+            maxAnnounced: 3,
+            ...options
+        };
+        
+        this.text = container?.querySelector('.ticker-text');
+        this.pinned = container?.querySelector('.ticker-pinned');
+        this.announcer = null;
+        this.toggleButton = null;
+        // Headline shown when not scrolling
+        this.index = 0;
+        // Stopped by the reader, until they press play
+        this.paused = false;
+        // Stepped through with previous/next: shown one at a time until play
+        this.stepped = false;
+        // Held still while hovered or focused
+        this.held = false;
+        this.rendered = false;
+        this.rotateTimer = null;
+        this.clockTimer = null;
+        this.motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        
+        this.handleClick = this.handleClick.bind(this);
+        this.handleHold = this.handleHold.bind(this);
+        this.handleRelease = this.handleRelease.bind(this);
+        this.handleMotionChange = this.handleMotionChange.bind(this);
+        this.handleBreakingNewsChange = this.handleBreakingNewsChange.bind(this);
+        
+        this.init();
+    }
+    
+    init() {
+        if (!this.text) return;
+        
+        this.renderShell();
+        
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('mouseenter', this.handleHold);
+        this.container.addEventListener('mouseleave', this.handleRelease);
+        this.container.addEventListener('focusin', this.handleHold);
+        this.container.addEventListener('focusout', this.handleRelease);
+        this.motionQuery?.addEventListener?.('change', this.handleMotionChange);
+        document.addEventListener(this.app.breakingNews.options.eventName, this.handleBreakingNewsChange);
+        
+        // Keep the "5 minutes ago" timestamps current
+        this.clockTimer = setInterval(() => this.rendered && this.render(), 60000);
+        
+        if (this.app.breakingNews.items.size > 0) {
+            this.render();
+        } else {
+            this.update();
+        }
+    }
+    
+    /**
+     * Whether headlines are shown one at a time instead of scrolling
+     */
+    isStatic() {
+        return this.stepped || Boolean(this.motionQuery?.matches);
+    }
+    
+    /**
+     * Controls and the live region, added to the bar from the page
+     */
+    renderShell() {
+        const { html } = PLSTemplate;
+        
+        this.container.setAttribute('role', 'region');
+        this.container.setAttribute('aria-label', 'Breaking news');
+        
+        const controls = PLSTemplate.toElement(html`
+            <div class="ticker-controls">
+                <button type="button" class="ticker-control" data-ticker-action="previous" aria-label="Previous headline">
+                    <i class="fas fa-chevron-left"></i>
+                </button>
+                <button type="button" class="ticker-control" data-ticker-action="toggle" aria-label="Pause breaking news">
+                    <i class="fas fa-pause"></i>
+                </button>
+                <button type="button" class="ticker-control" data-ticker-action="next" aria-label="Next headline">
+                    <i class="fas fa-chevron-right"></i>
+                </button>
+            </div>
+        `);
+        this.announcer = PLSTemplate.toElement(html`
+            <p class="sr-only ticker-announcer" aria-live="polite" aria-atomic="true"></p>
+        `);
+        
+        this.container.append(controls, this.announcer);
+        this.toggleButton = controls.querySelector('[data-ticker-action="toggle"]');
+    }
+    
+    /**
+     * Where a headline leads: its story, or a search for it
+     */
+    hrefFor(item) {
+        return item.url || `${this.app.router.base}search.html?q=${encodeURIComponent(item.title)}`;
+    }
+    
+    /**
+     * Merge the items into the bar. Items already shown keep their
+     * elements, so the scrolling animation is not restarted.
+     */
+    render() {
+        const { html } = PLSTemplate;
+        const breakingNews = this.app.breakingNews;
+        const current = this.text.children[this.index]?.dataset.key;
+        
+        const render = (item) => html`
+            <span class="ticker-item ${item.priority}" role="listitem">
+                <a href="${this.hrefFor(item)}">
+                    ${item.priority === 'urgent' && html`<i class="fas fa-exclamation-circle" aria-hidden="true"></i> <span class="sr-only">Urgent:</span>`}
+                    ${item.title}
+                </a>
+                <time datetime="${item.publishedAt}">${PLSUtils.date.getRelativeTime(item.publishedAt)}</time>
+            </span>
+        `;
+        const pinned = this.pinned ? breakingNews.pinned() : [];
+        const scrolling = this.pinned ? breakingNews.scrolling() : breakingNews.getAll();
+        
+        if (this.pinned) {
+            this.pinned.setAttribute('role', 'list');
+            PLSTemplate.renderList(this.pinned, pinned, { render });
+            this.pinned.hidden = pinned.length === 0;
+        }
+        this.text.setAttribute('role', 'list');
+        PLSTemplate.renderList(this.text, scrolling, { render });
+        
+        // Stay on the headline being shown when others arrive or expire
+        const index = scrolling.findIndex(item => item.id === current);
+        if (index !== -1) this.index = index;
+        
+        // Everything has expired
+        this.container.hidden = pinned.length === 0 && scrolling.length === 0;
+        this.rendered = true;
+        this.update();
+    }
+    
+    /**
+     * Apply the mode, the headline shown and the state of the controls
+     */
+    update() {
+        const items = Array.from(this.text.children);
+        const isStatic = this.isStatic();
+        
+        this.index = items.length > 0 ? Math.min(this.index, items.length - 1) : 0;
+        items.forEach((item, index) => item.classList.toggle('current', index === this.index));
+        
+        this.container.classList.toggle('static', isStatic);
+        this.container.classList.toggle('paused', this.paused);
+        this.container.classList.toggle('held', this.held);
+        
+        this.toggleButton.setAttribute('aria-label', this.paused ? 'Play breaking news' : 'Pause breaking news');
+        this.toggleButton.querySelector('i').className = `fas ${this.paused ? 'fa-play' : 'fa-pause'}`;
+        this.container.querySelectorAll('[data-ticker-action="previous"], [data-ticker-action="next"]').forEach(button => {
+            button.disabled = items.length < 2;
+        });
+        
+        clearInterval(this.rotateTimer);
+        this.rotateTimer = null;
+        if (isStatic && !this.paused && items.length > 1) {
+            this.rotateTimer = setInterval(() => {
+                if (!this.held) this.show(this.index + 1);
+            }, this.options.rotateInterval * 1000);
+        }
+    }
+    
+    show(index) {
+        const count = this.text.children.length;
+        if (count === 0) return;
+        
+        this.index = (index + count) % count;
+        this.update();
+    }
+    
+    /**
+     * Previous or next headline. The ticker stops on it until play.
+     */
+    step(delta) {
+        // Out of the scrolling list: start from its first (or last) headline
+        if (!this.isStatic()) {
+            this.index = delta > 0 ? -1 : 0;
+        }
+        this.stepped = true;
+        this.paused = true;
+        this.show(this.index + delta);
+    }
+    
+    toggle() {
+        if (this.paused) {
+            this.paused = false;
+            this.stepped = false;
+        } else {
+            this.paused = true;
+        }
+        this.update();
+    }
+    
+    /**
+     * Read new headlines out, but not those the page opened with
+     */
+    announce(items) {
+        if (!this.announcer || items.length === 0) return;
+        
+        const titles = items.map(item => `${item.priority === 'urgent' ? 'Urgent: ' : ''}${item.title}`);
+        this.announcer.textContent = titles.length > this.options.maxAnnounced
+            ? `${titles.length} new breaking headlines, including: ${titles.slice(0, this.options.maxAnnounced).join('. ')}.`
+            : `Breaking news: ${titles.join('. ')}.`;
+    }
+    
+    handleBreakingNewsChange(e) {
+        const { action, ids = [] } = e.detail || {};
+        
+        if (action === 'add' && this.rendered) {
+            const added = new Set(ids);
+            this.announce(this.app.breakingNews.getAll().filter(item => added.has(item.id)));
+        }
+        this.render();
+    }
+    
+    handleClick(e) {
+        const button = e.target.closest('[data-ticker-action]');
+        if (!button || button.disabled) return;
+        
+        switch (button.dataset.tickerAction) {
+            case 'previous':
+                this.step(-1);
+                break;
+            case 'next':
+                this.step(1);
+                break;
+            case 'toggle':
+                this.toggle();
+                break;
+        }
+    }
+    
+    handleHold() {
+        this.held = true;
+        this.container.classList.add('held');
+    }
+    
+    handleRelease(e) {
+        // Focus moving between the controls, or leaving while still hovered
+        if (e.type === 'focusout' && (this.container.contains(e.relatedTarget) || this.container.matches(':hover'))) return;
+        if (e.type === 'mouseleave' && this.container.contains(document.activeElement)) return;
+        
+        this.held = false;
+        this.container.classList.remove('held');
+    }
+    
+    handleMotionChange() {
+        this.update();
+    }
+    
+    destroy() {
+        clearInterval(this.rotateTimer);
+        clearInterval(this.clockTimer);
+        this.container.removeEventListener('click', this.handleClick);
+        this.container.removeEventListener('mouseenter', this.handleHold);
+        this.container.removeEventListener('mouseleave', this.handleRelease);
+        this.container.removeEventListener('focusin', this.handleHold);
+        this.container.removeEventListener('focusout', this.handleRelease);
+        this.motionQuery?.removeEventListener?.('change', this.handleMotionChange);
+        document.removeEventListener(this.app.breakingNews.options.eventName, this.handleBreakingNewsChange);
+    }
+}
+
+// Make ticker globally available
+window.PLSTicker = PLSTicker;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSTicker;
+}
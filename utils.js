@@ -34,7 +34,8 @@ const PLSUtils = {
         },
         
         /**
-         * Create element with attributes and content
+         * Create element with attributes and content. String content is
+         * set as text; use PLSTemplate.html or PLSTemplate.trusted for markup.
          */
         createElement(tag, attributes = {}, content = '') {
             const element = document.createElement(tag);
@@ -46,14 +47,18 @@ const PLSUtils = {
                     Object.entries(value).forEach(([dataKey, dataValue]) => {
                         element.dataset[dataKey] = dataValue;
                     });
+                } else if (['href', 'src', 'action'].includes(key)) {
+                    element.setAttribute(key, PLSTemplate.sanitizeUrl(value));
                 } else {
                     element.setAttribute(key, value);
                 }
             });
             
             if (content) {
-                if (typeof content === 'string') {
-                    element.innerHTML = content;
+                if (content instanceof PLSSafeHtml) {
+                    PLSTemplate.render(element, content);
+                } else if (typeof content === 'string') {
+                    element.textContent = content;
                 } else {
                     element.appendChild(content);
                 }
@@ -160,18 +165,16 @@ const PLSUtils = {
          * Remove HTML tags
          */
         stripHtml(str) {
-            const div = document.createElement('div');
-            div.innerHTML = str;
-            return div.textContent || div.innerText || '';
+            // Parse in an inert document so markup cannot load or run anything
+            const doc = new DOMParser().parseFromString(String(str ?? ''), 'text/html');
+            return doc.body.textContent || '';
         },
         
         /**
          * Escape HTML characters
          */
         escapeHtml(str) {
-            const div = document.createElement('div');
-            div.textContent = str;
-            return div.innerHTML;
+            return PLSTemplate.escape(str);
         },
         
         /**
@@ -426,6 +429,11 @@ const PLSUtils = {
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), timeout);
             
+            // Also abort when the caller's signal does
+            const abort = () => controller.abort();
+            if (options.signal?.aborted) abort();
+            options.signal?.addEventListener('abort', abort);
+            
             try {
                 const response = await fetch(url, {
                     ...options,
@@ -436,58 +444,32 @@ const PLSUtils = {
             } catch (error) {
                 clearTimeout(timeoutId);
                 throw error;
+            } finally {
+                options.signal?.removeEventListener('abort', abort);
             }
         },
         
         /**
-         * Simple GET request
+         * GET request returning parsed JSON, with retries, de-duplication
+         * and ETag revalidation (see PLSNetworkClient). Failures reject with
+         * a PLSNetworkError.
          */
         async get(url, options = {}) {
-            try {
-                const response = await this.fetchWithTimeout(url, {
-                    method: 'GET',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        ...options.headers
-                    },
-                    ...options
-                });
-                
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
-                
-                return await response.json();
-            } catch (error) {
-                console.error('GET request failed:', error);
-                throw error;
-            }
+            return PLSNetworkClient.shared.get(url, options);
         },
         
         /**
-         * Simple POST request
+         * GET request returning the raw response text
+         */
+        async getText(url, options = {}) {
+            return PLSNetworkClient.shared.getText(url, options);
+        },
+        
+        /**
+         * POST request sending data as JSON (never retried)
          */
         async post(url, data, options = {}) {
-            try {
-                const response = await this.fetchWithTimeout(url, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        ...options.headers
-                    },
-                    body: JSON.stringify(data),
-                    ...options
-                });
-                
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
-                
-                return await response.json();
-            } catch (error) {
-                console.error('POST request failed:', error);
-                throw error;
-            }
+            return PLSNetworkClient.shared.post(url, data, options);
         }
     },
     
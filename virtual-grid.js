@@ -0,0 +1,161 @@
+/**
+ * PLS World News - Virtual Grid
+ * Keeps long news grids light: cards far from the viewport are swapped for
+ * empty placeholders of the same height, so the grid layout and scroll
+ * height stay the same while only nearby cards are in the DOM. Cards are
+ * kept in memory and put back as they come near, with their images,
+ * listeners and state intact.
+ */
+
+class PLSVirtualGrid {
+    constructor(grid, app, options = {}) {
+        this.grid = grid;
+        this.app = app;
+        this.options = {
+            threshold: 30,
+            rootMargin: '1500px 0px',
+            overscan: 6,
+            ...options
+        };
+        
+        // Placeholder -> the card it stands in for
+        this.cards = new WeakMap();
+        
+        this.handleIntersection = this.handleIntersection.bind(this);
+        this.handleMutations = this.handleMutations.bind(this);
+        this.handleFocusIn = this.handleFocusIn.bind(this);
+        this.handleBeforeMatch = this.handleBeforeMatch.bind(this);
+        
+        this.init();
+    }
+    
+    init() {
+        if (!this.grid || !('IntersectionObserver' in window) || !('MutationObserver' in window)) return;
+        
+        this.observer = new IntersectionObserver(this.handleIntersection, { rootMargin: this.options.rootMargin });
+        Array.from(this.grid.children).forEach(child => this.observer.observe(child));
+        
+        // Cards added later (Load More, tab changes) are picked up as they arrive
+        this.mutations = new MutationObserver(this.handleMutations);
+        this.mutations.observe(this.grid, { childList: true });
+        
+        this.grid.addEventListener('focusin', this.handleFocusIn);
+        this.grid.addEventListener('beforematch', this.handleBeforeMatch);
+    }
+    
+    handleIntersection(entries) {
+        const virtualize = this.grid.children.length > this.options.threshold;
+        
+        entries.forEach(entry => {
+            const element = entry.target;
+            if (element.parentNode !== this.grid) return;
+            
+            if (this.cards.has(element)) {
+                if (entry.isIntersecting || !virtualize) {
+                    this.mount(element);
+                }
+            } else if (!entry.isIntersecting && virtualize) {
+                this.unmount(element, entry.boundingClientRect.height);
+            }
+        });
+    }
+    
+    handleMutations(records) {
+        records.forEach(record => {
+            record.removedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE) this.observer.unobserve(node);
+            });
+            record.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE && node.parentNode === this.grid) this.observer.observe(node);
+            });
+        });
+    }
+    
+    /**
+     * Mount the cards around a focused card so Tab moves on to real cards
+     * rather than skipping past placeholders
+     */
+    handleFocusIn(e) {
+        const children = Array.from(this.grid.children);
+        const index = children.findIndex(child => child.contains(e.target));
+        if (index === -1) return;
+        
+        const { overscan } = this.options;
+        children.slice(Math.max(0, index - overscan), index + overscan + 1).forEach(child => {
+            if (this.cards.has(child)) this.mount(child);
+        });
+    }
+    
+    /**
+     * Find in page matched a placeholder's hidden text: bring its card back
+     */
+    handleBeforeMatch(e) {
+        const placeholder = e.target.closest('.news-card-placeholder');
+        const card = placeholder && this.mount(placeholder);
+        
+        // The match itself went with the placeholder
+        card?.scrollIntoView({ block: 'center' });
+    }
+    
+    /**
+     * Swap a card for a placeholder of the same height. Cards holding focus
+     * and cards that have not been laid out are left alone.
+     */
+    unmount(card, height) {
+        if (!height || card.contains(document.activeElement)) return null;
+        
+        const { html } = PLSTemplate;
+        
+        // hidden="until-found" keeps the text findable with Ctrl+F where supported
+        const placeholder = PLSTemplate.toElement(html`
+            <div class="news-card-placeholder" style="height: ${Math.round(height)}px">
+                <div hidden="until-found">${card.textContent.replace(/\s+/g, ' ').trim()}</div>
+            </div>
+        `);
+        
+        // Let keyed list updates treat the placeholder as the card
+        if (card.dataset.key !== undefined) {
+            placeholder.dataset.key = card.dataset.key;
+            if (PLSTemplate.rendered.has(card)) {
+                PLSTemplate.rendered.set(placeholder, PLSTemplate.rendered.get(card));
+                PLSTemplate.renderers.set(placeholder, PLSTemplate.renderers.get(card));
+            }
+        }
+        
+        this.cards.set(placeholder, card);
+        card.replaceWith(placeholder);
+        return placeholder;
+    }
+    
+    /**
+     * Put a card back in place of its placeholder
+     */
+    mount(placeholder) {
+        const card = this.cards.get(placeholder);
+        if (!card) return null;
+        
+        this.cards.delete(placeholder);
+        placeholder.replaceWith(card);
+        
+        // Images that were still waiting to load when the card went away
+        this.app.initializeLazyLoading(card);
+        return card;
+    }
+    
+    destroy() {
+        this.observer?.disconnect();
+        this.mutations?.disconnect();
+        this.grid?.removeEventListener('focusin', this.handleFocusIn);
+        this.grid?.removeEventListener('beforematch', this.handleBeforeMatch);
+        
+        Array.from(this.grid?.children || []).forEach(child => this.mount(child));
+    }
+}
+
+// Make virtual grid globally available
+window.PLSVirtualGrid = PLSVirtualGrid;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PLSVirtualGrid;
+}